@@ -21,26 +21,86 @@ const COMMANDS = {
   quick: {
     path: '../src/cli/commands/quick.js',
     desc: 'Run quick checks (skips security audit and build)',
-    usage: 'fortress quick [--json] [--ci]',
-    flags: ['--json   Output JSON only (for CI piping)', '--ci     Disable colors, non-interactive mode'],
+    usage: 'fortress quick [--staged | --since <ref>] [--profile <name>] [--workspaces] [--json] [--ci]',
+    flags: [
+      '--staged       Only scan files staged for commit',
+      '--since <ref>  Only scan files changed since a git ref',
+      '--profile <name> Apply a config profile on top of the quick profile',
+      '--workspaces   Run checks in each workspace package',
+      '--no-cache     Ignore cached results and rerun every check',
+      '--json         Output JSON only (for CI piping)',
+      '--ci           Disable colors, non-interactive mode',
+    ],
   },
   report: {
     path: '../src/cli/commands/report.js',
     desc: 'Run all checks and generate scored JSON report',
-    usage: 'fortress report [--json] [--ci]',
-    flags: ['--json   Output JSON only (for CI piping)', '--ci     Disable colors, non-interactive mode'],
+    usage: 'fortress report [--format <fmt>] [--profile <name>] [--workspaces] [--no-cache] [--json] [--ci]',
+    flags: [
+      '--format <fmt> Also save the report as sarif, junit, html or markdown (JSON is always saved)',
+      '--profile <name> Apply a config profile (default: FORTRESS_PROFILE)',
+      '--workspaces   Run checks in each workspace package',
+      '--no-cache     Ignore cached results and rerun every check',
+      '--json         Output JSON only (for CI piping)',
+      '--ci           Disable colors, non-interactive mode',
+    ],
   },
   validate: {
     path: '../src/cli/commands/validate.js',
     desc: 'Run full validation pipeline (all checks, pass/fail)',
-    usage: 'fortress validate [--json] [--ci]',
-    flags: ['--json   Output JSON only (for CI piping)', '--ci     Disable colors, non-interactive mode'],
+    usage: 'fortress validate [--format junit] [--profile <name>] [--workspaces] [--no-cache] [--json] [--ci]',
+    flags: [
+      '--format junit Save results as JUnit XML',
+      '--profile <name> Apply a config profile (default: FORTRESS_PROFILE)',
+      '--workspaces   Run checks in each workspace package',
+      '--no-cache     Ignore cached results and rerun every check',
+      '--json         Output JSON only (for CI piping)',
+      '--ci           Disable colors, non-interactive mode',
+    ],
+  },
+  watch: {
+    path: '../src/cli/commands/watch.js',
+    desc: 'Watch files and rerun affected checks on change',
+    usage: 'fortress watch [--profile <name>] [--no-cache] [--ci]',
+    flags: [
+      '--profile <name>  Apply a config profile on top of the quick profile',
+      '--no-cache        Ignore cached results and rerun every check',
+      '--ci              Print each run instead of redrawing in place',
+    ],
+  },
+  diff: {
+    path: '../src/cli/commands/diff.js',
+    desc: 'Compare two reports: check changes, new and fixed errors',
+    usage: 'fortress diff [reportA] [reportB] [--profile <name>] [--json]',
+    flags: [
+      'reportA, reportB   Report files (default: the two latest in fortress-reports/)',
+      '--profile <name>   Apply a config profile, e.g. one with its own report dir',
+      '--json             Output JSON only',
+    ],
+  },
+  baseline: {
+    path: '../src/cli/commands/baseline.js',
+    desc: 'Record current findings in fortress-baseline.json so only new ones count',
+    usage: 'fortress baseline [--profile <name>] [--workspaces] [--no-cache] [--json] [--ci]',
+    flags: [
+      '--profile <name> Apply a config profile (default: FORTRESS_PROFILE)',
+      '--workspaces   Write a baseline in each workspace package',
+      '--no-cache     Ignore cached results and rerun every check',
+      '--json         Output JSON only',
+      '--ci           Disable colors, non-interactive mode',
+    ],
+  },
+  config: {
+    path: '../src/cli/commands/config.js',
+    desc: 'Check fortress.config.js for typos and invalid values',
+    usage: 'fortress config validate [--json]',
+    flags: ['--json   Output JSON only'],
   },
   trend: {
     path: '../src/cli/commands/trend.js',
     desc: 'Show score history and quality trends',
-    usage: 'fortress trend [--limit N] [--json]',
-    flags: ['--limit N   Show last N reports (default: 10)', '--json      Output JSON only'],
+    usage: 'fortress trend [--limit N] [--flaky] [--json]',
+    flags: ['--limit N   Show last N reports (default: 10)', '--flaky     List flaky tests', '--json      Output JSON only'],
   },
   review: {
     path: '../src/cli/commands/review.js',
@@ -86,8 +146,11 @@ if (command === 'deploy') {
   const validatePath = require.resolve(COMMANDS.validate.path);
   const reportPath = require.resolve(COMMANDS.report.path);
   const { execFileSync } = require('child_process');
+  // --format applies to the saved report, not the validation step
+  const formatIdx = args.indexOf('--format');
+  const validateArgs = args.slice(1).filter((arg, i) => i + 1 !== formatIdx && i + 1 !== formatIdx + 1);
   try {
-    execFileSync(process.execPath, [validatePath, ...args.slice(1)], {
+    execFileSync(process.execPath, [validatePath, ...validateArgs], {
       cwd: process.cwd(),
       stdio: 'inherit',
     });
@@ -124,11 +187,18 @@ if (!command || command === '--help' || command === '-h') {
   console.log(`  report     Run all checks and generate scored JSON report`);
   console.log(`  validate   Run full validation pipeline (all checks, pass/fail)`);
   console.log(`  deploy     Validate + generate report (deploy readiness gate)`);
+  console.log(`  watch      Watch files and rerun affected checks on change`);
+  console.log(`  diff       Compare two reports: check changes, new and fixed errors`);
+  console.log(`  baseline   Record current findings so only new ones count`);
+  console.log(`  config     Check fortress.config.js for typos and invalid values`);
   console.log(`  trend      Show score history and quality trends`);
   console.log(`  review     Run AI-powered security audit and code review\n`);
   console.log(`${bold}Flags:${reset}`);
-  console.log(`  --json     Output JSON only (for CI piping)`);
-  console.log(`  --ci       CI mode (no colors, non-interactive)\n`);
+  console.log(`  --json         Output JSON only (for CI piping)`);
+  console.log(`  --ci           CI mode (no colors, non-interactive)`);
+  console.log(`  --no-cache     Ignore cached check results`);
+  console.log(`  --profile      Apply a config profile (or set FORTRESS_PROFILE)`);
+  console.log(`  --workspaces   Run checks in each workspace package\n`);
   console.log(`${gray}Run "fortress <command> --help" for command-specific options.${reset}\n`);
   process.exit(0);
 }
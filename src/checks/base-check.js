@@ -1,5 +1,11 @@
 'use strict';
 
+const { exec } = require('child_process');
+
+// Findings saved per check in reports. Results keep every finding (errors
+// are truncated for display) so baselines see all of them.
+const MAX_FINDINGS = 1000;
+
 /**
  * Create a standardized check result.
  * Every check MUST return this shape.
@@ -7,8 +13,12 @@
  * @param {string} name - Display name (e.g., "TypeScript")
  * @param {object} opts
  * @param {string} [opts.key] - Config key (e.g., "typescript"). Defaults to name.toLowerCase()
+ * @param {Array<object>} [opts.findings] - Located issues, built with createFinding
+ * @param {Object<string, number>} [opts.counts] - Issues by severity (error, warning,
+ *   critical, high, moderate, low). Results with counts are scored by scorer.scoreCheck.
+ * @param {number} [opts.passRate] - Share of passing items (0-1), e.g. tests
  */
-function createResult(name, { key, passed, errors = [], warnings = [], duration = 0, score = 0 }) {
+function createResult(name, { key, passed, errors = [], warnings = [], duration = 0, score = 0, findings = [], counts = null, passRate = null }) {
   return {
     name,
     key: key || name.toLowerCase(),
@@ -17,9 +27,34 @@ function createResult(name, { key, passed, errors = [], warnings = [], duration
     warnings,
     duration,
     score,
+    findings,
+    counts,
+    passRate,
   };
 }
 
+/**
+ * Create a located finding for machine-readable output (SARIF, etc.).
+ *
+ * @param {object} opts
+ * @param {string} opts.ruleId - Stable rule identifier (e.g., "TS2322", "no-unused-vars")
+ * @param {string} opts.file - Path relative to the project root, forward slashes
+ * @param {number} [opts.line] - 1-based
+ * @param {number} [opts.column] - 1-based
+ * @param {'error'|'warning'|'note'} [opts.severity='error']
+ * @param {string} opts.message
+ */
+function createFinding({ ruleId, file, line = null, column = null, severity = 'error', message }) {
+  return { ruleId, file, line, column, severity, message };
+}
+
+/**
+ * Turn a pattern label into a rule id: "AWS Access Key ID" → "aws-access-key-id".
+ */
+function labelToRuleId(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pattern';
+}
+
 /**
  * Build a minimal environment for child processes.
  * Only passes variables needed for tool execution — prevents
@@ -46,4 +81,120 @@ function safeEnv() {
   return env;
 }
 
-module.exports = { createResult, safeEnv };
+/**
+ * Run a shell command asynchronously with the minimal environment.
+ * Never rejects — resolves with the combined stdout/stderr and whether
+ * the command exited cleanly, so checks can run side by side without
+ * blocking each other.
+ *
+ * @param {string} command - Validated command string
+ * @param {object} opts
+ * @param {string} opts.cwd - Working directory
+ * @param {number} opts.timeout - Timeout in ms
+ * @returns {Promise<{ok: boolean, output: string, exitCode: number|null, timedOut: boolean}>}
+ */
+function runCommand(command, { cwd, timeout }) {
+  return new Promise((resolve) => {
+    exec(command, {
+      cwd,
+      timeout,
+      env: safeEnv(),
+      maxBuffer: 10 * 1024 * 1024, // 10MB
+    }, (err, stdout, stderr) => {
+      resolve({
+        ok: !err,
+        output: (stdout || '') + '' + (stderr || ''),
+        exitCode: err ? (typeof err.code === 'number' ? err.code : null) : 0,
+        // maxBuffer overflows kill the command too, but aren't timeouts
+        timedOut: !!(err && err.killed && err.code !== 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER'),
+      });
+    });
+  });
+}
+
+// Ways to run a package's binary: npx, bunx, npm exec, pnpm/yarn [exec|dlx],
+// bun x, or a path such as node_modules/.bin/
+const TOOL_PREFIX = String.raw`^\s*(?:(?:npx|bunx|pnpx)(?:\s+-\S+)*\s+|npm\s+exec\s+(?:--\s+)?|(?:pnpm|yarn)\s+(?:exec\s+|dlx\s+)?|bun\s+x\s+)?(?:\S*\/)?`;
+
+/**
+ * Whether a command runs `tool` itself, so flags appended to it reach the
+ * tool. Scripts like `npm run lint` don't count: npm would take the flags
+ * for itself.
+ *
+ * @param {string} command
+ * @param {string} tool - Binary name, e.g. "eslint"
+ */
+function invokesTool(command, tool) {
+  return new RegExp(`${TOOL_PREFIX}${tool}(?:\\s|$)`).test(command || '');
+}
+
+/**
+ * Command timeout in ms: the check's `timeout` option (in seconds), or
+ * the check's default.
+ */
+function commandTimeout(checkConfig, defaultSeconds) {
+  const seconds = typeof checkConfig.timeout === 'number' && checkConfig.timeout > 0
+    ? checkConfig.timeout
+    : defaultSeconds;
+  return seconds * 1000;
+}
+
+/**
+ * Result for a check whose command was killed at its timeout. Marked
+ * `timedOut` so the runner doesn't cache it.
+ */
+function createTimeoutResult(name, { key, command, timeout, duration }) {
+  return {
+    ...createResult(name, {
+      key,
+      passed: false,
+      errors: [
+        `${name} timed out after ${Math.round(timeout / 1000)}s`,
+        `  Command: ${command}`,
+        '  Hint: Raise the check\'s timeout (in seconds) in your config if it needs longer',
+      ],
+      duration,
+      score: 0,
+    }),
+    timedOut: true,
+  };
+}
+
+/**
+ * Detect regex patterns likely to cause catastrophic backtracking (ReDoS).
+ * Catches: nested quantifiers (a+)+, quantified alternation (a|a)*, overlapping groups.
+ */
+function isReDoSRisk(source) {
+  // Nested quantifiers: (a+)+, (a*)+, (a+)*, (a+){2,}
+  if (/(\([^)]*[+*][^)]*\))[+*{]/.test(source)) return true;
+
+  // Quantified groups with alternation: (a|a)*, (a|b)+ where branches can match same input
+  if (/\([^)]*\|[^)]*\)[+*{]/.test(source)) return true;
+
+  // Quantifier applied to a group that itself is quantified: (.+)+, (\w+)+
+  if (/\([^)]*[+*}][^)]*\)[+*{]/.test(source)) return true;
+
+  // Back-references with quantifiers: (a+)\1+ (can cause exponential matching)
+  if (/\\[1-9][+*{]/.test(source)) return true;
+
+  // Dot-star or dot-plus inside quantified group: (.*)+, (.+)+
+  if (/\([^)]*\.\s*[+*][^)]*\)[+*{]/.test(source)) return true;
+
+  // Lookahead/lookbehind with quantifiers: (?=a+)+, (?<=a+)+
+  if (/\(\?[=!<][^)]*[+*][^)]*\)[+*{]/.test(source)) return true;
+
+  return false;
+}
+
+module.exports = {
+  MAX_FINDINGS,
+  createResult,
+  createFinding,
+  createTimeoutResult,
+  labelToRuleId,
+  safeEnv,
+  runCommand,
+  invokesTool,
+  commandTimeout,
+  isReDoSRisk,
+};
@@ -1,22 +1,22 @@
 'use strict';
 
-const { execSync } = require('child_process');
-const { createResult, safeEnv } = require('./base-check');
+const { createResult, createTimeoutResult, runCommand, commandTimeout } = require('./base-check');
 
-function run(config, checkConfig) {
+// Builds can take a while
+const DEFAULT_TIMEOUT = 300;
+
+async function run(config, checkConfig) {
   const start = Date.now();
   const command = checkConfig.command;
   const errors = [];
 
-  try {
-    execSync(command, {
-      cwd: config.root,
-      stdio: 'pipe',
-      timeout: 300000, // 5 minutes for builds
-      env: safeEnv(),
-    });
-  } catch (err) {
-    const output = ((err.stdout || '') + '' + (err.stderr || '')).toString();
+  const timeout = commandTimeout(checkConfig, DEFAULT_TIMEOUT);
+  const { ok, output, timedOut } = await runCommand(command, { cwd: config.root, timeout });
+  if (timedOut) {
+    return createTimeoutResult('Build', { key: 'build', command, timeout, duration: Date.now() - start });
+  }
+
+  if (!ok) {
     // Extract meaningful error lines
     const lines = output.split('\n').filter(l => l.trim().length > 0);
     const errorLines = lines.filter(l =>
@@ -48,6 +48,7 @@ function run(config, checkConfig) {
     errors,
     duration,
     score: passed ? checkConfig.weight : 0,
+    counts: { error: passed ? 0 : 1 },
   });
 }
 
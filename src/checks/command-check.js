@@ -0,0 +1,121 @@
+'use strict';
+
+const { createResult, createTimeoutResult, runCommand, commandTimeout, isReDoSRisk } = require('./base-check');
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_ERRORS = 20;
+const DEFAULT_TIMEOUT = 120;
+
+/**
+ * Generic check for any tool that signals failure through its exit code
+ * (prettier --check, knip, madge --circular, ...).
+ *
+ * Optional config:
+ *   errorPattern — regex; matching output lines are reported as errors
+ *   countPattern — regex whose first capture group is the number of issues
+ */
+async function run(config, checkConfig, key) {
+  const start = Date.now();
+  const name = checkConfig.name || key;
+  const command = checkConfig.command;
+  const errors = [];
+  const warnings = [];
+
+  if (!command) {
+    return createResult(name, {
+      key,
+      passed: false,
+      errors: [`No command configured for ${key}`, '  Hint: Set command in fortress.config.js'],
+      duration: 0,
+      score: 0,
+    });
+  }
+
+  const errorRegex = compilePattern(checkConfig.errorPattern, 'errorPattern', warnings);
+  const countRegex = compilePattern(checkConfig.countPattern, 'countPattern', warnings);
+
+  const timeout = commandTimeout(checkConfig, DEFAULT_TIMEOUT);
+  const { ok, output, exitCode, timedOut } = await runCommand(command, { cwd: config.root, timeout });
+  if (timedOut) {
+    return createTimeoutResult(name, { key, command, timeout, duration: Date.now() - start });
+  }
+
+  let issueCount = 0;
+  if (!ok) {
+    const count = countRegex ? parseCount(output, countRegex) : null;
+    if (count !== null) {
+      errors.push(`${count} issue(s) found`);
+    }
+
+    const matched = errorRegex
+      ? output.split('\n').map(l => l.trim()).filter(l => l && errorRegex.test(l))
+      : [];
+    for (const line of matched.slice(0, MAX_ERRORS)) {
+      errors.push(line);
+    }
+    if (matched.length > MAX_ERRORS) {
+      errors.push(`... and ${matched.length - MAX_ERRORS} more errors`);
+    }
+
+    issueCount = count ?? (matched.length || 1);
+
+    if (matched.length === 0) {
+      errors.push(`Command failed${exitCode !== null ? ` with exit code ${exitCode}` : ''}`);
+      errors.push(`  Command: ${command}`);
+      if (/not found|ENOENT|could not determine executable/i.test(output)) {
+        errors.push('  Hint: The tool may not be installed. Check the command in fortress.config.js');
+      }
+    }
+  }
+
+  const passed = errors.length === 0;
+  const duration = Date.now() - start;
+
+  return createResult(name, {
+    key,
+    passed,
+    errors,
+    warnings,
+    duration,
+    score: passed ? checkConfig.weight : 0,
+    counts: { error: issueCount },
+  });
+}
+
+/**
+ * Compile a user-supplied regex, rejecting oversized or ReDoS-prone sources.
+ * Problems are recorded as warnings and the pattern is ignored.
+ */
+function compilePattern(source, label, warnings) {
+  if (!source) return null;
+  if (typeof source !== 'string') {
+    warnings.push(`${label} must be a string — ignored`);
+    return null;
+  }
+  if (source.length > MAX_PATTERN_LENGTH) {
+    warnings.push(`${label} exceeds ${MAX_PATTERN_LENGTH} chars — ignored for safety`);
+    return null;
+  }
+  if (isReDoSRisk(source)) {
+    warnings.push(`${label} has ReDoS risk (dangerous backtracking) — ignored`);
+    return null;
+  }
+  try {
+    return new RegExp(source, 'i');
+  } catch (err) {
+    warnings.push(`Invalid ${label}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Extract an issue count from the first capture group of countPattern.
+ */
+function parseCount(output, regex) {
+  const match = output.match(regex);
+  if (!match || match[1] === undefined) return null;
+  const count = parseInt(match[1], 10);
+  return isNaN(count) ? null : count;
+}
+
+module.exports = { run, parseCount };
@@ -2,12 +2,14 @@
 
 const fs = require('fs');
 const path = require('path');
-const { createResult } = require('./base-check');
+const { createResult, createFinding, labelToRuleId, isReDoSRisk } = require('./base-check');
+const { filterChangedFiles, createFileReader } = require('../core/changed-files');
 
 function run(config, checkConfig) {
   const start = Date.now();
   const errors = [];
   const warnings = [];
+  const findings = [];
 
   const MAX_PATTERN_LENGTH = 200;
   const patterns = (checkConfig.patterns || []).map(p => {
@@ -16,7 +18,7 @@ function run(config, checkConfig) {
       if (typeof p === 'string') {
         source = p; label = p;
       } else if (p.regex && p.label) {
-        source = p.regex; label = p.label;
+        source = p.regex instanceof RegExp ? p.regex.source : p.regex; label = p.label;
       } else {
         return null;
       }
@@ -57,16 +59,20 @@ function run(config, checkConfig) {
   const skipDirs = new Set(checkConfig.skipDirs || ['node_modules', '.next', '.git', 'dist', 'coverage']);
   const allowlist = checkConfig.allowlist || {};
 
-  const files = collectFiles(config.root, extensions, skipDirs);
+  // Changed-files mode (quick --staged / --since) scans only the diff
+  const files = config.changedFiles
+    ? filterChangedFiles(config.root, config.changedFiles, {
+      skipDirs,
+      include: name => extensions.has(path.extname(name)),
+      staged: config.staged,
+    })
+    : collectFiles(config.root, extensions, skipDirs);
+  const readFile = createFileReader(config, files);
 
   for (const filePath of files) {
     const relative = path.relative(config.root, filePath).replace(/\\/g, '/');
-    let content;
-    try {
-      content = fs.readFileSync(filePath, 'utf-8');
-    } catch {
-      continue;
-    }
+    const content = readFile(filePath);
+    if (content === null) continue;
 
     const lines = content.split('\n');
     for (let i = 0; i < lines.length; i++) {
@@ -83,6 +89,13 @@ function run(config, checkConfig) {
           }
           if (isAllowlisted(relative, pattern.label, allowlist)) continue;
           errors.push(`${relative}:${i + 1}:${match.index + 1} - "${pattern.label}" (matched: "${match[0]}")`);
+          findings.push(createFinding({
+            ruleId: `content/${labelToRuleId(pattern.label)}`,
+            file: relative,
+            line: i + 1,
+            column: match.index + 1,
+            message: `${pattern.label} (matched: "${match[0]}")`,
+          }));
         }
       }
     }
@@ -97,35 +110,11 @@ function run(config, checkConfig) {
     warnings: errors.length > 30 ? [`... and ${errors.length - 30} more violations`] : warnings,
     duration,
     score: passed ? checkConfig.weight : 0,
+    findings,
+    counts: { error: errors.length },
   });
 }
 
-/**
- * Detect regex patterns likely to cause catastrophic backtracking (ReDoS).
- * Catches: nested quantifiers (a+)+, quantified alternation (a|a)*, overlapping groups.
- */
-function isReDoSRisk(source) {
-  // Nested quantifiers: (a+)+, (a*)+, (a+)*, (a+){2,}
-  if (/(\([^)]*[+*][^)]*\))[+*{]/.test(source)) return true;
-
-  // Quantified groups with alternation: (a|a)*, (a|b)+ where branches can match same input
-  if (/\([^)]*\|[^)]*\)[+*{]/.test(source)) return true;
-
-  // Quantifier applied to a group that itself is quantified: (.+)+, (\w+)+
-  if (/\([^)]*[+*}][^)]*\)[+*{]/.test(source)) return true;
-
-  // Back-references with quantifiers: (a+)\1+ (can cause exponential matching)
-  if (/\\[1-9][+*{]/.test(source)) return true;
-
-  // Dot-star or dot-plus inside quantified group: (.*)+, (.+)+
-  if (/\([^)]*\.\s*[+*][^)]*\)[+*{]/.test(source)) return true;
-
-  // Lookahead/lookbehind with quantifiers: (?=a+)+, (?<=a+)+
-  if (/\(\?[=!<][^)]*[+*][^)]*\)[+*{]/.test(source)) return true;
-
-  return false;
-}
-
 function isAllowlisted(relativePath, term, allowlist) {
   for (const [pattern, allowed] of Object.entries(allowlist)) {
     if (relativePath.includes(pattern)) {
@@ -1,25 +1,245 @@
 'use strict';
 
-const { execSync } = require('child_process');
-const { createResult, safeEnv } = require('./base-check');
+const fs = require('fs');
+const path = require('path');
+const { createResult, createFinding, createTimeoutResult, runCommand, invokesTool, commandTimeout } = require('./base-check');
 
-function run(config, checkConfig) {
+// ESLint stylish / next lint:  "  12:5  error  Message  rule-id"
+const STYLISH_MESSAGE = /^\s*(\d+):(\d+)\s+(error|warning):?\s+(.+?)(?:\s{2,}(\S+))?$/i;
+// ESLint unix/compact:         "src/a.js:12:5: Message [Error/rule-id]"
+const UNIX_MESSAGE = /^(\S.*?):(\d+):(\d+):\s+(.+?)\s+\[(error|warning)(?:\/(\S+))?\]$/i;
+// Biome:                       "src/a.ts:12:5 lint/suspicious/noDebugger  FIXABLE  ━━━"
+const BIOME_HEADER = /^(\S.*?):(\d+):(\d+)\s+(lint\/\S+)/;
+const BIOME_MESSAGE = /^\s*([✖×!⚠])\s+(.+)$/;
+
+const DEFAULT_TIMEOUT = 120;
+// Error lines shown per run; every message is kept in findings
+const MAX_ERRORS = 20;
+// Rules listed in the "Top rules" warning
+const TOP_RULES = 3;
+
+/**
+ * Run the linter. ESLint and Biome commands get their JSON reporter
+ * (`-f json`, `--reporter=json`) unless the command picks a format
+ * itself, which gives exact counts, rule ids and fixability. Other
+ * linters, and JSON runs whose output can't be read, fall back to
+ * scraping the text output.
+ */
+async function run(config, checkConfig) {
   const start = Date.now();
+  const timeout = commandTimeout(checkConfig, DEFAULT_TIMEOUT);
+  const jsonCommand = withJsonReporter(checkConfig.command);
+
+  if (jsonCommand) {
+    const { ok, output, timedOut } = await runCommand(jsonCommand, { cwd: config.root, timeout });
+    if (timedOut) {
+      return createTimeoutResult('Lint', { key: 'lint', command: jsonCommand, timeout, duration: Date.now() - start });
+    }
+    const report = parseJsonReport(output, config.root);
+    if (report) return createJsonResult(report, { ok, output, command: jsonCommand }, start);
+    // Clean runs without JSON (nothing to lint) need no second run
+    if (ok) return createTextResult({ ok, output }, config, checkConfig, start);
+  }
+
   const command = checkConfig.command;
-  const errors = [];
-  const warnings = [];
-  let output = '';
+  const { ok, output, timedOut } = await runCommand(command, { cwd: config.root, timeout });
+  if (timedOut) {
+    return createTimeoutResult('Lint', { key: 'lint', command, timeout, duration: Date.now() - start });
+  }
+  return createTextResult({ ok, output }, config, checkConfig, start);
+}
+
+/**
+ * The command with the linter's JSON reporter added, or null when the
+ * linter has none, the command already chooses an output format, or it
+ * runs the linter through a package script.
+ */
+function withJsonReporter(command) {
+  if (invokesTool(command, 'eslint')) {
+    return /(^|\s)(-f|--format)(\s|=)/.test(command) ? null : `${command} -f json`;
+  }
+  if (invokesTool(command, 'biome') && /\bbiome\s+(check|lint|ci)\b/.test(command)) {
+    return /(^|\s)--reporter(\s|=)/.test(command) ? null : `${command} --reporter=json`;
+  }
+  return null;
+}
+
+/**
+ * Parse ESLint (`-f json`) or Biome (`--reporter=json`) output into
+ * findings, each with `fixable` set. Null when the output holds no such
+ * report, e.g. when the linter failed before linting.
+ * @param {string} output - Linter stdout/stderr
+ * @param {string} root - Directory the linter ran in
+ * @returns {{tool: 'eslint'|'biome', findings: Array}|null}
+ */
+function parseJsonReport(output, root) {
+  const data = extractJson(output);
+  if (Array.isArray(data) && data.every(r => r && typeof r.filePath === 'string' && Array.isArray(r.messages))) {
+    return { tool: 'eslint', findings: data.flatMap(r => r.messages.map(m => eslintFinding(r.filePath, m, root))) };
+  }
+  if (data && Array.isArray(data.diagnostics) && data.summary) {
+    const sources = new Map();
+    return { tool: 'biome', findings: data.diagnostics.map(d => biomeFinding(d, root, sources)) };
+  }
+  return null;
+}
 
+/**
+ * The JSON document in a command's output. stderr is appended after
+ * stdout, so npx or deprecation notices may surround it: the document is
+ * the first line starting with [ or { whose brackets balance into valid
+ * JSON.
+ */
+function extractJson(output) {
+  const starts = /^[[{]/gm;
+  let match;
+  while ((match = starts.exec(output))) {
+    const end = closingBracket(output, match.index);
+    if (end === -1) continue;
+    try {
+      return JSON.parse(output.slice(match.index, end + 1));
+    } catch {
+      // Bracketed text that isn't JSON, e.g. "[DEP0040] ..."
+    }
+  }
+  return null;
+}
+
+// Index of the bracket closing the one at `start`, skipping strings
+function closingBracket(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+function eslintFinding(filePath, message, root) {
+  return {
+    ...createFinding({
+      // Parse errors have no rule
+      ruleId: message.ruleId || 'lint',
+      file: toRelative(filePath, root),
+      line: message.line || null,
+      column: message.column || null,
+      severity: message.severity === 2 || message.fatal ? 'error' : 'warning',
+      message: message.message,
+    }),
+    fixable: !!message.fix,
+  };
+}
+
+/**
+ * Biome locates diagnostics by a byte span, converted here to a line and
+ * column using the source it reports, or the file itself.
+ */
+function biomeFinding(diagnostic, root, sources) {
+  const file = diagnostic.location?.path?.file || null;
+  const offset = Array.isArray(diagnostic.location?.span) ? diagnostic.location.span[0] : null;
+  let position = { line: null, column: null };
+  if (file && offset !== null) {
+    if (!sources.has(file)) sources.set(file, diagnostic.location.sourceCode ?? readSource(path.resolve(root, file)));
+    position = spanPosition(sources.get(file), offset);
+  }
+  return {
+    ...createFinding({
+      ruleId: diagnostic.category || 'biome',
+      file: file && toRelative(file, root),
+      ...position,
+      severity: diagnostic.severity === 'warning' || diagnostic.severity === 'information' ? 'warning' : 'error',
+      message: diagnostic.description || diagnostic.category,
+    }),
+    fixable: Array.isArray(diagnostic.tags) && diagnostic.tags.includes('fixable'),
+  };
+}
+
+function readSource(filePath) {
   try {
-    output = execSync(command, {
-      cwd: config.root,
-      stdio: 'pipe',
-      timeout: 120000,
-      env: safeEnv(),
-    }).toString();
-  } catch (err) {
-    output = ((err.stdout || '') + '' + (err.stderr || '')).toString();
+    return fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+function spanPosition(source, offset) {
+  if (typeof source !== 'string') return { line: null, column: null };
+  const before = Buffer.from(source).subarray(0, offset).toString();
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
 
+function createJsonResult({ tool, findings }, { ok, output, command }, start) {
+  const errorFindings = findings.filter(f => f.severity === 'error');
+  const warningCount = findings.length - errorFindings.length;
+  const errors = errorFindings.slice(0, MAX_ERRORS).map(formatFinding);
+  if (errorFindings.length > MAX_ERRORS) {
+    errors.push(`... and ${errorFindings.length - MAX_ERRORS} more errors`);
+  }
+  // Warnings alone can fail the linter too, e.g. past eslint --max-warnings
+  if (!ok && errorFindings.length === 0) {
+    const reason = output.split('\n').map(line => line.trim()).find(line => /too many warnings/i.test(line));
+    errors.push(reason || 'Lint check failed');
+    errors.push(`  Command: ${command}`);
+  }
+
+  const warnings = [];
+  if (warningCount > 0) {
+    warnings.push(`${warningCount} lint warning(s)`);
+  }
+  const fixable = findings.filter(f => f.fixable).length;
+  if (fixable > 0) {
+    warnings.push(`${fixable} problem(s) fixable with ${tool === 'biome' ? 'biome check --write' : 'eslint --fix'}`);
+  }
+  const topRules = countRules(findings).slice(0, TOP_RULES);
+  if (topRules.length > 1) {
+    warnings.push(`Top rules: ${topRules.map(([rule, count]) => `${rule} (${count})`).join(', ')}`);
+  }
+
+  // Scored from these counts by scorer.scoreCheck (-5 per warning by default)
+  return createResult('Lint', {
+    passed: errors.length === 0,
+    errors,
+    warnings,
+    duration: Date.now() - start,
+    findings,
+    counts: { error: errorFindings.length, warning: warningCount },
+  });
+}
+
+/**
+ * "src/a.js:1:7: Message [error/rule-id]", like ESLint's unix format, so
+ * the baseline can match the line to its finding.
+ */
+function formatFinding({ file, line, column, severity, ruleId, message }) {
+  const location = file ? `${file}:${line || 1}:${column || 1}: ` : '';
+  return `${location}${message} [${severity}/${ruleId}]`;
+}
+
+function countRules(findings) {
+  const counts = new Map();
+  for (const f of findings) counts.set(f.ruleId, (counts.get(f.ruleId) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+function createTextResult({ ok, output }, config, checkConfig, start) {
+  const command = checkConfig.command;
+  const errors = [];
+  const warnings = [];
+  const findings = parseFindings(output, config.root);
+
+  if (!ok) {
     // No files to lint or no eslint config — not a real error on an empty project
     if (/no files matching|All files matched by the pattern .* are ignored|Could not find config|eslint\.config/i.test(output)) {
       const duration = Date.now() - start;
@@ -31,13 +251,17 @@ function run(config, checkConfig) {
       });
     }
 
-    // Extract error/warning lines
-    const lines = output.split('\n');
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed) continue;
-      if (/error/i.test(trimmed) && !trimmed.startsWith('✖') && !trimmed.startsWith('×')) {
-        errors.push(trimmed);
+    // Error messages the parser understood; otherwise any line mentioning "error"
+    const errorFindings = findings.filter(f => f.severity === 'error');
+    if (errorFindings.length > 0) {
+      errors.push(...errorFindings.map(formatFinding));
+    } else {
+      for (const line of output.split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        if (/error/i.test(trimmed) && !trimmed.startsWith('✖') && !trimmed.startsWith('×')) {
+          errors.push(trimmed);
+        }
       }
     }
     if (errors.length === 0) {
@@ -66,17 +290,82 @@ function run(config, checkConfig) {
   const passed = errors.length === 0;
   const duration = Date.now() - start;
 
-  // Deduct for warnings: -5 per warning, up to full weight
-  const warningPenalty = Math.min(warningCount * 5, checkConfig.weight);
-  const score = passed ? checkConfig.weight - warningPenalty : 0;
+  // ESLint: "(2 errors, 1 warning)"; otherwise count the parsed error messages
+  const errorSummary = output.match(/\((\d+)\s+errors?,/);
+  const errorCount = passed
+    ? 0
+    : errorSummary ? parseInt(errorSummary[1], 10) : Math.max(findings.filter(f => f.severity === 'error').length, 1);
 
+  // Scored from these counts by scorer.scoreCheck (-5 per warning by default)
   return createResult('Lint', {
     passed,
-    errors: errors.slice(0, 20),
+    errors: errors.slice(0, MAX_ERRORS),
     warnings,
     duration,
-    score: Math.max(0, score),
+    findings,
+    counts: { error: errorCount, warning: warningCount },
   });
 }
 
-module.exports = { run };
+/**
+ * Parse located lint messages from ESLint (stylish, unix/compact),
+ * next lint and Biome text output.
+ * @param {string} output - Linter stdout/stderr
+ * @param {string} root - Directory the linter ran in
+ */
+function parseFindings(output, root) {
+  const findings = [];
+  let currentFile = null;
+  let biome = null;
+
+  for (const line of output.split('\n')) {
+    let match;
+
+    if (biome) {
+      match = line.match(BIOME_MESSAGE);
+      if (match) {
+        findings.push(createFinding({
+          ...biome,
+          severity: match[1] === '!' || match[1] === '⚠' ? 'warning' : 'error',
+          message: match[2].trim(),
+        }));
+        biome = null;
+        continue;
+      }
+    }
+
+    if ((match = line.match(BIOME_HEADER))) {
+      biome = { ruleId: match[4], file: toRelative(match[1], root), line: +match[2], column: +match[3] };
+      currentFile = null;
+    } else if ((match = line.match(UNIX_MESSAGE))) {
+      findings.push(createFinding({
+        ruleId: match[6] || 'lint',
+        file: toRelative(match[1], root),
+        line: +match[2],
+        column: +match[3],
+        severity: match[5].toLowerCase(),
+        message: match[4],
+      }));
+    } else if (currentFile && (match = line.match(STYLISH_MESSAGE))) {
+      findings.push(createFinding({
+        ruleId: match[5] || 'lint',
+        file: currentFile,
+        line: +match[1],
+        column: +match[2],
+        severity: match[3].toLowerCase(),
+        message: match[4].trim(),
+      }));
+    } else if (/^\S/.test(line) && !/^[✖×]/.test(line) && /\.[cm]?[jt]sx?$|\.vue$|\.svelte$/.test(line.trim())) {
+      // Stylish prints each file's path on its own line before its messages
+      currentFile = toRelative(line.trim(), root);
+    }
+  }
+  return findings;
+}
+
+function toRelative(file, root) {
+  const relative = path.isAbsolute(file) ? path.relative(root, file) : file;
+  return relative.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+module.exports = { run, parseFindings, parseJsonReport, withJsonReporter };
@@ -2,7 +2,8 @@
 
 const fs = require('fs');
 const path = require('path');
-const { createResult } = require('./base-check');
+const { createResult, createFinding, labelToRuleId, isReDoSRisk } = require('./base-check');
+const { filterChangedFiles, createFileReader } = require('../core/changed-files');
 
 // Built-in secret patterns — each has a regex and human-readable label
 const BUILT_IN_PATTERNS = [
@@ -75,6 +76,7 @@ function run(config, checkConfig) {
   const start = Date.now();
   const errors = [];
   const warnings = [];
+  const findings = [];
 
   // Compile built-in patterns
   const patterns = BUILT_IN_PATTERNS.map(p => {
@@ -93,7 +95,7 @@ function run(config, checkConfig) {
       if (typeof p === 'string') {
         source = p; label = p;
       } else if (p.regex && p.label) {
-        source = p.regex; label = p.label;
+        source = p.regex instanceof RegExp ? p.regex.source : p.regex; label = p.label;
       } else {
         continue;
       }
@@ -118,7 +120,16 @@ function run(config, checkConfig) {
   const skipDirs = new Set(checkConfig.skipDirs || DEFAULT_SKIP_DIRS);
   const allowlist = checkConfig.allowlist || {};
 
-  const files = collectFiles(config.root, extensions, skipDirs);
+  // Changed-files mode (quick --staged / --since) scans only the diff
+  const files = config.changedFiles
+    ? filterChangedFiles(config.root, config.changedFiles, {
+      skipDirs,
+      include: name => extensions.has(path.extname(name)) || DEFAULT_DOTFILES.has(name),
+      skipHiddenDirs: true,
+      staged: config.staged,
+    })
+    : collectFiles(config.root, extensions, skipDirs);
+  const readFile = createFileReader(config, files);
 
   for (const filePath of files) {
     const relative = path.relative(config.root, filePath).replace(/\\/g, '/');
@@ -127,12 +138,8 @@ function run(config, checkConfig) {
     // Skip lock files
     if (LOCK_FILES.has(basename)) continue;
 
-    let content;
-    try {
-      content = fs.readFileSync(filePath, 'utf-8');
-    } catch {
-      continue;
-    }
+    const content = readFile(filePath);
+    if (content === null) continue;
 
     const lines = content.split('\n');
     for (let i = 0; i < lines.length; i++) {
@@ -151,6 +158,13 @@ function run(config, checkConfig) {
           // Mask the matched secret for safe display
           const masked = maskSecret(match[0]);
           errors.push(`${relative}:${i + 1} - ${pattern.label} (matched: ${masked})`);
+          findings.push(createFinding({
+            ruleId: `secrets/${labelToRuleId(pattern.label)}`,
+            file: relative,
+            line: i + 1,
+            column: match.index + 1,
+            message: `${pattern.label} (matched: ${masked})`,
+          }));
         }
       }
     }
@@ -167,6 +181,8 @@ function run(config, checkConfig) {
       : warnings,
     duration,
     score: passed ? checkConfig.weight : 0,
+    findings,
+    counts: { error: errors.length },
   });
 }
 
@@ -181,31 +197,6 @@ function maskSecret(value) {
   return cleaned.slice(0, 4) + '***' + cleaned.slice(-2);
 }
 
-/**
- * Detect regex patterns likely to cause catastrophic backtracking (ReDoS).
- */
-function isReDoSRisk(source) {
-  // Nested quantifiers: (a+)+, (a*)+, (a+)*, (a+){2,}
-  if (/(\([^)]*[+*][^)]*\))[+*{]/.test(source)) return true;
-
-  // Quantified groups with alternation: (a|a)*, (a|b)+ where branches can match same input
-  if (/\([^)]*\|[^)]*\)[+*{]/.test(source)) return true;
-
-  // Quantifier applied to a group that itself is quantified: (.+)+, (\w+)+
-  if (/\([^)]*[+*}][^)]*\)[+*{]/.test(source)) return true;
-
-  // Back-references with quantifiers: (a+)\1+ (can cause exponential matching)
-  if (/\\[1-9][+*{]/.test(source)) return true;
-
-  // Dot-star or dot-plus inside quantified group: (.*)+, (.+)+
-  if (/\([^)]*\.\s*[+*][^)]*\)[+*{]/.test(source)) return true;
-
-  // Lookahead/lookbehind with quantifiers: (?=a+)+, (?<=a+)+
-  if (/\(\?[=!<][^)]*[+*][^)]*\)[+*{]/.test(source)) return true;
-
-  return false;
-}
-
 function isAllowlisted(relativePath, term, allowlist) {
   for (const [pattern, allowed] of Object.entries(allowlist)) {
     if (relativePath.includes(pattern)) {
@@ -1,25 +1,21 @@
 'use strict';
 
-const { execSync } = require('child_process');
-const { createResult, safeEnv } = require('./base-check');
+const { createResult, createTimeoutResult, runCommand, commandTimeout } = require('./base-check');
 
-function run(config, checkConfig) {
+const DEFAULT_TIMEOUT = 120;
+
+async function run(config, checkConfig) {
   const start = Date.now();
   const command = checkConfig.command || 'npm audit --production';
   const errors = [];
   const warnings = [];
-  let output = '';
 
-  try {
-    output = execSync(command, {
-      cwd: config.root,
-      stdio: 'pipe',
-      timeout: 120000,
-      env: safeEnv(),
-    }).toString();
-  } catch (err) {
-    // npm audit exits non-zero when vulnerabilities found - that's expected
-    output = ((err.stdout || '') + '' + (err.stderr || '')).toString();
+  // npm audit exits non-zero when vulnerabilities found - that's expected,
+  // so only the output matters here
+  const timeout = commandTimeout(checkConfig, DEFAULT_TIMEOUT);
+  const { output, timedOut } = await runCommand(command, { cwd: config.root, timeout });
+  if (timedOut) {
+    return createTimeoutResult('Security', { key: 'security', command, timeout, duration: Date.now() - start });
   }
 
   const vulns = parseAuditOutput(output);
@@ -31,9 +27,6 @@ function run(config, checkConfig) {
   if (high > 0) errors.push(`${high} high vulnerability(ies)`);
   if (moderate > 0) warnings.push(`${moderate} moderate vulnerability(ies)`);
 
-  const penaltyCount = critical + high;
-  const deduction = penaltyCount * 5;
-  const score = Math.max(0, checkConfig.weight - deduction);
   const passed = critical === 0 && high === 0;
   const duration = Date.now() - start;
 
@@ -43,7 +36,8 @@ function run(config, checkConfig) {
     errors,
     warnings,
     duration,
-    score,
+    // Scored from these counts by scorer.scoreCheck (-5 per critical/high by default)
+    counts: { critical, high, moderate, low: vulns.low || 0 },
   });
 }
 
@@ -1,30 +1,70 @@
 'use strict';
 
-const { execSync } = require('child_process');
-const { createResult, safeEnv } = require('./base-check');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResult, createTimeoutResult, runCommand, commandTimeout } = require('./base-check');
+const { readCoverage, checkThresholds, formatCoverage } = require('../core/coverage');
+const { withTestReporter, readTestResults, reportTests } = require('../core/test-results');
+const { getRevision } = require('../core/changed-files');
+const { loadReports, findFlakyTests } = require('../core/trend');
 
-function run(config, checkConfig) {
+const DEFAULT_TIMEOUT = 300;
+// Failing tests listed in the errors
+const MAX_FAILURES = 5;
+const MAX_MESSAGE_LENGTH = 200;
+// Saved reports searched for flaky tests
+const FLAKY_WINDOW = 10;
+// Flaky tests named in the warning
+const MAX_FLAKY_LISTED = 3;
+
+/**
+ * Run the test suite. Jest, Vitest and Mocha get a JSON reporter writing
+ * to a temp file, node:test's TAP output is read as is, and `resultsFile`
+ * points at a JUnit or JSON report the command writes itself. These give
+ * exact counts, skipped and todo tests and per-test durations; anything
+ * else falls back to reading the runner's summary line.
+ */
+async function run(config, checkConfig) {
+  const resultsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-tests-'));
+  try {
+    return await runTests(config, checkConfig, path.join(resultsDir, 'results.json'));
+  } finally {
+    fs.rmSync(resultsDir, { recursive: true, force: true });
+  }
+}
+
+async function runTests(config, checkConfig, reporterFile) {
   const start = Date.now();
   const command = checkConfig.command;
+  const reporter = withTestReporter(command, reporterFile);
+  // Taken before the run, in case the tests write to tracked files
+  const revision = getRevision(config.root);
   const errors = [];
   const warnings = [];
-  let output = '';
-  let exitedClean = true;
 
-  try {
-    output = execSync(command, {
-      cwd: config.root,
-      stdio: 'pipe',
-      timeout: 300000,
-      env: safeEnv(),
-    }).toString();
-  } catch (err) {
-    exitedClean = false;
-    output = ((err.stdout || '') + '' + (err.stderr || '')).toString();
+  const timeout = commandTimeout(checkConfig, DEFAULT_TIMEOUT);
+  const { ok: exitedClean, output, timedOut } = await runCommand(reporter ? reporter.command : command, { cwd: config.root, timeout });
+  if (timedOut) {
+    return createTimeoutResult('Tests', { key: 'test', command, timeout, duration: Date.now() - start });
   }
 
-  // Parse test results - try Jest format first, then generic
-  const testCounts = parseTestOutput(output);
+  const results = readTestResults({
+    root: config.root,
+    output,
+    reporter: reporter && { file: reporterFile, format: reporter.format },
+    resultsFile: checkConfig.resultsFile ? path.resolve(config.root, checkConfig.resultsFile) : null,
+    since: start,
+  });
+
+  // Tests that flipped between pass and fail in earlier reports
+  const flaky = results ? recentFlakyTests(config) : [];
+  const flakyNames = new Set(flaky.map(f => f.name));
+
+  // Without structured results, try the Jest summary format first, then generic
+  const testCounts = results
+    ? { passed: results.passed, failed: results.failed, total: results.passed + results.failed }
+    : parseTestOutput(output);
 
   if (!exitedClean && testCounts.total === 0) {
     errors.push('Test suite failed to run');
@@ -36,55 +76,107 @@ function run(config, checkConfig) {
     errors.push(`  Command: ${command}`);
   } else if (testCounts.failed > 0) {
     errors.push(`${testCounts.failed} test(s) failed`);
-    // Extract failing test names to help users find what broke
-    const failedNames = parseFailedTestNames(output);
-    for (const name of failedNames.slice(0, 5)) {
-      errors.push(`  FAIL: ${name}`);
+    // Name the failing tests to help users find what broke
+    const failures = results
+      ? results.tests.filter(t => t.status === 'failed')
+      : parseFailedTestNames(output).map(name => ({ name, message: null }));
+    for (const { name, message } of failures.slice(0, MAX_FAILURES)) {
+      errors.push(`  FAIL: ${name}${flakyNames.has(name) ? ' (flaky)' : ''}`);
+      if (message) errors.push(`    ${message.slice(0, MAX_MESSAGE_LENGTH)}`);
+    }
+    if (results && failures.every(f => flakyNames.has(f.name))) {
+      errors.push('  Hint: Every failing test has been flaky in recent runs. Rerun, or set retries on the test check');
     }
   }
 
+  if (testCounts.total > 0) {
+    warnings.push(`${testCounts.passed}/${testCounts.total} tests passed`);
+  }
+  if (results && (results.skipped > 0 || results.todo > 0)) {
+    warnings.push(`${results.skipped} skipped, ${results.todo} todo`);
+  }
+  if (flaky.length > 0) {
+    const listed = flaky.slice(0, MAX_FLAKY_LISTED).map(f => f.name).join(', ');
+    const more = flaky.length > MAX_FLAKY_LISTED ? ` and ${flaky.length - MAX_FLAKY_LISTED} more` : '';
+    warnings.push(`${flaky.length} flaky test(s) in recent runs: ${listed}${more} - see fortress trend --flaky`);
+  }
+
+  // A suite that failed to run has no coverage worth reporting
+  const ran = exitedClean || testCounts.total > 0;
+  const coverage = checkConfig.coverage && ran
+    ? applyCoverage(config, checkConfig, { since: start, output, errors, warnings })
+    : { total: null, ratio: 1 };
+
   const passed = errors.length === 0;
   const duration = Date.now() - start;
 
-  // Proportional scoring based on pass rate
-  const passRate = testCounts.total > 0
+  // Scored proportionally to the pass rate by scorer.scoreCheck, scaled
+  // down by how far coverage falls short of its thresholds
+  const passRate = (testCounts.total > 0
     ? testCounts.passed / testCounts.total
-    : (exitedClean ? 1 : 0);
-  const score = Math.round(checkConfig.weight * passRate);
-
-  if (testCounts.total > 0) {
-    warnings.push(`${testCounts.passed}/${testCounts.total} tests passed`);
-  }
+    : (exitedClean ? 1 : 0)) * coverage.ratio;
 
-  return createResult('Tests', {
+  const result = createResult('Tests', {
     key: 'test',
     passed,
     errors,
     warnings,
     duration,
-    score,
+    passRate,
+    counts: { error: testCounts.failed },
   });
+  // Coverage percentages and per-test details, for the report
+  return { ...result, coverage: coverage.total, tests: results ? reportTests(results, revision) : null };
 }
 
-function parseTestOutput(output) {
-  // Jest format: Tests: X passed, Y total
-  const jestPass = output.match(/Tests:\s+(\d+)\s+passed/);
-  const jestFail = output.match(/(\d+)\s+failed/);
-  const jestTotal = output.match(/(\d+)\s+total/);
+/**
+ * Flaky tests from the saved reports. Workspace runs save their reports
+ * at the workspace root with each check tagged by package, so a package
+ * only looks at its own tests.
+ */
+function recentFlakyTests(config) {
+  const reportRoot = config.workspaceRoot || config.root;
+  const reportDir = path.resolve(reportRoot, config.report?.outputDir || './fortress-reports/');
+  const pkg = config.workspaceRoot ? path.relative(config.workspaceRoot, config.root).replace(/\\/g, '/') : null;
+  return findFlakyTests(loadReports(reportDir, FLAKY_WINDOW)).filter(f => f.package === pkg);
+}
+
+/**
+ * Read the run's coverage and check it against `checkConfig.coverage`,
+ * adding the results to `errors` and `warnings`.
+ * @returns {{total: object|null, ratio: number}}
+ */
+function applyCoverage(config, checkConfig, { since, output, errors, warnings }) {
+  const thresholds = checkConfig.coverage;
+  const coverage = readCoverage(config.root, { file: thresholds.file, since, output });
+  if (!coverage) {
+    errors.push('No coverage data found');
+    errors.push('  Hint: Make the test command report coverage, e.g. jest --coverage, vitest run --coverage, c8 or node --test --experimental-test-coverage');
+    return { total: null, ratio: 0 };
+  }
+
+  warnings.push(`Coverage: ${formatCoverage(coverage.total)}`);
+  const { failures, warnings: notes, ratio } = checkThresholds(coverage, thresholds);
+  errors.push(...failures);
+  warnings.push(...notes);
+  return { total: coverage.total, ratio };
+}
 
-  if (jestPass || jestTotal) {
-    const passed = jestPass ? parseInt(jestPass[1], 10) : 0;
-    const failed = jestFail ? parseInt(jestFail[1], 10) : 0;
-    const total = jestTotal ? parseInt(jestTotal[1], 10) : passed + failed;
-    return { passed, failed, total };
+function parseTestOutput(output) {
+  // Jest format: "Tests:       1 failed, 1 skipped, 2 passed, 4 total"
+  const jestSummary = output.match(/^\s*Tests:\s+(.*\d+\s+total)\s*$/m);
+  if (jestSummary) {
+    const passed = countIn(jestSummary[1], 'passed');
+    const failed = countIn(jestSummary[1], 'failed');
+    return { passed, failed, total: passed + failed };
   }
 
-  // Vitest format: Tests  X passed (Y)
-  const vitestMatch = output.match(/Tests\s+(\d+)\s+passed\s+\((\d+)\)/);
-  if (vitestMatch) {
-    const passed = parseInt(vitestMatch[1], 10);
-    const total = parseInt(vitestMatch[2], 10);
-    return { passed, failed: total - passed, total };
+  // Vitest format: "Tests  1 failed | 3 passed | 1 skipped (5)"
+  const vitestSummary = output.match(/^\s*Tests\s+(.*\d+\s+(?:passed|failed).*)\(\d+\)\s*$/m);
+  if (vitestSummary) {
+    const passed = countIn(vitestSummary[1], 'passed');
+    const failed = countIn(vitestSummary[1], 'failed');
+    return { passed, failed, total: passed + failed };
   }
 
   // Node test runner: # pass X, # fail Y
@@ -108,6 +200,12 @@ function parseTestOutput(output) {
   return { passed: 0, failed: 0, total: 0 };
 }
 
+// "3" from "1 failed, 3 passed" for "passed"; 0 when absent
+function countIn(summary, label) {
+  const match = summary.match(new RegExp(`(\\d+)\\s+${label}\\b`));
+  return match ? parseInt(match[1], 10) : 0;
+}
+
 function parseFailedTestNames(output) {
   const names = [];
   const lines = output.split('\n');
@@ -159,4 +257,4 @@ function extractErrorHint(output, command) {
   return null;
 }
 
-module.exports = { run };
+module.exports = { run, parseTestOutput };
@@ -1,25 +1,49 @@
 'use strict';
 
-const { execSync } = require('child_process');
-const { createResult, safeEnv } = require('./base-check');
+const path = require('path');
+const { createResult, createFinding, createTimeoutResult, runCommand, commandTimeout } = require('./base-check');
 
-function run(config, checkConfig) {
+const DEFAULT_TIMEOUT = 120;
+
+// file(line,col): error TS2322: message   — default output
+// file:line:col - error TS2322: message   — --pretty output
+const DIAGNOSTIC = /^(.+?)(?:\((\d+),(\d+)\)|:(\d+):(\d+))\s*[:-]\s*(error|warning)\s+(TS\d+):\s*(.*)$/;
+// error TS5083: message                    — no location (config and build errors)
+const GLOBAL_DIAGNOSTIC = /^(error|warning)\s+(TS\d+):\s*(.*)$/;
+// Colors added by an explicit --pretty
+const ANSI_COLOR = /\x1b\[[0-9;]*m/g;
+
+// Error lines shown per run; every diagnostic is kept in findings
+const MAX_ERRORS = 20;
+
+// tsc -b / tsc --build, which writes each project's output
+const BUILD_MODE = /\btsc\b.*\s(?:-b|--build)(?=\s|$)/;
+
+/**
+ * Type-check with tsc. Works with `tsc --noEmit` and with `tsc -b` for
+ * project references, whose diagnostics use the same format with paths
+ * relative to the directory tsc ran in.
+ */
+async function run(config, checkConfig) {
   const start = Date.now();
   const command = checkConfig.command || 'npx tsc --noEmit';
   const errors = [];
+  let findings = [];
+  let errorCount = 0;
+
+  const timeout = commandTimeout(checkConfig, DEFAULT_TIMEOUT);
+  const { ok, output, timedOut } = await runCommand(command, { cwd: config.root, timeout });
+  if (timedOut) {
+    return createTimeoutResult('TypeScript', { key: 'typescript', command, timeout, duration: Date.now() - start });
+  }
+
+  if (!ok) {
+    findings = parseDiagnostics(output, config.root);
+    const diagnostics = findings.filter(f => f.severity === 'error');
 
-  try {
-    execSync(command, {
-      cwd: config.root,
-      stdio: 'pipe',
-      timeout: 120000,
-      env: safeEnv(),
-    });
-  } catch (err) {
-    const output = ((err.stdout || '') + '' + (err.stderr || '')).toString();
-
-    // TS18003: "No inputs were found" — no .ts files exist yet, not a real error
-    if (/TS18003/.test(output)) {
+    // TS18003: "No inputs were found" — no .ts files exist yet, not a real error.
+    // With project references other projects may still have errors.
+    if (diagnostics.length > 0 && diagnostics.every(f => f.ruleId === 'TS18003')) {
       const duration = Date.now() - start;
       return createResult('TypeScript', {
         passed: true,
@@ -29,13 +53,12 @@ function run(config, checkConfig) {
       });
     }
 
-    // Extract error lines (format: file(line,col): error TSxxxx: message)
-    const lines = output.split('\n').filter(l => l.includes('error TS'));
-    for (const line of lines.slice(0, 20)) {
-      errors.push(line.trim());
+    errorCount = diagnostics.length || 1;
+    for (const finding of diagnostics.slice(0, MAX_ERRORS)) {
+      errors.push(formatDiagnostic(finding));
     }
-    if (lines.length > 20) {
-      errors.push(`... and ${lines.length - 20} more errors`);
+    if (diagnostics.length > MAX_ERRORS) {
+      errors.push(`... and ${diagnostics.length - MAX_ERRORS} more errors`);
     }
     if (errors.length === 0) {
       errors.push('TypeScript compilation failed');
@@ -54,7 +77,65 @@ function run(config, checkConfig) {
     errors,
     duration,
     score: passed ? checkConfig.weight : 0,
+    findings,
+    counts: { error: errorCount },
   });
 }
 
-module.exports = { run };
+/**
+ * Parse tsc diagnostics into findings: file (null for diagnostics without
+ * a location), line, column, TS code as the rule id, and the first line
+ * of the message.
+ * @param {string} output - tsc stdout/stderr
+ * @param {string} root - Directory tsc ran in; absolute paths are made relative to it
+ */
+function parseDiagnostics(output, root) {
+  const findings = [];
+  for (const rawLine of output.split('\n')) {
+    const line = rawLine.replace(ANSI_COLOR, '').trim();
+    const match = line.match(DIAGNOSTIC);
+    if (match) {
+      const [, file, parenLine, parenCol, colonLine, colonCol, severity, code, message] = match;
+      findings.push(createFinding({
+        ruleId: code,
+        file: toRelative(file, root),
+        line: parseInt(parenLine || colonLine, 10),
+        column: parseInt(parenCol || colonCol, 10),
+        severity,
+        message,
+      }));
+      continue;
+    }
+
+    const global = line.match(GLOBAL_DIAGNOSTIC);
+    if (global) {
+      const [, severity, code, message] = global;
+      findings.push(createFinding({ ruleId: code, file: null, severity, message }));
+    }
+  }
+  return findings;
+}
+
+/**
+ * One error line per diagnostic in tsc's default format, so paths stay
+ * clickable and the baseline can match them.
+ */
+function formatDiagnostic({ file, line, column, severity, ruleId, message }) {
+  const text = `${severity} ${ruleId}: ${message}`;
+  return file ? `${file}(${line},${column}): ${text}` : text;
+}
+
+function toRelative(file, root) {
+  const relative = path.isAbsolute(file) ? path.relative(root, file) : file;
+  return relative.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * Whether a TypeScript command runs tsc in build mode, which writes
+ * output files and so mustn't overlap with the build check.
+ */
+function isBuildMode(command) {
+  return typeof command === 'string' && BUILD_MODE.test(command);
+}
+
+module.exports = { run, parseDiagnostics, isBuildMode };
@@ -0,0 +1,98 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const configLoader = require('../../core/config-loader');
+const runner = require('../../core/runner');
+const { findWorkspaces, runWorkspaces } = require('../../core/workspaces');
+const { baselinePath, saveBaseline, createBaseline } = require('../../core/baseline');
+const { parseFlags, createColors, exitOnError } = require('../helpers');
+const { isWorkspaceMode } = require('../workspace-mode');
+
+const flags = parseFlags();
+const c = createColors(flags);
+
+/**
+ * Record the current findings, ignoring any existing baseline.
+ */
+function withoutBaseline(config) {
+  config.baseline = { ...config.baseline, enabled: false };
+  if (flags.noCache) config.cache = { ...config.cache, enabled: false };
+  return config;
+}
+
+/**
+ * Write one project's baseline. An empty baseline is only written when
+ * it replaces an existing file.
+ * @returns {{file: string, checks: Object<string, number>, failing: string[], written: boolean}}
+ */
+function record(config, results, projectRoot) {
+  const baseline = createBaseline(results, config);
+  const filePath = baselinePath(config);
+  const checks = {};
+  for (const [key, entries] of Object.entries(baseline.checks)) {
+    checks[key] = entries.reduce((sum, e) => sum + e.count, 0);
+  }
+
+  // Failing checks without located findings (build, tests) can't be baselined
+  const failing = results
+    .filter(r => config.checks[r.key]?.enabled && !r.passed && !checks[r.key])
+    .map(r => r.name);
+
+  const written = Object.keys(checks).length > 0 || fs.existsSync(filePath);
+  if (written) saveBaseline(filePath, baseline);
+
+  return { file: path.relative(projectRoot, filePath), checks, failing, written };
+}
+
+(async () => {
+  const projectRoot = process.cwd();
+  const config = withoutBaseline(await configLoader.load(projectRoot, { profile: flags.profile }));
+
+  const recorded = [];
+  if (isWorkspaceMode(flags, config)) {
+    const { packages: packagePaths } = findWorkspaces(projectRoot);
+    if (packagePaths.length === 0) {
+      console.error('Error: No workspace packages found.');
+      process.exit(1);
+    }
+    const run = await runWorkspaces(projectRoot, packagePaths, { rootConfig: config, prepare: withoutBaseline, profile: flags.profile });
+    for (const pkg of run.packages) {
+      recorded.push({ package: pkg.path, ...record(pkg.config, pkg.results, projectRoot), results: pkg.results });
+    }
+  } else {
+    const results = await runner.run(config);
+    recorded.push({ package: null, ...record(config, results, projectRoot), results });
+  }
+
+  if (flags.isJSON) {
+    const output = recorded.map(({ results, ...entry }) => entry);
+    process.stdout.write(JSON.stringify(recorded.length === 1 && !recorded[0].package ? output[0] : output, null, 2) + '\n');
+    process.exit(0);
+  }
+
+  console.log(`\n${c.bold}${c.blue}Fortress Baseline${c.reset}`);
+  console.log(`${c.gray}Recording current findings...${c.reset}\n`);
+
+  for (const entry of recorded) {
+    if (entry.package) console.log(`${c.bold}${entry.package}${c.reset}`);
+    const names = new Map(entry.results.map(r => [r.key, r.name]));
+
+    for (const [key, count] of Object.entries(entry.checks)) {
+      console.log(`  ${c.yellow}[BASELINED]${c.reset} ${names.get(key) || key} ${c.gray}${count} finding(s)${c.reset}`);
+    }
+    for (const name of entry.failing) {
+      console.log(`  ${c.red}[FAIL]${c.reset} ${name} ${c.gray}no file-level findings to baseline - still fails until fixed${c.reset}`);
+    }
+
+    if (!entry.written) {
+      console.log(`  ${c.gray}No findings to baseline${c.reset}`);
+    } else {
+      const total = Object.values(entry.checks).reduce((sum, n) => sum + n, 0);
+      console.log(`  ${c.green}Saved ${entry.file}${c.reset} ${c.gray}(${total} finding(s) - commit this file)${c.reset}`);
+    }
+    console.log('');
+  }
+
+  process.exit(0);
+})().catch(exitOnError);
@@ -0,0 +1,46 @@
+'use strict';
+
+const { readConfigLayers, findConfigFile, validateLayers } = require('../../core/config-loader');
+const { formatIssue } = require('../../core/config-schema');
+const { parseFlags, createColors, exitOnError } = require('../helpers');
+
+const flags = parseFlags();
+const c = createColors(flags);
+
+const subcommand = process.argv[3];
+if (subcommand !== 'validate') {
+  console.error(subcommand
+    ? `Unknown config command: "${subcommand}". Usage: fortress config validate`
+    : 'Usage: fortress config validate');
+  process.exit(1);
+}
+
+(async () => {
+  const projectRoot = process.cwd();
+  const configFile = findConfigFile(projectRoot);
+  const issues = configFile ? validateLayers(await readConfigLayers(projectRoot)) : [];
+
+  if (flags.isJSON) {
+    process.stdout.write(JSON.stringify({ file: configFile?.name ?? null, valid: issues.length === 0, issues }, null, 2) + '\n');
+    process.exit(issues.length === 0 ? 0 : 1);
+  }
+
+  console.log('');
+  if (!configFile) {
+    console.log(`  ${c.gray}No Fortress config found - Fortress uses auto-detected defaults.${c.reset}`);
+    console.log(`  ${c.gray}Run ${c.reset}${c.bold}fortress init${c.reset}${c.gray} to create one.${c.reset}\n`);
+    process.exit(0);
+  }
+
+  if (issues.length === 0) {
+    console.log(`  ${c.green}[PASS]${c.reset} ${configFile.name} is valid\n`);
+    process.exit(0);
+  }
+
+  console.log(`  ${c.red}[FAIL]${c.reset} ${configFile.name} has ${issues.length} problem(s):\n`);
+  for (const issue of issues) {
+    console.log(`         ${c.red}${formatIssue(issue)}${c.reset}`);
+  }
+  console.log('');
+  process.exit(1);
+})().catch(exitOnError);
@@ -0,0 +1,131 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const configLoader = require('../../core/config-loader');
+const { loadReports } = require('../../core/trend');
+const { diffReports, loadReportFile } = require('../../core/diff');
+const { parseFlags, parsePositional, createColors, exitOnError } = require('../helpers');
+
+const flags = parseFlags();
+const c = createColors(flags);
+
+const MAX_LISTED = 30;
+
+(async () => {
+  const projectRoot = process.cwd();
+  const config = await configLoader.load(projectRoot, { profile: flags.profile });
+  const reportDir = path.resolve(projectRoot, config.report?.outputDir || './fortress-reports/');
+
+  // Positional args: [reportA] [reportB] — default to the two latest reports
+  const positional = parsePositional();
+  if (positional.length > 2) {
+    console.error('Error: fortress diff takes at most two reports (e.g., fortress diff old.json new.json)');
+    process.exit(1);
+  }
+
+  /**
+   * Accept a path relative to the cwd, or a bare file name in the report directory.
+   */
+  function resolveReportPath(arg) {
+    const direct = path.resolve(projectRoot, arg);
+    if (fs.existsSync(direct)) return direct;
+    const inReportDir = path.join(reportDir, arg);
+    return fs.existsSync(inReportDir) ? inReportDir : direct;
+  }
+
+  const latest = loadReports(reportDir, 2).map(r => path.join(reportDir, r.file));
+  let files;
+  if (positional.length === 2) {
+    files = positional.map(resolveReportPath);
+  } else if (positional.length === 1) {
+    files = [resolveReportPath(positional[0]), latest[latest.length - 1]];
+  } else {
+    files = latest;
+  }
+
+  if (files.length < 2 || !files[1]) {
+    console.error('Error: Need two reports to compare.');
+    console.error('  Run "fortress report" to save one, or pass two report files: fortress diff <old.json> <new.json>');
+    process.exit(1);
+  }
+
+  let before, after;
+  try {
+    before = loadReportFile(files[0]);
+    after = loadReportFile(files[1]);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const diff = diffReports(before, after);
+
+  if (flags.isJSON) {
+    process.stdout.write(JSON.stringify({
+      before: { file: path.basename(files[0]), timestamp: before.timestamp },
+      after: { file: path.basename(files[1]), timestamp: after.timestamp },
+      ...diff,
+    }, null, 2) + '\n');
+    process.exit(0);
+  }
+
+  const signed = n => (n > 0 ? `+${n}` : `${n}`);
+  const deltaColor = n => (n > 0 ? c.green : n < 0 ? c.red : c.gray);
+  const checkLabel = check => (check.package ? `${check.package}: ${check.name}` : check.name);
+
+  console.log(`\n${c.bold}${c.blue}Fortress Diff${c.reset}`);
+  console.log(`${c.gray}${path.basename(files[0])} → ${path.basename(files[1])}${c.reset}\n`);
+
+  const { score } = diff;
+  console.log(`  ${c.bold}Score:${c.reset} ${score.before} → ${score.after} ${deltaColor(score.delta)}(${signed(score.delta)})${c.reset}`);
+  if (diff.deployReady.before !== diff.deployReady.after) {
+    console.log(diff.deployReady.after
+      ? `  ${c.green}Now deploy ready${c.reset}`
+      : `  ${c.red}No longer deploy ready${c.reset}`);
+  }
+
+  // Checks that changed state or score; unchanged ones are left out
+  const STATUS_LABELS = {
+    fixed: `${c.green}[FIXED]${c.reset}`,
+    broken: `${c.red}[BROKEN]${c.reset}`,
+    added: `${c.blue}[ENABLED]${c.reset}`,
+    removed: `${c.gray}[DISABLED]${c.reset}`,
+    unchanged: `${c.yellow}[SCORE]${c.reset}`,
+  };
+  const changed = diff.checks.filter(check =>
+    check.status !== 'disabled' && (check.status !== 'unchanged' || check.scoreDelta !== 0)
+  );
+
+  console.log(`\n  ${c.bold}Checks${c.reset}`);
+  if (changed.length === 0) {
+    console.log(`  ${c.gray}No check changed state or score${c.reset}`);
+  }
+  for (const check of changed) {
+    const fmt = side => (side ? `${side.score}/${side.maxScore}` : 'off');
+    console.log(
+      `  ${STATUS_LABELS[check.status]} ${checkLabel(check)} ` +
+      `${c.gray}${fmt(check.before)} → ${fmt(check.after)}${c.reset} ` +
+      `${deltaColor(check.scoreDelta)}(${signed(check.scoreDelta)})${c.reset}`
+    );
+  }
+
+  function listErrors(title, errors, marker, color) {
+    console.log(`\n  ${c.bold}${title} (${errors.length})${c.reset}`);
+    if (errors.length === 0) {
+      console.log(`  ${c.gray}None${c.reset}`);
+      return;
+    }
+    for (const e of errors.slice(0, MAX_LISTED)) {
+      const where = e.file ? `${e.file}${e.line ? `:${e.line}` : ''}  ` : '';
+      console.log(`  ${color}${marker}${c.reset} ${c.gray}${checkLabel(e)}${c.reset}  ${where}${e.label}`);
+    }
+    if (errors.length > MAX_LISTED) {
+      console.log(`  ${c.gray}... and ${errors.length - MAX_LISTED} more (use --json for the full list)${c.reset}`);
+    }
+  }
+
+  listErrors('New errors', diff.newErrors, '+', c.red);
+  listErrors('Fixed errors', diff.fixedErrors, '-', c.green);
+  console.log('');
+})().catch(exitOnError);
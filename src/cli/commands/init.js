@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const detector = require('../../core/detector');
+const { findConfigFile, getTypeScriptCommand } = require('../../core/config-loader');
 const claudeHelpers = require('../claude-helpers');
 
 const ENABLE_COLORS = process.stdout.isTTY;
@@ -95,9 +96,23 @@ function getAuditCommand(det) {
   }
 }
 
-function generateConfig(detected, originalDetected) {
+/**
+ * fortress.config.cjs in "type": "module" packages, where a .js config
+ * would load as an ES module and `module.exports` would fail.
+ */
+function configFileName(projectRoot) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf-8'));
+    if (pkg?.type === 'module') return 'fortress.config.cjs';
+  } catch {
+    // No package.json: CommonJS
+  }
+  return 'fortress.config.js';
+}
+
+function generateConfig(detected, originalDetected, configName) {
   const projectRoot = process.cwd();
-  const configPath = path.join(projectRoot, 'fortress.config.js');
+  const configPath = path.join(projectRoot, configName);
 
   const template = fs.readFileSync(
     path.join(__dirname, '../../templates/fortress.config.js'),
@@ -113,7 +128,7 @@ function generateConfig(detected, originalDetected) {
   const testInstalled = !!orig.testFramework || detected.testFramework === 'node:test';
   const buildAvailable = !!orig.buildCommand;
 
-  const tsCommand = detected.language === 'typescript' ? 'npx tsc --noEmit' : '';
+  const tsCommand = detected.language === 'typescript' ? getTypeScriptCommand(detected) : '';
   const lintCommand = getLintCommand(detected);
   const testCommand = getTestCommand(detected);
   const securityCommand = getAuditCommand(detected);
@@ -147,7 +162,10 @@ function generateConfig(detected, originalDetected) {
 
   fs.writeFileSync(configPath, config);
 
-  const filesCreated = [`${c.green}${c.bold}Created fortress.config.js${c.reset}`];
+  const filesCreated = [`${c.green}${c.bold}Created ${configName}${c.reset}`];
+  if (tsCommand && tsInstalled && detected.projectReferences) {
+    filesCreated.push(`${c.yellow}TypeScript uses tsc -b${c.reset} ${c.gray}(project references) - it writes build output to each project's outDir, like your build${c.reset}`);
+  }
 
   try {
     claudeHelpers.updateClaudeMd(projectRoot, detected);
@@ -171,20 +189,20 @@ function generateConfig(detected, originalDetected) {
     filesCreated.push(`${c.yellow}Git hook installation skipped${c.reset} ${c.gray}(non-critical)${c.reset}`);
   }
 
-  // Ensure fortress-reports/ is in .gitignore to prevent accidental commit of reports
+  // Ensure reports and the result cache are in .gitignore to prevent accidental commits
   try {
     const gitignorePath = path.join(projectRoot, '.gitignore');
     let gitignore = '';
     if (fs.existsSync(gitignorePath)) {
       gitignore = fs.readFileSync(gitignorePath, 'utf-8');
     }
-    const entries = ['fortress-reports/'];
+    const entries = ['fortress-reports/', '.fortress-cache/'];
     const missing_entries = entries.filter(e => !gitignore.split('\n').some(line => line.trim() === e));
     if (missing_entries.length > 0) {
       const addition = (gitignore && !gitignore.endsWith('\n') ? '\n' : '') +
         '\n# Fortress System reports\n' + missing_entries.join('\n') + '\n';
       fs.appendFileSync(gitignorePath, addition);
-      filesCreated.push(`${c.green}${c.bold}Updated .gitignore${c.reset} ${c.gray}(added fortress-reports/)${c.reset}`);
+      filesCreated.push(`${c.green}${c.bold}Updated .gitignore${c.reset} ${c.gray}(added ${missing_entries.join(', ')})${c.reset}`);
     }
   } catch {
     // Non-critical — don't block init
@@ -272,18 +290,23 @@ async function runWizard(detected) {
 
 (async () => {
   const projectRoot = process.cwd();
-  const configPath = path.join(projectRoot, 'fortress.config.js');
+  const configName = configFileName(projectRoot);
   const args = process.argv.slice(2);
   const skipWizard = args.includes('--yes') || args.includes('-y');
   const force = args.includes('--force');
 
   // Check for existing config
-  if (fs.existsSync(configPath)) {
-    console.log(`\n${c.yellow}fortress.config.js already exists.${c.reset}`);
+  const existing = findConfigFile(projectRoot);
+  if (existing) {
+    console.log(`\n${c.yellow}${existing.name} already exists.${c.reset}`);
     if (!force) {
       console.log(`Use ${c.bold}fortress init --force${c.reset} to overwrite.\n`);
       process.exit(0);
     }
+    if (existing.path !== path.join(projectRoot, configName)) {
+      console.log(`Remove it first so the generated ${configName} is used.\n`);
+      process.exit(1);
+    }
     console.log(`${c.gray}--force flag detected, overwriting...${c.reset}\n`);
   }
 
@@ -326,7 +349,7 @@ async function runWizard(detected) {
   }
 
   // Step 7: Write files
-  const { filesCreated, missing } = generateConfig(finalConfig, originalDetected);
+  const { filesCreated, missing } = generateConfig(finalConfig, originalDetected, configName);
   console.log('');
   for (const line of filesCreated) {
     console.log(`  ${line}`);
@@ -2,101 +2,141 @@
 
 const path = require('path');
 const configLoader = require('../../core/config-loader');
-const { loadReports, getTrend, sparkline, formatDate } = require('../../core/trend');
-const { parseFlags, createColors } = require('../helpers');
+const { loadReports, getTrend, sparkline, findFlakyTests, formatDate } = require('../../core/trend');
+const { parseFlags, createColors, exitOnError } = require('../helpers');
 
 const flags = parseFlags();
 const c = createColors(flags);
 
-const projectRoot = process.cwd();
-const config = configLoader.load(projectRoot);
-
-// Parse --limit flag
-const args = process.argv.slice(2);
-let limit = 10;
-const limitIdx = args.indexOf('--limit');
-if (limitIdx !== -1) {
-  const nextArg = args[limitIdx + 1];
-  if (!nextArg || nextArg.startsWith('--')) {
-    console.error('Error: --limit requires a numeric value (e.g., --limit 20)');
-    process.exit(1);
+(async () => {
+  const projectRoot = process.cwd();
+  const config = await configLoader.load(projectRoot, { profile: flags.profile });
+
+  // Parse --limit flag
+  const args = process.argv.slice(2);
+  let limit = 10;
+  const limitIdx = args.indexOf('--limit');
+  if (limitIdx !== -1) {
+    const nextArg = args[limitIdx + 1];
+    if (!nextArg || nextArg.startsWith('--')) {
+      console.error('Error: --limit requires a numeric value (e.g., --limit 20)');
+      process.exit(1);
+    }
+    const parsed = parseInt(nextArg, 10);
+    if (isNaN(parsed) || parsed <= 0) {
+      console.error(`Error: --limit value must be a positive number, got "${nextArg}"`);
+      process.exit(1);
+    }
+    limit = parsed;
   }
-  const parsed = parseInt(nextArg, 10);
-  if (isNaN(parsed) || parsed <= 0) {
-    console.error(`Error: --limit value must be a positive number, got "${nextArg}"`);
-    process.exit(1);
+
+  const outputDir = config.report?.outputDir || './fortress-reports/';
+  const reportDir = path.resolve(projectRoot, outputDir);
+  const reports = loadReports(reportDir, limit);
+
+  if (args.includes('--flaky')) {
+    printFlakyTests(reports);
+    process.exit(0);
   }
-  limit = parsed;
-}
 
-const outputDir = config.report?.outputDir || './fortress-reports/';
-const reportDir = path.resolve(projectRoot, outputDir);
-const reports = loadReports(reportDir, limit);
+  if (reports.length === 0) {
+    if (flags.isJSON) {
+      process.stdout.write(JSON.stringify({ reports: [], trend: 'insufficient', sparkline: '' }, null, 2) + '\n');
+    } else {
+      console.log(`\n${c.bold}${c.blue}Fortress Trend${c.reset}`);
+      console.log(`\n  ${c.yellow}No reports found.${c.reset}`);
+      console.log(`  ${c.gray}Run ${c.reset}${c.bold}fortress report${c.reset}${c.gray} to generate your first report.${c.reset}\n`);
+    }
+    process.exit(0);
+  }
+
+  const trend = getTrend(reports);
+  const spark = sparkline(reports);
 
-if (reports.length === 0) {
+  // JSON mode
   if (flags.isJSON) {
-    process.stdout.write(JSON.stringify({ reports: [], trend: 'insufficient', sparkline: '' }, null, 2) + '\n');
-  } else {
-    console.log(`\n${c.bold}${c.blue}Fortress Trend${c.reset}`);
-    console.log(`\n  ${c.yellow}No reports found.${c.reset}`);
-    console.log(`  ${c.gray}Run ${c.reset}${c.bold}fortress report${c.reset}${c.gray} to generate your first report.${c.reset}\n`);
+    const output = {
+      reports: reports.map(r => ({
+        timestamp: r.timestamp,
+        score: r.score,
+        deployReady: r.deployReady,
+        duration: r.duration,
+      })),
+      trend,
+      sparkline: spark,
+    };
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    process.exit(0);
   }
-  process.exit(0);
-}
 
-const trend = getTrend(reports);
-const spark = sparkline(reports);
-
-// JSON mode
-if (flags.isJSON) {
-  const output = {
-    reports: reports.map(r => ({
-      timestamp: r.timestamp,
-      score: r.score,
-      deployReady: r.deployReady,
-      duration: r.duration,
-    })),
-    trend,
-    sparkline: spark,
+  // Console mode
+  console.log(`\n${c.bold}${c.blue}Fortress Trend${c.reset}`);
+  console.log(`${c.gray}Score history across ${reports.length} report${reports.length === 1 ? '' : 's'}${c.reset}\n`);
+
+  // Sparkline
+  console.log(`  ${c.bold}Sparkline:${c.reset} ${spark}\n`);
+
+  // Table header
+  const dateWidth = 18;
+  const scoreWidth = 7;
+  const statusWidth = 12;
+  console.log(`  ${c.bold}${'Date'.padEnd(dateWidth)}${'Score'.padEnd(scoreWidth)}${'Status'.padEnd(statusWidth)}${c.reset}`);
+  console.log(`  ${'─'.repeat(dateWidth + scoreWidth + statusWidth)}`);
+
+  // Table rows
+  for (const report of reports) {
+    const date = formatDate(report.timestamp).padEnd(dateWidth);
+    const scoreColor = report.score >= 95 ? c.green : report.score >= 80 ? c.yellow : c.red;
+    const score = `${scoreColor}${String(report.score).padEnd(scoreWidth)}${c.reset}`;
+    const status = report.deployReady
+      ? `${c.green}deploy ready${c.reset}`
+      : `${c.red}not ready${c.reset}`;
+
+    console.log(`  ${date}${score}${status}`);
+  }
+
+  // Trend direction
+  console.log('');
+  const trendIcons = {
+    improving: `${c.green}↑ Improving${c.reset}`,
+    declining: `${c.red}↓ Declining${c.reset}`,
+    stable: `${c.yellow}→ Stable${c.reset}`,
+    insufficient: `${c.gray}? Not enough data${c.reset}`,
   };
-  process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+  console.log(`  ${c.bold}Trend:${c.reset} ${trendIcons[trend]}\n`);
+
   process.exit(0);
-}
+})().catch(exitOnError);
 
-// Console mode
-console.log(`\n${c.bold}${c.blue}Fortress Trend${c.reset}`);
-console.log(`${c.gray}Score history across ${reports.length} report${reports.length === 1 ? '' : 's'}${c.reset}\n`);
-
-// Sparkline
-console.log(`  ${c.bold}Sparkline:${c.reset} ${spark}\n`);
-
-// Table header
-const dateWidth = 18;
-const scoreWidth = 7;
-const statusWidth = 12;
-console.log(`  ${c.bold}${'Date'.padEnd(dateWidth)}${'Score'.padEnd(scoreWidth)}${'Status'.padEnd(statusWidth)}${c.reset}`);
-console.log(`  ${'─'.repeat(dateWidth + scoreWidth + statusWidth)}`);
-
-// Table rows
-for (const report of reports) {
-  const date = formatDate(report.timestamp).padEnd(dateWidth);
-  const scoreColor = report.score >= 95 ? c.green : report.score >= 80 ? c.yellow : c.red;
-  const score = `${scoreColor}${String(report.score).padEnd(scoreWidth)}${c.reset}`;
-  const status = report.deployReady
-    ? `${c.green}deploy ready${c.reset}`
-    : `${c.red}not ready${c.reset}`;
-
-  console.log(`  ${date}${score}${status}`);
-}
+/**
+ * `fortress trend --flaky`: tests that flipped between pass and fail
+ * without code changes in the loaded reports.
+ */
+function printFlakyTests(reports) {
+  const flaky = findFlakyTests(reports);
+
+  if (flags.isJSON) {
+    process.stdout.write(JSON.stringify({ runs: reports.length, flaky }, null, 2) + '\n');
+    return;
+  }
+
+  console.log(`\n${c.bold}${c.blue}Fortress Flaky Tests${c.reset}`);
+  console.log(`${c.gray}Tests that both passed and failed on the same code across ${reports.length} report${reports.length === 1 ? '' : 's'}${c.reset}\n`);
+
+  if (flaky.length === 0) {
+    console.log(`  ${c.green}No flaky tests found.${c.reset}`);
+    if (reports.length < 2) {
+      console.log(`  ${c.gray}Run ${c.reset}${c.bold}fortress report${c.reset}${c.gray} a few times to collect test history.${c.reset}`);
+    }
+    console.log('');
+    return;
+  }
 
-// Trend direction
-console.log('');
-const trendIcons = {
-  improving: `${c.green}↑ Improving${c.reset}`,
-  declining: `${c.red}↓ Declining${c.reset}`,
-  stable: `${c.yellow}→ Stable${c.reset}`,
-  insufficient: `${c.gray}? Not enough data${c.reset}`,
-};
-console.log(`  ${c.bold}Trend:${c.reset} ${trendIcons[trend]}\n`);
-
-process.exit(0);
+  for (const test of flaky) {
+    const name = test.package ? `${test.package}: ${test.name}` : test.name;
+    const lastFailed = test.lastFailed ? `, last failed ${formatDate(test.lastFailed)}` : '';
+    console.log(`  ${c.yellow}${name}${c.reset}`);
+    console.log(`    ${c.gray}failed ${test.failed} of ${test.passed + test.failed} runs${lastFailed}${c.reset}`);
+  }
+  console.log('');
+}
@@ -0,0 +1,149 @@
+'use strict';
+
+const configLoader = require('../../core/config-loader');
+const runner = require('../../core/runner');
+const scorer = require('../../core/scorer');
+const { affectedChecks, getSkipDirs, watchProject, debounceChanges } = require('../../core/watch');
+const { parseFlags, createColors, renderCheckResults, renderNoChecksEnabled, exitOnError } = require('../helpers');
+
+const flags = parseFlags();
+const c = createColors(flags);
+const canRedraw = process.stdout.isTTY && !flags.isCI;
+
+const projectRoot = process.cwd();
+
+/**
+ * Load config with the `quick` profile, like `fortress quick`. On reloads
+ * a broken config is reported instead of ending the watch.
+ */
+async function loadWatchConfig({ strict = false } = {}) {
+  const load = strict ? configLoader.loadStrict : configLoader.load;
+  const config = await load(projectRoot, { profile: ['quick', flags.profile].filter(p => p !== null) });
+  if (flags.noCache) config.cache = { ...config.cache, enabled: false };
+  return config;
+}
+
+let config;
+let results = [];
+let running = false;
+let queued = null;
+let lastChange = null;
+
+function render(status) {
+  if (canRedraw) {
+    process.stdout.write('\x1b[2J\x1b[H');
+  } else {
+    console.log('\n' + '─'.repeat(50));
+  }
+
+  console.log(`\n${c.bold}${c.blue}Fortress Watch${c.reset}`);
+  if (lastChange) {
+    const files = lastChange.files.slice(0, 3).join(', ') + (lastChange.files.length > 3 ? ` +${lastChange.files.length - 3} more` : '');
+    console.log(`${c.gray}Changed: ${files}${c.reset}\n`);
+  } else {
+    console.log(`${c.gray}Initial run${c.reset}\n`);
+  }
+
+  // Nothing to show until the first run finishes
+  if (results.length === 0) {
+    console.log(`  ${c.gray}${status}${c.reset}\n`);
+    return;
+  }
+
+  const { enabledCount } = renderCheckResults(results, config, c);
+
+  console.log('\n' + '─'.repeat(50));
+  if (enabledCount === 0) {
+    renderNoChecksEnabled(c);
+  } else {
+    const scoreResult = scorer.calculate(results, config);
+    const scoreColor = scoreResult.score >= 95 ? c.green : scoreResult.score >= 80 ? c.yellow : c.red;
+    console.log(`${c.bold}  Score: ${scoreColor}${scoreResult.score}/100${c.reset}`);
+  }
+  console.log(`  ${c.gray}${status}${c.reset}\n`);
+}
+
+/**
+ * Rerun the given checks and merge their results into the current set.
+ * Runs never overlap — changes that arrive mid-run are queued. A run that
+ * throws is reported and the watch carries on.
+ */
+async function rerun(keys) {
+  if (running) {
+    queued = [...new Set([...(queued || []), ...keys])];
+    return;
+  }
+  running = true;
+  let status = 'Watching for changes... (Ctrl+C to exit)';
+  try {
+    render(`Running ${keys.length === Object.keys(config.checks).length ? 'all checks' : keys.join(', ')}...`);
+    const fresh = await runner.run(config, { only: keys });
+    const byKey = new Map(results.map(r => [r.key, r]));
+    for (const result of fresh) byKey.set(result.key, result);
+    results = Object.keys(config.checks).map(key => byKey.get(key)).filter(Boolean);
+  } catch (err) {
+    status = `Run failed: ${err.message}`;
+  } finally {
+    running = false;
+  }
+  render(status);
+
+  if (queued) {
+    const next = queued;
+    queued = null;
+    rerun(next);
+  }
+}
+
+let skipDirs = [];
+let watcher = null;
+
+function startWatching() {
+  watcher = watchProject(projectRoot, skipDirs, debounceChanges((files) => {
+    lastChange = { files };
+
+    // Config edits can change anything — reload and rerun everything
+    const configFile = files.find(isConfigFile);
+    if (configFile) {
+      reloadConfig(configFile);
+      return;
+    }
+
+    const keys = affectedChecks(config, files);
+    if (keys.length > 0) rerun(keys);
+  }));
+}
+
+/**
+ * Any config source counts, including package.json — it can hold the
+ * config and also feeds stack detection.
+ */
+function isConfigFile(file) {
+  return configLoader.CONFIG_FILES.includes(file) || file === 'package.json';
+}
+
+async function reloadConfig(file) {
+  try {
+    config = await loadWatchConfig({ strict: true });
+  } catch (err) {
+    render(`Failed to reload ${file}: ${err.message}`);
+    return;
+  }
+  skipDirs = getSkipDirs(config);
+  watcher.close();
+  startWatching();
+  rerun(Object.keys(config.checks));
+}
+
+process.on('SIGINT', () => {
+  if (watcher) watcher.close();
+  console.log('');
+  process.exit(0);
+});
+
+(async () => {
+  config = await loadWatchConfig();
+  skipDirs = getSkipDirs(config);
+  startWatching();
+  rerun(Object.keys(config.checks));
+})().catch(exitOnError);
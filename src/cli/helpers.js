@@ -1,5 +1,12 @@
 'use strict';
 
+const reporter = require('../core/reporter');
+
+const FORMAT_LABELS = { sarif: 'SARIF', junit: 'JUnit', html: 'HTML', markdown: 'Markdown' };
+
+// Flags followed by a value, which isn't a positional argument
+const VALUE_FLAGS = ['--profile', '--format'];
+
 /**
  * Parse CLI flags and detect CI environment.
  */
@@ -7,7 +14,61 @@ function parseFlags(argv) {
   const args = argv || process.argv.slice(2);
   const isCI = args.includes('--ci') || process.env.CI === 'true';
   const isJSON = args.includes('--json');
-  return { isCI, isJSON };
+  const noCache = args.includes('--no-cache');
+  const workspaces = args.includes('--workspaces');
+
+  // --profile <name>, else FORTRESS_PROFILE: '' when the value is missing
+  let profile = process.env.FORTRESS_PROFILE || null;
+  const profileIdx = args.indexOf('--profile');
+  if (profileIdx !== -1) {
+    const nextArg = args[profileIdx + 1];
+    profile = nextArg && !nextArg.startsWith('--') ? nextArg : '';
+  }
+
+  // --format <name>: null when absent, '' when the value is missing
+  let format = null;
+  const formatIdx = args.indexOf('--format');
+  if (formatIdx !== -1) {
+    const nextArg = args[formatIdx + 1];
+    format = nextArg && !nextArg.startsWith('--') ? nextArg : '';
+  }
+
+  return { isCI, isJSON, noCache, workspaces, format, profile };
+}
+
+/**
+ * A command's positional arguments: everything after the command name
+ * that isn't a flag or a flag's value.
+ */
+function parsePositional(argv) {
+  const args = argv || process.argv.slice(3);
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (VALUE_FLAGS.includes(args[i])) {
+      if (args[i + 1] && !args[i + 1].startsWith('--')) i++;
+    } else if (!args[i].startsWith('--')) {
+      positional.push(args[i]);
+    }
+  }
+  return positional;
+}
+
+/**
+ * Validate --format against the formats a command supports.
+ * Prints an error and exits on a missing or unknown format.
+ * @returns {string|null} The chosen format, or null when not given
+ */
+function resolveFormat(flags, supported) {
+  if (flags.format === null) return null;
+  if (!flags.format) {
+    console.error(`Error: --format requires a value (${supported.join(', ')})`);
+    process.exit(1);
+  }
+  if (!supported.includes(flags.format)) {
+    console.error(`Error: Unknown format "${flags.format}". Supported: ${supported.join(', ')}`);
+    process.exit(1);
+  }
+  return flags.format;
 }
 
 /**
@@ -43,7 +104,9 @@ function renderCheckResults(results, config, c, { showScore = false } = {}) {
     }
 
     const icon = result.passed ? `${c.green}[PASS]` : `${c.red}[FAIL]`;
-    const duration = result.duration > 0 ? ` ${c.gray}(${(result.duration / 1000).toFixed(1)}s)${c.reset}` : '';
+    const duration = result.cached
+      ? ` ${c.gray}(cached)${c.reset}`
+      : result.duration > 0 ? ` ${c.gray}(${(result.duration / 1000).toFixed(1)}s)${c.reset}` : '';
 
     if (showScore) {
       const weight = checkConfig.weight || 0;
@@ -76,6 +139,40 @@ function renderCheckResults(results, config, c, { showScore = false } = {}) {
   return { allPassed, enabledCount };
 }
 
+/**
+ * Save a report in each of the given formats and print where it went.
+ * @param {string[]} formats - Keys of reporter.FORMATS
+ * @returns {boolean} true if every file was saved
+ */
+function saveReports(report, outputDir, formats, c) {
+  console.log('');
+  try {
+    for (const f of formats) {
+      const savedPath = reporter.saveReport(report, outputDir, f);
+      const label = f === 'json' ? 'Report' : `${FORMAT_LABELS[f] || f} report`;
+      console.log(`  ${c.gray}${label} saved: ${savedPath}${c.reset}`);
+    }
+    console.log('');
+    return true;
+  } catch (err) {
+    console.error(`\n  ${c.red}${c.bold}Failed to save report:${c.reset} ${err.message}\n`);
+    return false;
+  }
+}
+
+/**
+ * With --format markdown, also append the summary to the GitHub Actions
+ * job summary. Problems are reported on stderr so --json output stays clean.
+ */
+function writeStepSummary(report, format, c) {
+  if (format !== 'markdown') return;
+  try {
+    reporter.appendStepSummary(report);
+  } catch (err) {
+    console.error(`  ${c.yellow}Could not write GITHUB_STEP_SUMMARY:${c.reset} ${err.message}`);
+  }
+}
+
 /**
  * Render the "no checks enabled" guidance block.
  */
@@ -88,4 +185,35 @@ function renderNoChecksEnabled(c) {
   console.log(`  ${c.gray}•${c.reset} Or edit ${c.bold}fortress.config.js${c.reset} and set ${c.bold}enabled: true${c.reset} on the checks you want\n`);
 }
 
-module.exports = { parseFlags, createColors, renderCheckResults, renderNoChecksEnabled };
+/**
+ * List failing `required: true` checks, which block deploy regardless of score.
+ * @param {Array<{name: string, package?: string}>} failures - From scorer.calculate or the report
+ */
+function renderRequiredFailures(failures, c) {
+  for (const failure of failures || []) {
+    const name = failure.package ? `${failure.package}: ${failure.name}` : failure.name;
+    console.log(`  ${c.red}Required check failed: ${name}${c.reset}`);
+  }
+}
+
+/**
+ * Report an unexpected error from a command (a bad cache dir, a git
+ * failure) without a stack trace, and exit.
+ */
+function exitOnError(err) {
+  console.error(`\nError: ${err.message}\n`);
+  process.exit(1);
+}
+
+module.exports = {
+  parseFlags,
+  parsePositional,
+  resolveFormat,
+  createColors,
+  renderCheckResults,
+  renderNoChecksEnabled,
+  renderRequiredFailures,
+  saveReports,
+  writeStepSummary,
+  exitOnError,
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+const path = require('path');
+const { findWorkspaces, runWorkspaces } = require('../core/workspaces');
+const reporter = require('../core/reporter');
+const {
+  renderCheckResults,
+  renderNoChecksEnabled,
+  renderRequiredFailures,
+  saveReports,
+  writeStepSummary,
+} = require('./helpers');
+
+/**
+ * Whether a command should run per workspace package:
+ * `--workspaces` on the command line or `workspaces: true` in the config.
+ */
+function isWorkspaceMode(flags, config) {
+  return flags.workspaces || config.workspaces === true;
+}
+
+/**
+ * Run a command across every workspace package and print per-package
+ * results followed by the overall score. Exits the process.
+ *
+ * @param {string} projectRoot
+ * @param {object} options
+ * @param {'quick'|'validate'|'report'} options.mode
+ * @param {string} options.title - Console heading
+ * @param {object} options.rootConfig - Config loaded for the workspace root
+ * @param {object} options.flags - From parseFlags
+ * @param {object} options.c - From createColors
+ * @param {function(object): object} [options.prepare] - Adjust each package config before running
+ * @param {string|string[]} [options.profile] - Profiles to apply (defaults to --profile)
+ * @param {string|null} [options.format] - Extra report format to write (report, validate)
+ */
+async function runWorkspaceMode(projectRoot, { mode, title, rootConfig, flags, c, prepare, profile = flags.profile, format = null }) {
+  const startTime = Date.now();
+  const { tool, packages: packagePaths } = findWorkspaces(projectRoot);
+
+  if (packagePaths.length === 0) {
+    console.error('Error: No workspace packages found.');
+    console.error('  Fortress looks for "workspaces" in package.json, pnpm-workspace.yaml, or an Nx layout.');
+    process.exit(1);
+  }
+
+  const run = await runWorkspaces(projectRoot, packagePaths, {
+    rootConfig,
+    profile,
+    prepare: config => {
+      const prepared = prepare ? prepare(config) : config;
+      if (flags.noCache) prepared.cache = { ...prepared.cache, enabled: false };
+      return prepared;
+    },
+  });
+  run.tool = tool;
+  const totalDuration = Date.now() - startTime;
+
+  const isEnabled = (config, r) => config.checks[r.key] && config.checks[r.key].enabled;
+  const passed = run.packages.every(p => p.results.every(r => !isEnabled(p.config, r) || r.passed));
+  const report = reporter.generateWorkspaceReport(run, rootConfig, totalDuration);
+  const outputDir = rootConfig.report?.outputDir || './fortress-reports/';
+  writeStepSummary(report, format, c);
+
+  if (flags.isJSON) {
+    if (mode === 'report' || format) {
+      const reportDir = path.resolve(projectRoot, outputDir);
+      process.stdout.write(reporter.renderReport(report, format || 'json', { reportDir }) + '\n');
+      process.exit((mode === 'report' ? report.deployReady : passed) ? 0 : 1);
+    }
+    const output = {
+      passed,
+      score: run.score,
+      requiredFailures: report.requiredFailures,
+      duration: totalDuration,
+      packages: run.packages.map(p => ({
+        path: p.path,
+        passed: p.results.every(r => !isEnabled(p.config, r) || r.passed),
+        score: p.scoreResult.score,
+        checks: p.results.map(r => ({ key: r.key, passed: r.passed, score: r.score })),
+      })),
+    };
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    process.exit(output.passed ? 0 : 1);
+  }
+
+  console.log(`\n${c.bold}${c.blue}${title}${c.reset}`);
+  console.log(`${c.gray}Running checks in ${run.packages.length} ${tool || 'workspace'} package(s)...${c.reset}`);
+
+  for (const pkg of run.packages) {
+    const { score, noChecksEnabled } = pkg.scoreResult;
+    const scoreStr = noChecksEnabled ? 'N/A' : `${score}/100`;
+    console.log(`\n${c.bold}${pkg.path}${c.reset}  ${c.gray}${scoreStr}${c.reset}`);
+    renderCheckResults(pkg.results, pkg.config, c, { showScore: mode === 'report' });
+  }
+
+  console.log('\n' + '\u2500'.repeat(50));
+
+  if (run.noChecksEnabled) {
+    renderNoChecksEnabled(c);
+    process.exit(1);
+  }
+
+  const scoreColor = run.score >= 95 ? c.green : run.score >= 80 ? c.yellow : c.red;
+  console.log(`${c.bold}  Overall score: ${scoreColor}${run.score}/100${c.reset}  ${c.gray}(${(totalDuration / 1000).toFixed(1)}s)${c.reset}`);
+
+  if (mode !== 'report') {
+    if (passed) {
+      console.log(`  ${c.green}${c.bold}All checks passed.${c.reset}`);
+    } else {
+      console.log(`  ${c.red}${c.bold}Some checks failed.${c.reset}`);
+      renderRequiredFailures(report.requiredFailures, c);
+    }
+    let saved = true;
+    if (format) {
+      saved = saveReports(report, outputDir, [format], c);
+    } else {
+      console.log('');
+    }
+    process.exit(passed && saved ? 0 : 1);
+  }
+
+  if (report.deployReady) {
+    console.log(`  ${c.green}${c.bold}Deploy ready${c.reset} ${c.gray}(every package meets its threshold)${c.reset}`);
+  } else {
+    const below = report.packages.filter(p => p.score < p.deployThreshold).map(p => p.path);
+    const reason = below.length > 0 ? `below threshold: ${below.join(', ')}` : 'a required check failed';
+    console.log(`  ${c.red}${c.bold}Not deploy ready${c.reset} ${c.gray}(${reason})${c.reset}`);
+  }
+  renderRequiredFailures(report.requiredFailures, c);
+
+  const saved = saveReports(report, outputDir, [...new Set(['json', format || 'json'])], c);
+
+  process.exit(report.deployReady && passed && saved ? 0 : 1);
+}
+
+module.exports = { isWorkspaceMode, runWorkspaceMode };
@@ -0,0 +1,243 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE_VERSION = 1;
+const DEFAULT_FILE = 'fortress-baseline.json';
+
+/**
+ * Absolute path of the baseline file for a config.
+ */
+function baselinePath(config) {
+  return path.resolve(config.root, config.baseline?.file || DEFAULT_FILE);
+}
+
+/**
+ * Read a baseline file.
+ * @param {string} filePath
+ * @returns {object|null} The baseline, or null when the file doesn't exist
+ * @throws {Error} When the file isn't valid JSON or isn't a Fortress baseline
+ */
+function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read ${path.basename(filePath)}: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || !parsed.checks || typeof parsed.checks !== 'object') {
+    throw new Error(`${path.basename(filePath)} is not a Fortress baseline`);
+  }
+  return parsed;
+}
+
+function saveBaseline(filePath, baseline) {
+  fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n');
+}
+
+/**
+ * Record the findings of enabled checks as a baseline.
+ *
+ * Entries are keyed by file, rule and message with an occurrence count —
+ * not by line — so editing a file doesn't invalidate its baselined
+ * findings. Entries are sorted to keep the committed file's diffs small.
+ *
+ * @param {Array} results - From runner.run, with the baseline not applied
+ * @param {object} config - Loaded fortress config
+ * @returns {{version: number, checks: Object<string, Array<{file: string, ruleId: string, message: string, count: number}>>}}
+ */
+function createBaseline(results, config) {
+  const checks = {};
+  for (const result of results) {
+    if (!config.checks[result.key]?.enabled) continue;
+    const entries = countFindings(result.findings || []);
+    if (entries.length > 0) checks[result.key] = entries;
+  }
+  return { version: BASELINE_VERSION, checks };
+}
+
+function countFindings(findings) {
+  const entries = new Map();
+  for (const finding of findings) {
+    if (!finding || !finding.file || !finding.ruleId) continue;
+    const key = fingerprint(finding);
+    const entry = entries.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      entries.set(key, { file: finding.file, ruleId: finding.ruleId, message: finding.message || '', count: 1 });
+    }
+  }
+  return [...entries.values()].sort((a, b) =>
+    a.file.localeCompare(b.file) || a.ruleId.localeCompare(b.ruleId) || a.message.localeCompare(b.message)
+  );
+}
+
+function fingerprint({ file, ruleId, message }) {
+  return `${file}\0${ruleId}\0${message || ''}`;
+}
+
+/**
+ * Apply the project's baseline to a run: baselined findings stop failing
+ * checks and costing points, and baseline entries that no longer occur
+ * are pruned from the file so fixed findings can't quietly return.
+ *
+ * Pruning is skipped for changed-files runs and for results that can't
+ * be trusted to list every finding (crashed tools).
+ *
+ * @param {Array} results - From runner.run
+ * @param {object} config - Loaded fortress config
+ * @returns {Array} Results with the baseline applied
+ */
+function applyBaseline(results, config) {
+  const filePath = baselinePath(config);
+  const fileName = path.relative(config.root, filePath) || DEFAULT_FILE;
+
+  let baseline;
+  try {
+    baseline = loadBaseline(filePath);
+  } catch (err) {
+    return results.map(result => (result.findings?.length > 0
+      ? { ...result, warnings: [...result.warnings, `${err.message} - baseline not applied`] }
+      : result));
+  }
+  if (!baseline) return results;
+
+  let pruned = false;
+  const applied = results.map(result => {
+    const entries = baseline.checks[result.key];
+    const checkConfig = config.checks[result.key];
+    if (!Array.isArray(entries) || entries.length === 0 || !checkConfig?.enabled) return result;
+
+    const { result: filtered, unused } = filterResult(result, checkConfig, entries);
+
+    if (unused > 0 && !config.changedFiles && isComplete(result)) {
+      baseline.checks[result.key] = pruneEntries(entries, result.findings);
+      if (baseline.checks[result.key].length === 0) delete baseline.checks[result.key];
+      filtered.warnings = [...filtered.warnings, `${unused} fixed finding(s) removed from ${fileName}`];
+      pruned = true;
+    }
+    return filtered;
+  });
+
+  if (pruned) {
+    try {
+      saveBaseline(filePath, baseline);
+    } catch {
+      // Read-only checkouts still get the baseline applied; pruning waits for a writable run
+    }
+  }
+  return applied;
+}
+
+/**
+ * Split one result's findings into baselined and new, and recompute
+ * pass/fail and issue counts from the new ones.
+ * @returns {{result: object, unused: number}} unused - Baselined occurrences not found this run
+ */
+function filterResult(result, checkConfig, entries) {
+  const budget = new Map();
+  let total = 0;
+  for (const entry of entries) {
+    const count = Number.isInteger(entry?.count) && entry.count > 0 ? entry.count : 1;
+    budget.set(fingerprint(entry), (budget.get(fingerprint(entry)) || 0) + count);
+    total += count;
+  }
+
+  const findings = result.findings || [];
+  const fresh = [];
+  const baselined = [];
+  for (const finding of findings) {
+    const key = fingerprint(finding);
+    const left = budget.get(key) || 0;
+    if (finding.file && left > 0) {
+      budget.set(key, left - 1);
+      baselined.push(finding);
+    } else {
+      fresh.push(finding);
+    }
+  }
+
+  const unused = total - baselined.length;
+  if (baselined.length === 0) return { result, unused };
+
+  // A failing check passes once every error finding it reported is baselined
+  const newErrors = fresh.filter(f => f.severity === 'error');
+  const hadErrors = findings.some(f => f.severity === 'error');
+  const passed = result.passed || (hadErrors && newErrors.length === 0);
+
+  // Results with counts are rescored by the runner; others keep the
+  // all-or-nothing score they'd have had
+  let counts = result.counts;
+  let score = result.score;
+  if (counts) {
+    counts = { ...counts };
+    for (const finding of baselined) {
+      if (counts[finding.severity] > 0) counts[finding.severity]--;
+    }
+    if (passed && counts.error > 0) counts.error = 0;
+  } else if (passed && !result.passed) {
+    score = checkConfig.weight;
+  }
+
+  const errors = passed ? [] : result.errors.filter(error => !onlyBaselined(error, baselined, fresh));
+  const warnings = passed && !result.passed
+    ? result.warnings.filter(w => !/^\.\.\. and \d+ more/.test(w))
+    : [...result.warnings];
+  warnings.push(`${baselined.length} baselined finding(s) not counted`);
+
+  return {
+    result: { ...result, passed, score, errors, warnings, findings: fresh, counts },
+    unused,
+  };
+}
+
+/**
+ * Whether an error line points at a location that only has baselined
+ * findings. Covers "file(line,col)", "file:line:col" and "file:line -".
+ */
+function onlyBaselined(error, baselined, fresh) {
+  const text = String(error);
+  const at = f => text.startsWith(`${f.file}(${f.line},`) ||
+    text.startsWith(`${f.file}:${f.line}:`) ||
+    text.startsWith(`${f.file}:${f.line} `);
+  return baselined.some(at) && !fresh.some(at);
+}
+
+/**
+ * Whether a result lists every finding its check found, so missing
+ * baseline entries really were fixed.
+ */
+function isComplete(result) {
+  const count = result.findings?.length || 0;
+  // No findings only means "all fixed" when the check ran cleanly
+  return count > 0 || (result.passed && result.warnings.length === 0);
+}
+
+/**
+ * Lower each entry's count to the occurrences still present, dropping
+ * entries that no longer occur.
+ */
+function pruneEntries(entries, findings) {
+  const present = new Map();
+  for (const finding of findings) {
+    const key = fingerprint(finding);
+    present.set(key, (present.get(key) || 0) + 1);
+  }
+
+  const kept = [];
+  for (const entry of entries) {
+    const key = fingerprint(entry);
+    const left = present.get(key) || 0;
+    const count = Math.min(Number.isInteger(entry.count) && entry.count > 0 ? entry.count : 1, left);
+    if (count === 0) continue;
+    present.set(key, left - count);
+    kept.push({ ...entry, count });
+  }
+  return kept;
+}
+
+module.exports = { DEFAULT_FILE, baselinePath, loadBaseline, saveBaseline, createBaseline, applyBaseline };
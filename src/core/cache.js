@@ -0,0 +1,246 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+// Bump when the cache entry format changes
+const CACHE_VERSION = 4;
+
+const FORTRESS_VERSION = require('../../package.json').version;
+
+const LOCK_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb'];
+
+// Checks whose inputs are narrower than "every tracked file".
+// Content uses its own configured extensions. JavaScript files count for
+// TypeScript since tsc checks them with allowJs/checkJs.
+const CHECK_INPUT_EXTENSIONS = {
+  typescript: ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs', '.json'],
+};
+
+// Fallback walk when the project isn't a git repository
+const SKIP_DIRS = new Set(['node_modules', '.git', '.next', 'dist', 'coverage', '.vercel', 'build']);
+
+const INDEX_FILE = 'files.json';
+
+/**
+ * Create a result cache for one run.
+ *
+ * Each check's result is stored under the cache dir together with a hash of
+ * its inputs: the check's config, the project's tracked source files and the
+ * lockfile. A later run with the same hash reuses the stored result.
+ * File hashes are memoized by size + mtime in files.json so unchanged files
+ * aren't re-read on every run.
+ *
+ * @param {object} config - Loaded fortress config
+ * @returns {{isCacheable: function, hashInputs: function, get: function, set: function, flush: function}}
+ */
+function createCache(config) {
+  const cacheDir = resolveCacheDir(config);
+  const index = readJson(path.join(cacheDir, INDEX_FILE)) || {};
+  const nextIndex = {};
+  let trackedFiles = null;
+  let lockfileHash = null;
+
+  // Fortress's own output changes on every run and must never be an input
+  const ownDirs = [cacheDir, path.resolve(config.root, config.report?.outputDir || './fortress-reports/')]
+    .map(d => path.relative(config.root, d).replace(/\\/g, '/') + '/');
+
+  function listFiles() {
+    if (!trackedFiles) {
+      trackedFiles = listTrackedFiles(config.root)
+        .filter(f => !ownDirs.some(d => f.startsWith(d)));
+    }
+    return trackedFiles;
+  }
+
+  function hashFile(relative) {
+    const fullPath = path.join(config.root, relative);
+    let stat;
+    try {
+      stat = fs.statSync(fullPath);
+    } catch {
+      return null;
+    }
+    if (!stat.isFile()) return null;
+
+    const known = nextIndex[relative] || index[relative];
+    if (known && known[0] === stat.size && known[1] === stat.mtimeMs) {
+      nextIndex[relative] = known;
+      return known[2];
+    }
+
+    let hash;
+    try {
+      hash = sha256(fs.readFileSync(fullPath));
+    } catch {
+      return null;
+    }
+    nextIndex[relative] = [stat.size, stat.mtimeMs, hash];
+    return hash;
+  }
+
+  function getLockfileHash() {
+    if (lockfileHash === null) {
+      lockfileHash = LOCK_FILES.map(f => `${f}:${hashFile(f) || '-'}`).join('|');
+      // Workspace packages usually share the lockfile at the workspace root
+      if (config.workspaceRoot && config.workspaceRoot !== config.root) {
+        lockfileHash += '|' + LOCK_FILES.map(f => {
+          try {
+            return `${f}:${sha256(fs.readFileSync(path.join(config.workspaceRoot, f)))}`;
+          } catch {
+            return `${f}:-`;
+          }
+        }).join('|');
+      }
+    }
+    return lockfileHash;
+  }
+
+  return {
+    /**
+     * Checks opt out with `cache: false` (the security audit does by default,
+     * since advisories change without any local file changing).
+     * Plugins can depend on anything, so they must opt in with `cache: true`.
+     */
+    isCacheable(name, checkConfig) {
+      if (checkConfig.cache === false) return false;
+      if (checkConfig.plugin) return checkConfig.cache === true;
+      return true;
+    },
+
+    hashInputs(name, checkConfig) {
+      const extensions = name === 'content'
+        ? checkConfig.extensions
+        : CHECK_INPUT_EXTENSIONS[name];
+      const exts = extensions ? new Set(extensions) : null;
+
+      const hash = crypto.createHash('sha256');
+      hash.update(`v${CACHE_VERSION}|${FORTRESS_VERSION}|${name}|${JSON.stringify(checkConfig, regexpToString)}\0`);
+      hash.update(`${getLockfileHash()}\0`);
+      for (const relative of listFiles()) {
+        if (exts && !exts.has(path.extname(relative))) continue;
+        const fileHash = hashFile(relative);
+        if (fileHash) hash.update(`${relative}:${fileHash}\0`);
+      }
+      return hash.digest('hex');
+    },
+
+    get(name, inputHash) {
+      const entry = readJson(entryPath(cacheDir, name));
+      if (!entry || entry.version !== CACHE_VERSION || entry.hash !== inputHash || !entry.result) {
+        return null;
+      }
+      return { ...entry.result, cached: true };
+    },
+
+    set(name, inputHash, result) {
+      writeJson(entryPath(cacheDir, name), {
+        version: CACHE_VERSION,
+        hash: inputHash,
+        savedAt: new Date().toISOString(),
+        result,
+      });
+    },
+
+    /**
+     * Persist the file hash index. Call once after all checks have run.
+     */
+    flush() {
+      // Drop entries for files that no longer exist in the project
+      const merged = {};
+      for (const relative of trackedFiles || Object.keys(nextIndex)) {
+        const entry = nextIndex[relative] || index[relative];
+        if (entry) merged[relative] = entry;
+      }
+      writeJson(path.join(cacheDir, INDEX_FILE), merged);
+    },
+  };
+}
+
+/**
+ * Resolve the cache directory, keeping it inside the project root.
+ */
+function resolveCacheDir(config) {
+  const dir = config.cache?.dir || './.fortress-cache/';
+  const resolved = path.resolve(config.root, dir);
+  if (!resolved.startsWith(config.root + path.sep) && resolved !== config.root) {
+    throw new Error(
+      `Security: cache dir "${dir}" resolves outside the project root. ` +
+      `Resolved to: ${resolved}. Edit fortress.config.js to use a relative path within your project.`
+    );
+  }
+  return resolved;
+}
+
+function entryPath(cacheDir, name) {
+  // Check keys come from the config — keep them to safe filename characters
+  return path.join(cacheDir, `${name.replace(/[^\w-]/g, '_')}.json`);
+}
+
+/**
+ * List files git tracks (plus untracked, non-ignored ones), sorted.
+ * Falls back to a directory walk outside git repositories.
+ */
+function listTrackedFiles(projectRoot) {
+  try {
+    const output = execFileSync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], {
+      cwd: projectRoot,
+      stdio: 'pipe',
+      encoding: 'utf-8',
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return [...new Set(output.split('\0').filter(Boolean))].sort();
+  } catch {
+    return walk(projectRoot, projectRoot).sort();
+  }
+}
+
+function walk(dir, root) {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    if (SKIP_DIRS.has(entry.name) || entry.isSymbolicLink()) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walk(fullPath, root));
+    } else {
+      files.push(path.relative(root, fullPath).replace(/\\/g, '/'));
+    }
+  }
+  return files;
+}
+
+// RegExp patterns would otherwise serialize as {}
+function regexpToString(key, value) {
+  return value instanceof RegExp ? String(value) : value;
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(filePath, data) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data));
+  } catch {
+    // A cache that can't be written just means the next run starts cold
+  }
+}
+
+module.exports = { createCache, CHECK_INPUT_EXTENSIONS };
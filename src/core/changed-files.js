@@ -0,0 +1,232 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+// Extensions passed to file-accepting commands (eslint, biome) by default
+const DEFAULT_SOURCE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Paths we're willing to append to a shell command — anything else
+// (spaces, quotes, shell metacharacters) is skipped rather than escaped
+const SAFE_PATH = /^[\w./@+-]+$/;
+
+/**
+ * List files staged for commit (added, copied, modified or renamed).
+ * @param {string} projectRoot
+ * @returns {string[]} Paths relative to the project root
+ */
+function getStagedFiles(projectRoot) {
+  return gitDiff(projectRoot, ['--cached']);
+}
+
+/**
+ * List files changed in the working tree relative to a git ref.
+ * @param {string} projectRoot
+ * @param {string} ref - Branch, tag or commit (e.g. "origin/main")
+ * @returns {string[]} Paths relative to the project root
+ */
+function getFilesSince(projectRoot, ref) {
+  // Refs are passed as an argument, never through a shell, but a leading
+  // dash would still be parsed by git as an option
+  if (!ref || typeof ref !== 'string' || ref.startsWith('-') || /\s/.test(ref)) {
+    throw new Error(`Invalid git ref: "${ref}"`);
+  }
+  return gitDiff(projectRoot, [ref]);
+}
+
+/**
+ * List staged files whose working-tree copy has changed since they were
+ * staged, so the working tree no longer matches what will be committed.
+ * @param {string} projectRoot
+ * @returns {string[]} Paths relative to the project root
+ */
+function getUnstagedFiles(projectRoot) {
+  return gitDiff(projectRoot, []);
+}
+
+/**
+ * Read the staged (index) content of files: what the commit will record,
+ * whatever the working tree holds now.
+ * @param {string} projectRoot
+ * @param {string[]} files - Relative paths
+ * @returns {Map<string, string>} Content by relative path; files that aren't staged blobs are left out
+ */
+function readStagedFiles(projectRoot, files) {
+  // cat-file --batch takes one object name per line
+  const names = files.filter(f => !/[\r\n]/.test(f));
+  const contents = new Map();
+  if (names.length === 0) return contents;
+
+  let output;
+  try {
+    output = execFileSync('git', ['cat-file', '--batch'], {
+      cwd: projectRoot,
+      input: names.map(f => `:./${f}`).join('\n') + '\n',
+      stdio: 'pipe',
+      maxBuffer: 256 * 1024 * 1024,
+    });
+  } catch (err) {
+    const stderr = err.stderr ? err.stderr.toString().trim() : err.message;
+    throw new Error(`git cat-file failed: ${stderr.split('\n')[0]}`);
+  }
+
+  // Each object is "<oid> <type> <size>\n<content>\n", or "<name> missing\n"
+  let offset = 0;
+  for (const name of names) {
+    const headerEnd = output.indexOf(0x0a, offset);
+    if (headerEnd === -1) break;
+    const header = output.toString('utf-8', offset, headerEnd).split(' ');
+    offset = headerEnd + 1;
+    if (header[header.length - 1] === 'missing') continue;
+    const size = Number(header[2]);
+    if (header[1] === 'blob') contents.set(name, output.toString('utf-8', offset, offset + size));
+    offset += size + 1;
+  }
+  return contents;
+}
+
+function gitDiff(projectRoot, args) {
+  let output;
+  try {
+    output = execFileSync('git', ['diff', '--name-only', '--diff-filter=ACMR', '--relative', '-z', ...args], {
+      cwd: projectRoot,
+      stdio: 'pipe',
+      encoding: 'utf-8',
+    });
+  } catch (err) {
+    const stderr = err.stderr ? err.stderr.toString().trim() : err.message;
+    throw new Error(`git diff failed: ${stderr.split('\n')[0]}`);
+  }
+  return output.split('\0').filter(Boolean).map(f => f.replace(/\\/g, '/'));
+}
+
+/**
+ * The state of the working tree: the HEAD commit and a hash of the
+ * uncommitted changes, covering tracked files and untracked files that
+ * aren't ignored (null when there are none). Two runs with the same
+ * revision ran on the same code. Untracked files count by name, size and
+ * modification time rather than content, so a large untracked directory
+ * doesn't slow every test run.
+ * @param {string} projectRoot
+ * @returns {{commit: string, changes: string|null}|null} Null outside a git repository
+ */
+function getRevision(projectRoot) {
+  const git = args => execFileSync('git', args, { cwd: projectRoot, stdio: 'pipe', encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024 });
+  try {
+    const commit = git(['rev-parse', 'HEAD']).trim();
+    const diff = git(['diff', 'HEAD', '--binary']);
+    const untracked = git(['ls-files', '--others', '--exclude-standard', '-z']).split('\0').filter(Boolean).sort();
+    if (!diff && untracked.length === 0) return { commit, changes: null };
+
+    const hash = crypto.createHash('sha256').update(diff);
+    for (const file of untracked) {
+      let stat = null;
+      try {
+        stat = fs.statSync(path.join(projectRoot, file));
+      } catch {
+        // Deleted since it was listed
+      }
+      hash.update(`\0${file}\0${stat ? `${stat.size}:${stat.mtimeMs}` : ''}`);
+    }
+    return { commit, changes: hash.digest('hex').slice(0, 16) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Select changed files that a file-scanning check would have collected.
+ * Applies the same skipDirs / hidden-directory rules as a full walk.
+ * In staged mode the files are read from the index, so ones missing from
+ * the working tree are kept.
+ *
+ * @param {string} projectRoot
+ * @param {string[]} changedFiles - Relative paths
+ * @param {object} opts
+ * @param {Set<string>} opts.skipDirs - Directory names to skip
+ * @param {function(string): boolean} opts.include - Called with the basename
+ * @param {boolean} [opts.skipHiddenDirs=false] - Skip directories starting with "."
+ * @param {boolean} [opts.staged=false] - Files will be read from the index
+ * @returns {string[]} Absolute paths of existing files
+ */
+function filterChangedFiles(projectRoot, changedFiles, { skipDirs, include, skipHiddenDirs = false, staged = false }) {
+  const files = [];
+  for (const relative of changedFiles) {
+    const segments = relative.split('/');
+    const dirs = segments.slice(0, -1);
+    if (dirs.some(d => skipDirs.has(d) || (skipHiddenDirs && d.startsWith('.')))) continue;
+    if (!include(segments[segments.length - 1])) continue;
+
+    const fullPath = path.join(projectRoot, relative);
+    if (!staged) {
+      try {
+        if (!fs.lstatSync(fullPath).isFile()) continue;
+      } catch {
+        continue; // Deleted or unreadable since the diff was taken
+      }
+    }
+    files.push(fullPath);
+  }
+  return files;
+}
+
+/**
+ * Create a reader for the files a scanning check collected. In staged
+ * mode (`quick --staged`) it returns the index content, since the commit
+ * records the staged blob rather than the working copy.
+ * @param {object} config - Check config with root, changedFiles and staged
+ * @param {string[]} files - Absolute paths, read from the index up front in staged mode
+ * @returns {function(string): string|null} Content of an absolute path, or null when unreadable
+ */
+function createFileReader(config, files) {
+  if (!config.changedFiles || !config.staged) {
+    return filePath => {
+      try {
+        return fs.readFileSync(filePath, 'utf-8');
+      } catch {
+        return null;
+      }
+    };
+  }
+  const toRelative = filePath => path.relative(config.root, filePath).replace(/\\/g, '/');
+  const contents = readStagedFiles(config.root, files.map(toRelative));
+  return filePath => contents.get(toRelative(filePath)) ?? null;
+}
+
+/**
+ * Build a command that targets only the given files.
+ * A trailing " ." (lint the whole project) is replaced by the file list;
+ * `next lint` takes files through --file.
+ *
+ * @param {string} command - Configured command, e.g. "npx eslint ."
+ * @param {string[]} changedFiles - Relative paths
+ * @param {string[]} [extensions] - Only pass files with these extensions
+ * @returns {{command: string, files: string[], skipped: string[]}}
+ */
+function withFileArgs(command, changedFiles, extensions = DEFAULT_SOURCE_EXTENSIONS) {
+  const exts = new Set(extensions);
+  const matching = changedFiles.filter(f => exts.has(path.extname(f)));
+  const files = matching.filter(f => SAFE_PATH.test(f) && !f.startsWith('-'));
+  const skipped = matching.filter(f => !files.includes(f));
+
+  const base = command.trim().replace(/\s+\.$/, '');
+  const args = /\bnext lint\b/.test(base)
+    ? files.map(f => `--file ${f}`)
+    : files;
+
+  return { command: `${base} ${args.join(' ')}`, files, skipped };
+}
+
+module.exports = {
+  getStagedFiles,
+  getUnstagedFiles,
+  getFilesSince,
+  getRevision,
+  filterChangedFiles,
+  readStagedFiles,
+  createFileReader,
+  withFileArgs,
+  DEFAULT_SOURCE_EXTENSIONS,
+};
@@ -3,7 +3,7 @@
 /**
  * Validates commands from fortress.config.js before shell execution.
  *
- * Fortress executes user-configured commands via execSync (shell mode).
+ * Fortress executes user-configured commands via child_process.exec (shell mode).
  * A malicious fortress.config.js could inject arbitrary shell commands.
  * This validator rejects commands containing dangerous shell operators.
  *
@@ -2,35 +2,367 @@
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const detector = require('./detector');
+const { validateConfig, formatIssue } = require('./config-schema');
 
 const CONFIG_FILENAME = 'fortress.config.js';
 
+// Searched in this order; the first one found wins. After these, a
+// "fortress" key in package.json is used.
+const CONFIG_FILES = [
+  CONFIG_FILENAME,
+  'fortress.config.mjs',
+  'fortress.config.cjs',
+  'fortress.config.json',
+  '.fortressrc',
+];
+const PACKAGE_KEY = 'fortress';
+
+// Built-in profiles. Users can override their settings under `profiles`.
+const BUILT_IN_PROFILES = {
+  // `fortress quick` and `fortress watch`: skip the slow checks
+  quick: {
+    checks: {
+      security: { enabled: false },
+      build: { enabled: false },
+    },
+  },
+};
+
+/**
+ * A config that can't be loaded or fails validation. `hint` tells the
+ * user how to fix it.
+ */
+class ConfigError extends Error {
+  constructor(message, hint) {
+    super(message);
+    this.name = 'ConfigError';
+    this.hint = hint || null;
+  }
+}
+
 /**
  * Load fortress config from the project root.
- * Falls back to auto-detection if no config file exists.
- */
-function load(projectRoot) {
-  const configPath = path.join(projectRoot, CONFIG_FILENAME);
-  let userConfig = {};
-
-  if (fs.existsSync(configPath)) {
-    try {
-      userConfig = require(configPath);
-    } catch (err) {
-      console.error(`\nError loading ${CONFIG_FILENAME}: ${err.message}`);
-      console.error(`\nThis usually means there's a syntax error in your config file.`);
-      console.error(`To regenerate it, run: npx fortress init --force\n`);
-      process.exit(1);
+ * Falls back to auto-detection if no config file exists. Exits with
+ * guidance when the config can't be loaded or is invalid.
+ *
+ * @param {string} projectRoot
+ * @param {object} [options]
+ * @param {string} [options.packagePath] - Workspace package, relative to the root.
+ *   Detection runs in the package directory and `packages[packagePath]`
+ *   overrides from the config are merged over the shared config.
+ * @param {string|string[]} [options.profile] - Profiles merged over the
+ *   shared config, in order, before any package overrides
+ * @returns {Promise<object>}
+ */
+async function load(projectRoot, options = {}) {
+  return exitOnConfigError(loadStrict(projectRoot, options));
+}
+
+/**
+ * Like load(), but rejects with a ConfigError instead of exiting, for
+ * callers that outlive a broken config (`fortress watch`).
+ *
+ * @param {string} projectRoot
+ * @param {object} [options] - As for load()
+ * @returns {Promise<object>}
+ */
+async function loadStrict(projectRoot, { packagePath, profile } = {}) {
+  const layers = await collectConfigLayers(projectRoot);
+  assertValidConfig(layers, findConfigFile(projectRoot));
+  const userConfig = applyProfiles(mergeLayers(layers), [].concat(profile ?? []));
+
+  if (!packagePath) {
+    return mergeWithDefaults(detector.detect(projectRoot), userConfig);
+  }
+
+  const packageRoot = path.join(projectRoot, packagePath);
+  const detected = detector.detect(packageRoot, { workspaceRoot: projectRoot });
+  const { packages, ...shared } = userConfig;
+  const override = isPlainObject(packages?.[packagePath]) ? packages[packagePath] : {};
+  const config = mergeWithDefaults(detected, mergeConfigs(shared, override));
+  config.workspaceRoot = projectRoot;
+  return config;
+}
+
+/**
+ * Read the project's config with the presets it extends merged in.
+ * Resolves to {} when there is no config.
+ */
+async function readUserConfig(projectRoot) {
+  return mergeLayers(await readConfigLayers(projectRoot));
+}
+
+/**
+ * Print a ConfigError and exit; other errors are passed on.
+ */
+async function exitOnConfigError(promise) {
+  try {
+    return await promise;
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(`\n${err.message}`);
+    if (err.hint) console.error(err.hint);
+    console.error('');
+    return process.exit(1);
+  }
+}
+
+/**
+ * Find the project's config: the first of CONFIG_FILES that exists, or
+ * package.json when it has a "fortress" key.
+ *
+ * @param {string} projectRoot
+ * @returns {{name: string, path: string}|null} name is for messages,
+ *   e.g. "fortress.config.mjs" or 'package.json ("fortress" key)'
+ */
+function findConfigFile(projectRoot) {
+  for (const name of CONFIG_FILES) {
+    const filePath = path.join(projectRoot, name);
+    if (fs.existsSync(filePath)) return { name, path: filePath };
+  }
+
+  const packagePath = path.join(projectRoot, 'package.json');
+  try {
+    const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+    if (pkg && pkg[PACKAGE_KEY] !== undefined) {
+      return { name: `package.json ("${PACKAGE_KEY}" key)`, path: packagePath };
+    }
+  } catch {
+    // No package.json, or one the detector will complain about
+  }
+  return null;
+}
+
+/**
+ * Read the project's config and the presets it extends, in merge order:
+ * presets first (depth-first, in `extends` order), the project's own
+ * config last. Exits with guidance when a file can't be loaded.
+ *
+ * @param {string} projectRoot
+ * @returns {Promise<Array<{source: string|null, config: object}>>} source is
+ *   the `extends` entry a preset was loaded from, null for the project config
+ */
+async function readConfigLayers(projectRoot) {
+  return exitOnConfigError(collectConfigLayers(projectRoot));
+}
+
+async function collectConfigLayers(projectRoot) {
+  const configFile = findConfigFile(projectRoot);
+  if (!configFile) return [];
+
+  const layers = [];
+  await collectLayers(configFile.path, null, projectRoot, layers, []);
+  return layers;
+}
+
+async function collectLayers(filePath, source, projectRoot, layers, chain) {
+  if (chain.includes(filePath)) {
+    const cycle = [...chain.slice(chain.indexOf(filePath)), filePath].map(file => path.relative(projectRoot, file));
+    throw new ConfigError(`Circular extends: ${cycle.join(' -> ')}`);
+  }
+  const config = await readConfigModule(filePath, source);
+
+  for (const specifier of [].concat(config.extends ?? [])) {
+    // Invalid entries are reported by the schema
+    if (typeof specifier !== 'string' || !specifier) continue;
+    const presetPath = resolvePreset(specifier, path.dirname(filePath), projectRoot, source);
+    await collectLayers(presetPath, specifier, projectRoot, layers, [...chain, filePath]);
+  }
+  layers.push({ source, config });
+}
+
+/**
+ * Local presets (./, ../ or absolute) resolve from the file that extends
+ * them; package names from there or from the project's node_modules.
+ */
+function resolvePreset(specifier, fromDir, projectRoot, extendedBy) {
+  const isLocal = specifier.startsWith('./') || specifier.startsWith('../') || path.isAbsolute(specifier);
+  try {
+    return isLocal
+      ? require.resolve(path.resolve(fromDir, specifier))
+      : require.resolve(specifier, { paths: [fromDir, projectRoot] });
+  } catch {
+    throw new ConfigError(
+      `Preset "${specifier}" not found (extended by ${extendedBy ? `"${extendedBy}"` : 'the project config'})`,
+      isLocal ? 'Check the path in extends.' : `Install it with: npm install --save-dev ${specifier}`
+    );
+  }
+}
+
+async function readConfigModule(filePath, source) {
+  let config;
+  try {
+    config = await importConfig(filePath);
+  } catch (err) {
+    if (source) {
+      throw new ConfigError(`Error loading preset "${source}": ${err.message}`);
     }
+    throw new ConfigError(
+      `Error loading ${path.basename(filePath)}: ${err.message}`,
+      `\nThis usually means there's a syntax error in your config file.\nTo regenerate it, run: npx fortress init --force`
+    );
   }
 
-  const detected = detector.detect(projectRoot);
   // Guard against non-object configs (null, arrays, strings, functions)
-  if (!userConfig || typeof userConfig !== 'object' || Array.isArray(userConfig)) {
-    userConfig = {};
+  return isPlainObject(config) ? config : {};
+}
+
+/**
+ * Load one config file: JSON files and .fortressrc are parsed, ES modules
+ * are imported and CommonJS is required. Modules are reloaded on every
+ * call so `fortress watch` picks up edits.
+ */
+async function importConfig(filePath) {
+  const name = path.basename(filePath);
+  if (name === 'package.json') {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'))[PACKAGE_KEY];
+  }
+  if (name === '.fortressrc' || filePath.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  if (isEsModule(filePath)) {
+    // Imported modules can't be evicted from the cache, so a changed
+    // file gets a new URL instead
+    const url = `${pathToFileURL(filePath).href}?mtime=${fs.statSync(filePath).mtimeMs}`;
+    const mod = await import(url);
+    return mod.default !== undefined ? mod.default : { ...mod };
+  }
+
+  delete require.cache[filePath];
+  return require(filePath);
+}
+
+/**
+ * .mjs files, and .js files in a package with "type": "module".
+ */
+function isEsModule(filePath) {
+  if (filePath.endsWith('.mjs')) return true;
+  if (!filePath.endsWith('.js')) return false;
+
+  let dir = path.dirname(filePath);
+  while (true) {
+    const pkgPath = path.join(dir, 'package.json');
+    if (fs.existsSync(pkgPath)) {
+      try {
+        return JSON.parse(fs.readFileSync(pkgPath, 'utf-8')).type === 'module';
+      } catch {
+        return false;
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return false;
+    dir = parent;
+  }
+}
+
+/**
+ * Deep-merge config layers in order. Objects merge key by key and
+ * `patterns` lists are concatenated, so presets can share forbidden and
+ * secret patterns; other values (including other arrays) are replaced.
+ */
+function mergeLayers(layers) {
+  const merged = layers.reduce((acc, layer) => mergePreset(acc, layer.config), {});
+  delete merged.extends;
+  return merged;
+}
+
+function mergePreset(base, override, key) {
+  if (key === 'patterns' && Array.isArray(base) && Array.isArray(override)) {
+    const seen = new Set(base.map(patternKey));
+    return [...base, ...override.filter(p => !seen.has(patternKey(p)))];
+  }
+  if (isPlainObject(base) && isPlainObject(override)) {
+    const merged = { ...base };
+    for (const [k, value] of Object.entries(override)) {
+      merged[k] = Object.hasOwn(base, k) ? mergePreset(base[k], value, k) : value;
+    }
+    return merged;
+  }
+  return override;
+}
+
+/**
+ * Validate every config layer against the schema.
+ * @returns {Array<{path: string, message: string, source?: string}>}
+ */
+function validateLayers(layers) {
+  return layers.flatMap(layer => validateConfig(layer.config)
+    .map(issue => (layer.source ? { ...issue, source: layer.source } : issue)));
+}
+
+/**
+ * Throw listing every schema problem so typos don't fail silently.
+ */
+function assertValidConfig(layers, configFile) {
+  const issues = validateLayers(layers);
+  if (issues.length === 0) return;
+
+  throw new ConfigError(
+    [`Invalid ${configFile.name}:`, ...issues.map(issue => `  ${formatIssue(issue)}`)].join('\n'),
+    '\nFix the config and check it with: npx fortress config validate'
+  );
+}
+
+/**
+ * Merge the named profiles over a user config and drop `profiles`.
+ * Built-in profiles are merged with the user's settings of the same name.
+ * Throws when a profile doesn't exist.
+ */
+function applyProfiles(userConfig, names) {
+  const { profiles: userProfiles, ...base } = userConfig;
+  if (names.length === 0) return base;
+
+  const profiles = { ...BUILT_IN_PROFILES };
+  for (const [name, settings] of Object.entries(isPlainObject(userProfiles) ? userProfiles : {})) {
+    profiles[name] = profiles[name] ? mergeConfigs(profiles[name], settings) : settings;
+  }
+
+  return names.reduce((config, name) => {
+    if (!name) {
+      throw new ConfigError('--profile requires a name', `Available profiles: ${Object.keys(profiles).join(', ')}`);
+    }
+    if (!Object.hasOwn(profiles, name)) {
+      throw new ConfigError(`Unknown profile "${name}"`, `Available profiles: ${Object.keys(profiles).join(', ')}`);
+    }
+    return mergeConfigs(config, profiles[name]);
+  }, base);
+}
+
+/**
+ * Merge two user configs. Checks merge per check, the other sections
+ * shallowly; anything else in `override` replaces the base value.
+ */
+function mergeConfigs(base, override) {
+  const merged = { ...base, ...override };
+
+  for (const section of ['scoring', 'runner', 'cache', 'report', 'baseline']) {
+    if (isPlainObject(base[section]) && isPlainObject(override[section])) {
+      merged[section] = { ...base[section], ...override[section] };
+    }
   }
-  return mergeWithDefaults(detected, userConfig);
+
+  if (isPlainObject(base.checks) && isPlainObject(override.checks)) {
+    merged.checks = { ...base.checks };
+    for (const [name, checkConfig] of Object.entries(override.checks)) {
+      merged.checks[name] = isPlainObject(merged.checks[name]) && isPlainObject(checkConfig)
+        ? { ...merged.checks[name], ...checkConfig }
+        : checkConfig;
+    }
+  }
+
+  return merged;
+}
+
+// RegExp pattern regexes would otherwise all serialize as {}
+function patternKey(pattern) {
+  return JSON.stringify(pattern, (key, value) => (value instanceof RegExp ? String(value) : value));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
 }
 
 function mergeWithDefaults(detected, userConfig) {
@@ -41,12 +373,13 @@ function mergeWithDefaults(detected, userConfig) {
     checks: {
       typescript: {
         enabled: detected.language === 'typescript',
-        command: 'npx tsc --noEmit',
+        command: getTypeScriptCommand(detected),
         weight: 20,
       },
       lint: {
         enabled: !!detected.linter,
         command: getLintCommand(detected),
+        passFiles: true,
         weight: 15,
       },
       test: {
@@ -71,6 +404,7 @@ function mergeWithDefaults(detected, userConfig) {
       security: {
         enabled: true,
         command: getAuditCommand(detected),
+        cache: false, // advisories change without local changes
         weight: 10,
       },
       build: {
@@ -84,9 +418,25 @@ function mergeWithDefaults(detected, userConfig) {
       deployThreshold: 95,
     },
 
+    runner: {
+      concurrency: 4,
+    },
+
+    cache: {
+      enabled: true,
+      dir: './.fortress-cache/',
+    },
+
     report: {
       outputDir: './fortress-reports/',
     },
+
+    baseline: {
+      enabled: true,
+      file: 'fortress-baseline.json',
+    },
+
+    workspaces: false,
   };
 
   // Deep merge user config over defaults
@@ -95,7 +445,8 @@ function mergeWithDefaults(detected, userConfig) {
       if (defaults.checks[name]) {
         defaults.checks[name] = { ...defaults.checks[name], ...checkConfig };
       } else {
-        defaults.checks[name] = checkConfig;
+        // Custom (plugin) checks are enabled unless explicitly turned off
+        defaults.checks[name] = { enabled: true, ...checkConfig };
       }
     }
   }
@@ -104,13 +455,50 @@ function mergeWithDefaults(detected, userConfig) {
     defaults.scoring = { ...defaults.scoring, ...userConfig.scoring };
   }
 
+  if (userConfig.runner) {
+    defaults.runner = { ...defaults.runner, ...userConfig.runner };
+  }
+
+  if (userConfig.cache === false) {
+    defaults.cache.enabled = false;
+  } else if (userConfig.cache) {
+    defaults.cache = { ...defaults.cache, ...userConfig.cache };
+  }
+
   if (userConfig.report) {
     defaults.report = { ...defaults.report, ...userConfig.report };
   }
 
+  if (userConfig.baseline === false) {
+    defaults.baseline.enabled = false;
+  } else if (userConfig.baseline) {
+    defaults.baseline = { ...defaults.baseline, ...userConfig.baseline };
+  }
+
+  if (userConfig.workspaces !== undefined) {
+    defaults.workspaces = userConfig.workspaces;
+  }
+
+  // Per-package overrides are applied by load({ packagePath }); keep them
+  // on the root config so workspace runs can see which packages to skip
+  if (isPlainObject(userConfig.packages)) {
+    defaults.packages = userConfig.packages;
+  }
+
   return defaults;
 }
 
+/**
+ * The default TypeScript command. Project references are only
+ * type-checked in build mode, which writes each project's output (JS,
+ * declarations, .tsbuildinfo) like the project's own build: referenced
+ * projects must emit declarations, so `tsc -b --noEmit` fails with TS6310.
+ * The runner keeps build mode from overlapping with the build check.
+ */
+function getTypeScriptCommand(detected) {
+  return detected.projectReferences ? 'npx tsc -b' : 'npx tsc --noEmit';
+}
+
 function getLintCommand(detected) {
   switch (detected.linter) {
     case 'next': return 'npx next lint';
@@ -139,4 +527,18 @@ function getAuditCommand(detected) {
   }
 }
 
-module.exports = { load };
+module.exports = {
+  load,
+  loadStrict,
+  readUserConfig,
+  readConfigLayers,
+  findConfigFile,
+  validateLayers,
+  mergeLayers,
+  mergeConfigs,
+  getTypeScriptCommand,
+  ConfigError,
+  CONFIG_FILENAME,
+  CONFIG_FILES,
+  BUILT_IN_PROFILES,
+};
@@ -0,0 +1,348 @@
+'use strict';
+
+/**
+ * Schema for fortress.config.js, checked before the config is merged with
+ * the detected defaults. Nodes are plain objects:
+ *
+ *   { type: 'boolean' | 'string' | 'number' | 'integer' | 'array' | 'object' | 'regexp' | 'null' }
+ *   { enum: [...] }                  one of these exact values
+ *   { oneOf: [...] }                 the first option whose type matches
+ *   { validate(value, path, issues) } custom validation
+ *
+ * Numbers take `min`/`max`, arrays `items`, objects `properties`,
+ * `required` and `additional` (a schema for other keys, `true` to allow
+ * anything, or absent to reject unknown keys).
+ */
+
+const BUILT_IN_CHECKS = ['typescript', 'lint', 'test', 'content', 'secrets', 'security', 'build'];
+
+const boolean = { type: 'boolean' };
+const string = { type: 'string' };
+const stringList = { type: 'array', items: string };
+const points = { type: 'number', min: 0 };
+
+const SCORING_RULES = {
+  type: 'object',
+  properties: {
+    allOrNothing: boolean,
+    perError: points,
+    perWarning: points,
+    cap: points,
+    severity: {
+      type: 'object',
+      properties: {
+        error: points,
+        warning: points,
+        critical: points,
+        high: points,
+        moderate: points,
+        low: points,
+      },
+    },
+  },
+};
+
+const percent = { type: 'number', min: 0, max: 100 };
+const COVERAGE_THRESHOLDS = {
+  lines: percent,
+  branches: percent,
+  functions: percent,
+  statements: percent,
+};
+
+const COVERAGE = {
+  oneOf: [
+    { enum: [false] },
+    {
+      type: 'object',
+      properties: {
+        ...COVERAGE_THRESHOLDS,
+        directories: { type: 'object', additional: { type: 'object', properties: COVERAGE_THRESHOLDS } },
+        file: string,
+      },
+    },
+  ],
+};
+
+// Pattern objects take the regex as a string or a RegExp literal
+const PATTERN = {
+  oneOf: [
+    string,
+    {
+      type: 'object',
+      properties: { regex: { oneOf: [string, { type: 'regexp' }] }, label: string },
+      required: ['regex', 'label'],
+    },
+  ],
+};
+
+const CHECK = {
+  type: 'object',
+  properties: {
+    enabled: boolean,
+    weight: points,
+    required: boolean,
+    command: { oneOf: [string, { type: 'null' }] },
+    // Seconds before the command is killed, and reruns after a failure
+    timeout: { type: 'number', min: 1 },
+    retries: { type: 'integer', min: 0 },
+    scoring: SCORING_RULES,
+    cache: boolean,
+    // Changed-files mode: pass the changed files to the command
+    passFiles: boolean,
+    // test
+    coverage: COVERAGE,
+    resultsFile: string,
+    // content, secrets
+    patterns: { type: 'array', items: PATTERN },
+    allowlist: { type: 'object', additional: { oneOf: [{ enum: ['*'] }, stringList] } },
+    extensions: stringList,
+    skipDirs: stringList,
+    // Custom checks
+    type: { enum: ['command'] },
+    name: string,
+    errorPattern: string,
+    countPattern: string,
+    plugin: string,
+  },
+};
+
+const CONFIG_PROPERTIES = {
+  checks: { validate: validateChecks },
+  scoring: {
+    type: 'object',
+    properties: { deployThreshold: { type: 'number', min: 0, max: 100 } },
+  },
+  runner: {
+    type: 'object',
+    properties: { concurrency: { type: 'integer', min: 1 } },
+  },
+  cache: {
+    oneOf: [
+      { enum: [false] },
+      { type: 'object', properties: { enabled: boolean, dir: string } },
+    ],
+  },
+  report: {
+    type: 'object',
+    properties: { outputDir: string },
+  },
+  baseline: {
+    oneOf: [
+      { enum: [false] },
+      { type: 'object', properties: { enabled: boolean, file: string } },
+    ],
+  },
+};
+
+// Per-package overrides and profiles take everything but the workspace settings
+const OVERRIDE_CONFIG = { type: 'object', properties: CONFIG_PROPERTIES };
+
+const CONFIG = {
+  type: 'object',
+  properties: {
+    extends: { oneOf: [string, stringList] },
+    ...CONFIG_PROPERTIES,
+    profiles: { type: 'object', additional: OVERRIDE_CONFIG },
+    workspaces: boolean,
+    packages: { type: 'object', additional: { oneOf: [{ enum: [false] }, OVERRIDE_CONFIG] } },
+  },
+};
+
+/**
+ * Validate a user config (the object exported by fortress.config.js).
+ *
+ * @param {object} userConfig
+ * @returns {Array<{path: string, message: string}>} Empty when the config is valid
+ */
+function validateConfig(userConfig) {
+  const issues = [];
+  validate(userConfig, CONFIG, '', issues);
+  return issues;
+}
+
+/**
+ * Format an issue for display: "checks.lint.enabeld: unknown key. Did you mean "enabled"?"
+ * Issues from an extended preset are prefixed with it: "[fortress-preset-acme] ...".
+ */
+function formatIssue(issue) {
+  const text = issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+  return issue.source ? `[${issue.source}] ${text}` : text;
+}
+
+function validate(value, schema, path, issues) {
+  if (schema.validate) {
+    schema.validate(value, path, issues);
+    return;
+  }
+
+  if (schema.oneOf) {
+    const option = schema.oneOf.find(o => matchesType(value, o));
+    if (!option) {
+      issues.push({ path, message: `expected ${describe(schema)}, got ${describeValue(value)}` });
+      return;
+    }
+    validate(value, option, path, issues);
+    return;
+  }
+
+  if (!matchesType(value, schema)) {
+    issues.push({ path, message: `expected ${describe(schema)}, got ${describeValue(value)}` });
+    return;
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.min !== undefined && value < schema.min) {
+      issues.push({ path, message: `must be at least ${schema.min}, got ${value}` });
+    } else if (schema.max !== undefined && value > schema.max) {
+      issues.push({ path, message: `must be at most ${schema.max}, got ${value}` });
+    }
+  } else if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, issues));
+  } else if (schema.type === 'object') {
+    validateObject(value, schema, path, issues);
+  }
+}
+
+function validateObject(value, schema, path, issues) {
+  const properties = schema.properties || {};
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = joinPath(path, key);
+    if (Object.hasOwn(properties, key)) {
+      validate(child, properties[key], childPath, issues);
+    } else if (schema.additional === true) {
+      continue;
+    } else if (schema.additional) {
+      validate(child, schema.additional, childPath, issues);
+    } else {
+      issues.push({ path: childPath, message: unknownKeyMessage(key, Object.keys(properties)) });
+    }
+  }
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      issues.push({ path: joinPath(path, key), message: 'is required' });
+    }
+  }
+}
+
+/**
+ * Checks are validated by name: built-in checks against CHECK, custom
+ * checks need a plugin or `type: 'command'`. Plugins may take options
+ * of their own, so their unknown keys are allowed.
+ */
+function validateChecks(value, path, issues) {
+  if (!isPlainObject(value)) {
+    issues.push({ path, message: `expected an object, got ${describeValue(value)}` });
+    return;
+  }
+
+  for (const [name, checkConfig] of Object.entries(value)) {
+    const checkPath = joinPath(path, name);
+    if (!isPlainObject(checkConfig)) {
+      issues.push({ path: checkPath, message: `expected an object, got ${describeValue(checkConfig)}` });
+      continue;
+    }
+    if (!BUILT_IN_CHECKS.includes(name) && !checkConfig.plugin && !checkConfig.type) {
+      const suggestion = closest(name, BUILT_IN_CHECKS);
+      issues.push({
+        path: checkPath,
+        message: suggestion
+          ? `unknown check. Did you mean "${suggestion}"?`
+          : "unknown check. Custom checks need a plugin or type: 'command'",
+      });
+      continue;
+    }
+    validate(checkConfig, checkConfig.plugin ? { ...CHECK, additional: true } : CHECK, checkPath, issues);
+  }
+}
+
+function unknownKeyMessage(key, validKeys) {
+  const suggestion = closest(key, validKeys);
+  return suggestion
+    ? `unknown key. Did you mean "${suggestion}"?`
+    : `unknown key. Valid keys: ${validKeys.join(', ')}`;
+}
+
+/**
+ * The candidate nearest to `key` by edit distance, if it's close enough
+ * to be a likely typo.
+ */
+function closest(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(1, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * Levenshtein distance, counting a swap of adjacent characters as one edit.
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function matchesType(value, schema) {
+  if (schema.validate) return true;
+  if (schema.enum) return schema.enum.includes(value);
+  switch (schema.type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'regexp': return value instanceof RegExp;
+    case 'number': return typeof value === 'number' && isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === schema.type;
+  }
+}
+
+function describe(schema) {
+  if (schema.oneOf) return schema.oneOf.map(describe).join(' or ');
+  if (schema.enum) return schema.enum.map(v => JSON.stringify(v)).join(' or ');
+  switch (schema.type) {
+    case 'array': return 'an array';
+    case 'object': return 'an object';
+    case 'integer': return 'a whole number';
+    case 'regexp': return 'a RegExp';
+    case 'null': return 'null';
+    default: return `a ${schema.type}`;
+  }
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (value instanceof RegExp) return `RegExp ${value}`;
+  if (typeof value === 'string') return `string ${JSON.stringify(value.length > 40 ? value.slice(0, 37) + '...' : value)}`;
+  if (typeof value === 'number' || typeof value === 'boolean') return `${typeof value} ${value}`;
+  return typeof value === 'object' ? 'an object' : typeof value;
+}
+
+function joinPath(path, key) {
+  const segment = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+  if (!path) return segment;
+  return segment.startsWith('"') ? `${path}[${segment}]` : `${path}.${segment}`;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+}
+
+module.exports = { validateConfig, formatIssue, BUILT_IN_CHECKS };
@@ -0,0 +1,213 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const METRICS = ['lines', 'branches', 'functions', 'statements'];
+
+// Coverage files written by the test command, checked in this order
+const DEFAULT_FILES = ['coverage/coverage-summary.json', 'coverage/lcov.info'];
+
+// Coverage files can be written a moment before the run's start time is
+// taken on filesystems with coarse timestamps
+const MTIME_SLACK_MS = 2000;
+
+/**
+ * Read the coverage a test run produced. Looks at the configured file,
+ * then Istanbul's coverage-summary.json and lcov.info in coverage/, then
+ * the text table in the command output (Istanbul/c8 `text` reporter or
+ * `node --test --experimental-test-coverage`). Files older than the run
+ * are ignored so a stale report can't pass the check.
+ *
+ * @param {string} root - Project root
+ * @param {object} opts
+ * @param {string} [opts.file] - Coverage file from the config (JSON summary or lcov)
+ * @param {number} opts.since - Start of the test run (ms)
+ * @param {string} opts.output - Test command output
+ * @returns {{source: string, total: object, files: object|null}|null} Percentages
+ *   per metric in `total`; covered/total counts per file in `files` when the
+ *   source has them. Null when no coverage was found.
+ */
+function readCoverage(root, { file, since, output }) {
+  for (const relative of file ? [file] : DEFAULT_FILES) {
+    const fullPath = path.resolve(root, relative);
+    let stat;
+    try {
+      stat = fs.statSync(fullPath);
+    } catch {
+      continue;
+    }
+    if (stat.mtimeMs < since - MTIME_SLACK_MS) continue;
+
+    const content = fs.readFileSync(fullPath, 'utf-8');
+    const files = fullPath.endsWith('.json') ? parseSummary(content, root) : parseLcov(content, root);
+    if (files) return { source: relative, total: totals(Object.values(files)), files };
+  }
+
+  const total = parseTextTable(output);
+  return total ? { source: 'test output', total, files: null } : null;
+}
+
+/**
+ * Istanbul json-summary: `{ total: {...}, "/abs/file.js": { lines: { total, covered }, ... } }`.
+ */
+function parseSummary(content, root) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  if (!data || typeof data !== 'object') return null;
+
+  const files = {};
+  for (const [file, entry] of Object.entries(data)) {
+    if (file === 'total' || !entry || typeof entry !== 'object') continue;
+    files[toRelative(file, root)] = Object.fromEntries(METRICS
+      .filter(m => entry[m] && typeof entry[m].total === 'number')
+      .map(m => [m, { covered: entry[m].covered, total: entry[m].total }]));
+  }
+  return files;
+}
+
+/**
+ * lcov tracefile: per-file SF/LF/LH/BRF/BRH/FNF/FNH records. lcov has no
+ * statement counts.
+ */
+function parseLcov(content, root) {
+  const files = {};
+  let current = null;
+  const fields = { LF: ['lines', 'total'], LH: ['lines', 'covered'], BRF: ['branches', 'total'], BRH: ['branches', 'covered'], FNF: ['functions', 'total'], FNH: ['functions', 'covered'] };
+
+  for (const line of content.split('\n')) {
+    const [key, value] = line.trim().split(/:(.*)/);
+    if (key === 'SF') {
+      current = { lines: { covered: 0, total: 0 }, branches: { covered: 0, total: 0 }, functions: { covered: 0, total: 0 } };
+      files[toRelative(value, root)] = current;
+    } else if (current && fields[key]) {
+      const [metric, field] = fields[key];
+      current[metric][field] = parseInt(value, 10) || 0;
+    } else if (key === 'end_of_record') {
+      current = null;
+    }
+  }
+  return Object.keys(files).length > 0 ? files : null;
+}
+
+/**
+ * The "All files" row of a coverage table. Handles Istanbul's
+ * "% Stmts | % Branch | % Funcs | % Lines" and Node's
+ * "line % | branch % | funcs %" columns, with Node's "#" or "ℹ" prefixes.
+ */
+function parseTextTable(output) {
+  let columns = null;
+  for (const rawLine of output.split('\n')) {
+    const line = rawLine.replace(/^\s*(#|ℹ)?\s*/, '');
+    if (!line.includes('|')) continue;
+    const cells = line.split('|').map(cell => cell.trim());
+
+    const header = cells.map(columnMetric);
+    if (header.filter(Boolean).length >= 2) {
+      columns = header;
+      continue;
+    }
+    if (columns && /^all files$/i.test(cells[0])) {
+      const total = {};
+      columns.forEach((metric, i) => {
+        const pct = parseFloat(cells[i]);
+        if (metric && !isNaN(pct)) total[metric] = pct;
+      });
+      return Object.keys(total).length > 0 ? total : null;
+    }
+  }
+  return null;
+}
+
+function columnMetric(cell) {
+  switch (cell.toLowerCase().replace(/[%#]/g, '').trim()) {
+    case 'stmts': case 'statements': return 'statements';
+    case 'branch': case 'branches': return 'branches';
+    case 'funcs': case 'functions': return 'functions';
+    case 'line': case 'lines': return 'lines';
+    default: return null;
+  }
+}
+
+/**
+ * Compare coverage with the thresholds: `{ lines, branches, functions,
+ * statements }` for the whole project and the same per directory under
+ * `directories`.
+ *
+ * @returns {{failures: string[], warnings: string[], ratio: number}} `ratio`
+ *   is the lowest coverage/threshold ratio (1 when every threshold is met),
+ *   used to scale the test score.
+ */
+function checkThresholds(coverage, thresholds) {
+  const failures = [];
+  const warnings = [];
+  let ratio = 1;
+
+  function compare(scope, actual, limits) {
+    for (const metric of METRICS) {
+      const threshold = limits[metric];
+      if (typeof threshold !== 'number') continue;
+      if (typeof actual[metric] !== 'number') {
+        warnings.push(`${scope}: ${metric} coverage not reported by ${coverage.source}`);
+        continue;
+      }
+      if (actual[metric] < threshold) {
+        failures.push(`${scope}: ${metric} ${formatPct(actual[metric])} is below ${formatPct(threshold)}`);
+        ratio = Math.min(ratio, threshold > 0 ? actual[metric] / threshold : 1);
+      }
+    }
+  }
+
+  compare('Coverage', coverage.total, thresholds);
+
+  for (const [dir, limits] of Object.entries(thresholds.directories || {})) {
+    if (!coverage.files) {
+      warnings.push(`Coverage for ${dir} needs per-file data (coverage-summary.json or lcov.info), not ${coverage.source}`);
+      continue;
+    }
+    const prefix = dir.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/?$/, '/');
+    const matching = Object.entries(coverage.files).filter(([file]) => file.startsWith(prefix)).map(([, counts]) => counts);
+    if (matching.length === 0) {
+      warnings.push(`No coverage data for ${dir}`);
+      continue;
+    }
+    compare(`Coverage for ${dir}`, totals(matching), limits);
+  }
+
+  return { failures, warnings, ratio };
+}
+
+/**
+ * "lines 85.7%, branches 75%, functions 100%"
+ */
+function formatCoverage(total) {
+  return METRICS.filter(m => typeof total[m] === 'number').map(m => `${m} ${formatPct(total[m])}`).join(', ');
+}
+
+// Percentages per metric over a set of files; a metric nothing counts is 100%
+function totals(files) {
+  const total = {};
+  for (const metric of METRICS) {
+    const counted = files.filter(f => f[metric]);
+    if (counted.length === 0) continue;
+    const covered = counted.reduce((sum, f) => sum + f[metric].covered, 0);
+    const all = counted.reduce((sum, f) => sum + f[metric].total, 0);
+    total[metric] = all > 0 ? (covered / all) * 100 : 100;
+  }
+  return total;
+}
+
+function formatPct(pct) {
+  return `${Math.round(pct * 100) / 100}%`;
+}
+
+function toRelative(file, root) {
+  const relative = path.isAbsolute(file) ? path.relative(root, file) : file;
+  return relative.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+module.exports = { readCoverage, checkThresholds, formatCoverage, parseTextTable, METRICS };
@@ -3,11 +3,18 @@
 const fs = require('fs');
 const path = require('path');
 
+const LOCK_FILES = ['bun.lockb', 'pnpm-lock.yaml', 'yarn.lock', 'package-lock.json'];
+
 /**
  * Auto-detect project framework, language, tooling, and configuration.
  * Returns a detection result used to generate fortress.config.js.
+ *
+ * @param {string} projectRoot
+ * @param {object} [options]
+ * @param {string} [options.workspaceRoot] - For workspace packages: where to
+ *   look for the shared lockfile when the package has none of its own
  */
-function detect(projectRoot) {
+function detect(projectRoot, { workspaceRoot } = {}) {
   const result = {
     root: projectRoot,
     framework: null,
@@ -16,6 +23,7 @@ function detect(projectRoot) {
     testFramework: null,
     linter: null,
     buildCommand: null,
+    projectReferences: false,
   };
 
   const pkg = readJson(path.join(projectRoot, 'package.json'));
@@ -34,6 +42,7 @@ function detect(projectRoot) {
   } else {
     result.language = 'javascript';
   }
+  result.projectReferences = hasProjectReferences(path.join(projectRoot, 'tsconfig.json'));
 
   // Framework
   if (allDeps.next) {
@@ -54,12 +63,14 @@ function detect(projectRoot) {
     result.framework = 'node';
   }
 
-  // Package manager
-  if (fs.existsSync(path.join(projectRoot, 'bun.lockb'))) {
+  // Package manager — workspace packages share the lockfile at the workspace root
+  const hasOwnLockfile = LOCK_FILES.some(f => fs.existsSync(path.join(projectRoot, f)));
+  const lockRoot = workspaceRoot && !hasOwnLockfile ? workspaceRoot : projectRoot;
+  if (fs.existsSync(path.join(lockRoot, 'bun.lockb'))) {
     result.packageManager = 'bun';
-  } else if (fs.existsSync(path.join(projectRoot, 'pnpm-lock.yaml'))) {
+  } else if (fs.existsSync(path.join(lockRoot, 'pnpm-lock.yaml'))) {
     result.packageManager = 'pnpm';
-  } else if (fs.existsSync(path.join(projectRoot, 'yarn.lock'))) {
+  } else if (fs.existsSync(path.join(lockRoot, 'yarn.lock'))) {
     result.packageManager = 'yarn';
   } else {
     result.packageManager = 'npm';
@@ -97,6 +108,19 @@ function detect(projectRoot) {
   return result;
 }
 
+/**
+ * Whether tsconfig.json uses project references, which only `tsc -b`
+ * checks. tsconfig allows comments, so this looks at the text instead of
+ * parsing it.
+ */
+function hasProjectReferences(tsconfigPath) {
+  try {
+    return /"references"\s*:\s*\[\s*\{/.test(fs.readFileSync(tsconfigPath, 'utf-8'));
+  } catch {
+    return false;
+  }
+}
+
 function readJson(filePath) {
   try {
     return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
@@ -0,0 +1,148 @@
+'use strict';
+
+const fs = require('fs');
+
+// Error strings from secrets/content checks: "src/a.ts:12 - Label (matched: ...)"
+// or "src/a.ts:12:5 - "Label" (matched: ...)"
+const LOCATED_ERROR = /^(\S+?):(\d+)(?::\d+)? - "?(.+?)"?(?: \(matched: .*\))?$/;
+
+/**
+ * Read a saved report file.
+ * @param {string} filePath
+ * @returns {object} Parsed report
+ * @throws {Error} When the file is missing or isn't a Fortress report
+ */
+function loadReportFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read report ${filePath}: ${err.code === 'ENOENT' ? 'file not found' : err.message}`);
+  }
+  if (!parsed || typeof parsed.score !== 'number' || !Array.isArray(parsed.checks)) {
+    throw new Error(`${filePath} is not a Fortress JSON report`);
+  }
+  return parsed;
+}
+
+/**
+ * Compare two reports.
+ *
+ * Checks are matched by key (and package, for workspace reports).
+ * Errors are matched by file:line and label — from structured findings
+ * when both reports have them, otherwise parsed from the error text —
+ * so a finding that moved lines shows up as one fixed and one new.
+ *
+ * @param {object} before - Older report
+ * @param {object} after - Newer report
+ * @returns {{score: object, checks: Array, newErrors: Array, fixedErrors: Array}}
+ */
+function diffReports(before, after) {
+  const beforeChecks = indexChecks(before.checks);
+  const afterChecks = indexChecks(after.checks);
+  const ids = [...new Set([...beforeChecks.keys(), ...afterChecks.keys()])];
+
+  const checks = [];
+  const newErrors = [];
+  const fixedErrors = [];
+
+  for (const id of ids) {
+    const a = beforeChecks.get(id);
+    const b = afterChecks.get(id);
+    const ref = b || a;
+    const status = checkStatus(a, b);
+
+    checks.push({
+      key: ref.key,
+      name: ref.name,
+      package: ref.package || null,
+      status,
+      before: a && a.enabled ? { passed: a.passed, score: a.score, maxScore: a.maxScore } : null,
+      after: b && b.enabled ? { passed: b.passed, score: b.score, maxScore: b.maxScore } : null,
+      scoreDelta: (b && b.enabled ? b.score : 0) - (a && a.enabled ? a.score : 0),
+    });
+
+    // Checks without located findings (build, tests) still diff by error text
+    const useFindings = hasFindings(a) && hasFindings(b) && a.findings.length + b.findings.length > 0;
+    const beforeErrors = errorEntries(a, useFindings);
+    const afterErrors = errorEntries(b, useFindings);
+    const label = { key: ref.key, name: ref.name, package: ref.package || null };
+
+    for (const [errorKey, entry] of afterErrors) {
+      if (!beforeErrors.has(errorKey)) newErrors.push({ ...label, ...entry });
+    }
+    for (const [errorKey, entry] of beforeErrors) {
+      if (!afterErrors.has(errorKey)) fixedErrors.push({ ...label, ...entry });
+    }
+  }
+
+  return {
+    score: { before: before.score, after: after.score, delta: after.score - before.score },
+    deployReady: { before: !!before.deployReady, after: !!after.deployReady },
+    checks,
+    newErrors,
+    fixedErrors,
+  };
+}
+
+function indexChecks(checks) {
+  const map = new Map();
+  for (const check of checks || []) {
+    if (!check || !check.key) continue;
+    map.set(`${check.package || ''}\0${check.key}`, check);
+  }
+  return map;
+}
+
+/**
+ * fixed: failing → passing, broken: passing → failing, added/removed:
+ * enabled in only one report, unchanged: same pass/fail state (the score
+ * may still have moved).
+ */
+function checkStatus(a, b) {
+  const wasOn = !!(a && a.enabled);
+  const isOn = !!(b && b.enabled);
+  if (!wasOn && !isOn) return 'disabled';
+  if (!wasOn) return 'added';
+  if (!isOn) return 'removed';
+  if (!a.passed && b.passed) return 'fixed';
+  if (a.passed && !b.passed) return 'broken';
+  return 'unchanged';
+}
+
+function hasFindings(check) {
+  return !!check && Array.isArray(check.findings);
+}
+
+/**
+ * Key every error of a check by file:line and label.
+ * @returns {Map<string, {file: string|null, line: number|null, ruleId: string|null, label: string}>}
+ */
+function errorEntries(check, useFindings) {
+  const entries = new Map();
+  if (!check || !check.enabled) return entries;
+
+  if (useFindings) {
+    for (const f of check.findings) {
+      // Findings without a file (e.g. tsconfig errors) are kept too
+      if (!f || f.severity === 'warning' || f.severity === 'note') continue;
+      const entry = { file: f.file || null, line: f.line || null, ruleId: f.ruleId, label: f.message || f.ruleId };
+      entries.set(`${f.file || ''}:${f.line || ''}\0${f.ruleId}`, entry);
+    }
+    return entries;
+  }
+
+  for (const error of check.errors || []) {
+    const text = String(error);
+    // Skip detail lines ("  Hint: ...") and truncation notes
+    if (/^\s/.test(text) || /^\.\.\. and \d+ more/.test(text)) continue;
+    const match = text.match(LOCATED_ERROR);
+    const entry = match
+      ? { file: match[1], line: parseInt(match[2], 10), ruleId: null, label: match[3] }
+      : { file: null, line: null, ruleId: null, label: text };
+    entries.set(`${entry.file || ''}:${entry.line || ''}\0${entry.label}`, entry);
+  }
+  return entries;
+}
+
+module.exports = { diffReports, loadReportFile };
@@ -0,0 +1,243 @@
+'use strict';
+
+const { getTrend, formatDate } = require('./trend');
+
+const COLORS = {
+  pass: '#1a7f37',
+  warn: '#9a6700',
+  fail: '#cf222e',
+  muted: '#6e7781',
+};
+
+/**
+ * Render a Fortress report as a single self-contained HTML page:
+ * score gauge, per-check breakdown with errors and warnings, and the
+ * score history sparkline. No external scripts, styles or fonts.
+ *
+ * @param {object} report - From reporter.generateReport / generateWorkspaceReport
+ * @param {object} [options]
+ * @param {Array} [options.history] - Earlier reports from trend.loadReports, oldest first
+ * @returns {string} HTML document
+ */
+function toHtml(report, { history = [] } = {}) {
+  // The report being rendered may not be saved yet; make sure it ends the history
+  const points = history.filter(r => r.timestamp !== report.timestamp)
+    .concat([{ timestamp: report.timestamp, score: report.score }]);
+
+  const sections = [];
+  if (Array.isArray(report.packages)) {
+    sections.push(renderPackages(report.packages));
+    for (const pkg of report.packages) {
+      const checks = report.checks.filter(check => check.package === pkg.path);
+      sections.push(renderChecks(checks, pkg.path));
+    }
+  } else {
+    sections.push(renderChecks(report.checks));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Fortress Report — ${escapeHtml(formatDate(report.timestamp))}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<header>
+  <h1>Fortress Report</h1>
+  <p class="muted">${escapeHtml(formatDate(report.timestamp))} UTC · ${seconds(report.duration)}</p>
+</header>
+<section class="summary">
+  ${renderGauge(report.score)}
+  <div>
+    <p class="verdict" style="color:${report.deployReady ? COLORS.pass : COLORS.fail}">
+      ${report.deployReady ? 'Deploy ready' : 'Not deploy ready'}
+    </p>
+    <p class="muted">Threshold: ${escapeHtml(report.deployThreshold)}/100</p>
+    ${renderRequiredFailures(report.requiredFailures || [])}
+    ${renderHistory(points)}
+  </div>
+</section>
+${sections.join('\n')}
+<footer class="muted">Generated by Fortress</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+function renderRequiredFailures(failures) {
+  return failures.map(f => {
+    const name = f.package ? `${f.package}: ${f.name}` : f.name;
+    return `<p class="required">Required check failed: ${escapeHtml(name)}</p>`;
+  }).join('\n    ');
+}
+
+function renderGauge(score) {
+  const radius = 52;
+  const circumference = 2 * Math.PI * radius;
+  const filled = (Math.max(0, Math.min(100, score)) / 100) * circumference;
+  return `<svg class="gauge" viewBox="0 0 120 120" role="img" aria-label="Score ${escapeHtml(score)} out of 100">
+    <circle cx="60" cy="60" r="${radius}" fill="none" stroke="#eaeef2" stroke-width="12"/>
+    <circle cx="60" cy="60" r="${radius}" fill="none" stroke="${scoreColor(score)}" stroke-width="12"
+      stroke-linecap="round" stroke-dasharray="${filled.toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 60 60)"/>
+    <text x="60" y="58" text-anchor="middle" class="gauge-score">${escapeHtml(score)}</text>
+    <text x="60" y="78" text-anchor="middle" class="gauge-max">/ 100</text>
+  </svg>`;
+}
+
+/**
+ * Score history as an inline SVG line, with the trend from trend.getTrend.
+ */
+function renderHistory(points) {
+  if (points.length < 2) {
+    return '<p class="muted">Score history appears after the next report.</p>';
+  }
+
+  const width = 240;
+  const height = 48;
+  const pad = 4;
+  const step = (width - pad * 2) / (points.length - 1);
+  const y = score => pad + (1 - Math.max(0, Math.min(100, score)) / 100) * (height - pad * 2);
+  const coords = points.map((p, i) => `${(pad + i * step).toFixed(1)},${y(p.score).toFixed(1)}`);
+  const last = points[points.length - 1];
+  const trend = getTrend(points);
+  const title = points.map(p => `${formatDate(p.timestamp)}: ${p.score}`).join('\n');
+
+  return `<figure class="history">
+    <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Score history">
+      <title>${escapeHtml(title)}</title>
+      <polyline points="${coords.join(' ')}" fill="none" stroke="${COLORS.muted}" stroke-width="2" stroke-linejoin="round"/>
+      <circle cx="${coords[coords.length - 1].split(',')[0]}" cy="${y(last.score).toFixed(1)}" r="3" fill="${scoreColor(last.score)}"/>
+    </svg>
+    <figcaption class="muted">Last ${points.length} reports · ${escapeHtml(trend)}</figcaption>
+  </figure>`;
+}
+
+function renderPackages(packages) {
+  const rows = packages.map(p => `<tr>
+      <td><code>${escapeHtml(p.path)}</code></td>
+      <td style="color:${scoreColor(p.score)}"><strong>${escapeHtml(p.score)}</strong>/100</td>
+      <td>${p.deployReady ? 'Deploy ready' : 'Not deploy ready'}</td>
+      <td>${seconds(p.duration)}</td>
+    </tr>`).join('\n');
+  return `<section>
+  <h2>Packages</h2>
+  <table>
+    <thead><tr><th>Package</th><th>Score</th><th>Status</th><th>Time</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+</section>`;
+}
+
+function renderChecks(checks, heading = 'Checks') {
+  const rows = checks.map(check => {
+    const status = !check.enabled ? 'skip' : check.passed ? 'pass' : 'fail';
+    const label = { skip: 'SKIP', pass: 'PASS', fail: 'FAIL' }[status];
+    const pct = check.maxScore > 0 ? Math.round((check.score / check.maxScore) * 100) : 0;
+    const details = renderMessages(check);
+    return `<tr class="${status}">
+      <td><span class="badge ${status}">${label}</span></td>
+      <td>${escapeHtml(check.name)}${details}</td>
+      <td class="points">${check.enabled ? `${escapeHtml(check.score)}/${escapeHtml(check.maxScore)}` : '—'}</td>
+      <td class="bar-cell">${check.enabled ? `<div class="bar"><div style="width:${pct}%;background:${scoreColor(pct)}"></div></div>` : ''}</td>
+      <td>${check.enabled ? (check.cached ? 'cached' : seconds(check.duration)) : ''}</td>
+    </tr>`;
+  }).join('\n');
+
+  return `<section>
+  <h2>${escapeHtml(heading)}</h2>
+  <table>
+    <thead><tr><th></th><th>Check</th><th>Points</th><th></th><th>Time</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+</section>`;
+}
+
+function renderMessages(check) {
+  const errors = check.enabled && !check.passed ? check.errors || [] : [];
+  const warnings = check.enabled ? check.warnings || [] : [];
+  if (errors.length === 0 && warnings.length === 0) return '';
+
+  const items = [
+    ...errors.map(e => `<li class="error">${escapeHtml(e)}</li>`),
+    ...warnings.map(w => `<li class="warning">${escapeHtml(w)}</li>`),
+  ].join('');
+  const summary = [
+    errors.length ? `${errors.length} error${errors.length === 1 ? '' : 's'}` : '',
+    warnings.length ? `${warnings.length} warning${warnings.length === 1 ? '' : 's'}` : '',
+  ].filter(Boolean).join(', ');
+
+  const groups = errors.length > 0 ? renderGroups(check.groups) : '';
+  return `<details${errors.length ? ' open' : ''}><summary>${summary}</summary>${groups}<ul>${items}</ul></details>`;
+}
+
+/**
+ * Findings per file and per rule, for checks with many findings.
+ */
+function renderGroups(groups) {
+  if (!groups) return '';
+  const list = (entries, label) => entries
+    .map(e => `<code>${escapeHtml(label(e))}</code> (${escapeHtml(e.count)})`)
+    .join(', ');
+  const parts = [];
+  if (groups.byFile.length > 1) parts.push(`By file: ${list(groups.byFile, e => e.file)}`);
+  if (groups.byRule.length > 1) parts.push(`By rule: ${list(groups.byRule, e => e.ruleId)}`);
+  return parts.map(p => `<p class="muted">${p}</p>`).join('');
+}
+
+function scoreColor(score) {
+  return score >= 95 ? COLORS.pass : score >= 80 ? COLORS.warn : COLORS.fail;
+}
+
+function seconds(ms) {
+  return `${((ms || 0) / 1000).toFixed(1)}s`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+body { margin: 0; background: #f6f8fa; color: #1f2328; font: 15px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; }
+main { max-width: 960px; margin: 0 auto; padding: 24px; }
+h1 { margin: 0; font-size: 24px; }
+h2 { font-size: 18px; margin: 32px 0 8px; }
+.muted { color: ${COLORS.muted}; margin: 4px 0; }
+.summary { display: flex; gap: 32px; align-items: center; background: #fff; border: 1px solid #d0d7de; border-radius: 8px; padding: 24px; margin-top: 16px; }
+.gauge { width: 140px; height: 140px; flex: none; }
+.gauge-score { font-size: 32px; font-weight: 600; fill: #1f2328; }
+.gauge-max { font-size: 12px; fill: ${COLORS.muted}; }
+.verdict { font-size: 20px; font-weight: 600; margin: 0; }
+.required { color: ${COLORS.fail}; margin: 4px 0; }
+.history { margin: 12px 0 0; }
+table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #d0d7de; border-radius: 8px; }
+th, td { text-align: left; padding: 8px 12px; border-top: 1px solid #eaeef2; vertical-align: top; }
+th { font-size: 13px; color: ${COLORS.muted}; border-top: none; }
+tr.skip td { color: ${COLORS.muted}; }
+.badge { display: inline-block; font-size: 12px; font-weight: 600; padding: 1px 8px; border-radius: 10px; color: #fff; }
+.badge.pass { background: ${COLORS.pass}; }
+.badge.fail { background: ${COLORS.fail}; }
+.badge.skip { background: ${COLORS.muted}; }
+.points { white-space: nowrap; }
+.bar-cell { width: 120px; }
+.bar { height: 8px; background: #eaeef2; border-radius: 4px; overflow: hidden; margin-top: 7px; }
+.bar div { height: 100%; }
+details { margin-top: 4px; font-size: 13px; }
+summary { cursor: pointer; color: ${COLORS.muted}; }
+details ul { margin: 4px 0; padding-left: 18px; }
+li { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; white-space: pre-wrap; word-break: break-word; }
+li.error { color: ${COLORS.fail}; }
+li.warning { color: ${COLORS.warn}; }
+footer { margin-top: 32px; font-size: 13px; }
+@media print { body { background: #fff; } details { display: block; } }
+`;
+
+module.exports = { toHtml, escapeHtml };
@@ -0,0 +1,119 @@
+'use strict';
+
+// Longest testcase name; the full error text is kept in the failure body
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Convert a Fortress report into JUnit XML.
+ *
+ * Each check becomes a <testsuite>. A passing check has a single passing
+ * testcase; a failing check has one failed testcase per error, with
+ * indented detail lines (hints, the command that ran) folded into the
+ * failure above them. Disabled checks are reported as skipped.
+ *
+ * @param {object} report - From reporter.generateReport / generateWorkspaceReport
+ * @returns {string} XML document
+ */
+function toJUnit(report) {
+  const suites = report.checks.map(toSuite);
+  const totals = suites.reduce((sum, s) => ({
+    tests: sum.tests + s.cases.length,
+    failures: sum.failures + s.cases.filter(tc => tc.failure).length,
+    skipped: sum.skipped + s.cases.filter(tc => tc.skipped).length,
+  }), { tests: 0, failures: 0, skipped: 0 });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Fortress" tests="${totals.tests}" failures="${totals.failures}" errors="0" ` +
+      `skipped="${totals.skipped}" time="${seconds(report.duration)}" timestamp="${escapeXml(report.timestamp)}">`,
+  ];
+
+  for (const suite of suites) {
+    const failures = suite.cases.filter(tc => tc.failure).length;
+    const skipped = suite.cases.filter(tc => tc.skipped).length;
+    lines.push(
+      `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${failures}" ` +
+      `errors="0" skipped="${skipped}" time="${seconds(suite.duration)}">`
+    );
+    for (const tc of suite.cases) {
+      const attrs = `name="${escapeXml(tc.name)}" classname="${escapeXml(suite.classname)}" time="${seconds(tc.duration)}"`;
+      if (tc.failure) {
+        lines.push(`    <testcase ${attrs}>`);
+        lines.push(`      <failure message="${escapeXml(tc.name)}">${escapeXml(tc.failure)}</failure>`);
+        lines.push('    </testcase>');
+      } else if (tc.skipped) {
+        lines.push(`    <testcase ${attrs}>`);
+        lines.push('      <skipped message="disabled"/>');
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`    <testcase ${attrs}/>`);
+      }
+    }
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Build the testcases for one check entry of a report.
+ */
+function toSuite(check) {
+  const name = check.package ? `${check.package}: ${check.name}` : check.name;
+  const classname = check.package ? `fortress.${check.package}.${check.key}` : `fortress.${check.key}`;
+  const duration = check.duration || 0;
+
+  if (!check.enabled) {
+    return { name, classname, duration: 0, cases: [{ name: check.name, duration: 0, skipped: true }] };
+  }
+
+  if (check.passed) {
+    return { name, classname, duration, cases: [{ name: check.name, duration }] };
+  }
+
+  // Indented lines ("  Command: ...", "  Hint: ...") belong to the error above them
+  const failures = [];
+  for (const error of check.errors || []) {
+    const text = String(error);
+    if (/^\s/.test(text) && failures.length > 0) {
+      failures[failures.length - 1].push(text.trim());
+    } else {
+      failures.push([text.trim()]);
+    }
+  }
+  if (failures.length === 0) failures.push([`${check.name} failed`]);
+
+  const each = duration / failures.length;
+  return {
+    name,
+    classname,
+    duration,
+    cases: failures.map(([first, ...details]) => ({
+      name: first.length > MAX_NAME_LENGTH ? first.slice(0, MAX_NAME_LENGTH - 3) + '...' : first,
+      duration: each,
+      failure: [first, ...details].join('\n'),
+    })),
+  };
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Escape text for XML attributes and content. Also drops ANSI color codes
+ * and control characters, which XML 1.0 can't represent.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/\x1b\[[0-9;]*m/g, '')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = { toJUnit, escapeXml };
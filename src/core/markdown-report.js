@@ -0,0 +1,125 @@
+'use strict';
+
+// Errors listed per failing check; the rest are summarized as a count
+const TOP_ERRORS = 3;
+// Files and rules listed in a failing check's breakdown
+const TOP_GROUPS = 3;
+const MAX_ERROR_LENGTH = 200;
+
+/**
+ * Render a Fortress report as a compact Markdown summary for pull request
+ * comments and CI step summaries: headline score, a table of checks, and
+ * the first few errors of each failing check.
+ *
+ * @param {object} report - From reporter.generateReport / generateWorkspaceReport
+ * @returns {string} Markdown
+ */
+function toMarkdown(report) {
+  const isWorkspace = Array.isArray(report.packages);
+  const verdict = report.deployReady ? '✅ Deploy ready' : '❌ Not deploy ready';
+  const lines = [
+    `## Fortress: ${report.score}/100 · ${verdict}`,
+    '',
+    `Threshold ${report.deployThreshold} · ${seconds(report.duration)}`,
+    '',
+  ];
+
+  // Required checks block deploy regardless of score
+  const required = report.requiredFailures || [];
+  if (required.length > 0) {
+    for (const failure of required) {
+      const name = failure.package ? `${failure.package}: ${failure.name}` : failure.name;
+      lines.push(`- ❌ Required check failed: **${inline(name)}**`);
+    }
+    lines.push('');
+  }
+
+  if (isWorkspace) {
+    lines.push('| Package | Score | Status |', '| --- | ---: | --- |');
+    for (const pkg of report.packages) {
+      lines.push(`| ${codeCell(pkg.path)} | ${pkg.score}/100 | ${pkg.deployReady ? '✅ Deploy ready' : '❌ Not deploy ready'} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push(
+    isWorkspace ? '| Package | Check | Result | Score | Time |' : '| Check | Result | Score | Time |',
+    isWorkspace ? '| --- | --- | --- | ---: | ---: |' : '| --- | --- | ---: | ---: |'
+  );
+  for (const check of report.checks) {
+    const result = !check.enabled ? '⏭️ Skipped' : check.passed ? '✅ Pass' : '❌ Fail';
+    const score = check.enabled ? `${check.score}/${check.maxScore}` : '—';
+    const time = !check.enabled ? '' : check.cached ? 'cached' : seconds(check.duration);
+    const prefix = isWorkspace ? `| ${codeCell(check.package)} ` : '';
+    lines.push(`${prefix}| ${cell(check.name)} | ${result} | ${score} | ${time} |`);
+  }
+
+  const failing = report.checks.filter(check => check.enabled && !check.passed);
+  if (failing.length > 0) {
+    lines.push('', '### Top errors', '');
+    for (const check of failing) {
+      const errors = (check.errors || []).filter(e => !/^\s/.test(e));
+      const title = check.package ? `${check.package}: ${check.name}` : check.name;
+      lines.push(`**${inline(title)}**`, '');
+      for (const error of errors.slice(0, TOP_ERRORS)) {
+        lines.push(`- \`${code(error)}\``);
+      }
+      if (errors.length > TOP_ERRORS) {
+        lines.push(`- …and ${errors.length - TOP_ERRORS} more`);
+      }
+      const breakdown = renderGroups(check.groups);
+      if (breakdown) lines.push(breakdown);
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * "Most affected: `src/a.ts` (5), … · Most common: `TS2322` (4), …" —
+ * only worth a line when findings spread over several files or rules.
+ */
+function renderGroups(groups) {
+  if (!groups) return '';
+  const list = (entries, label) => entries.slice(0, TOP_GROUPS).map(e => `\`${code(label(e))}\` (${e.count})`).join(', ');
+  const parts = [];
+  if (groups.byFile.length > 1) parts.push(`Most affected: ${list(groups.byFile, e => e.file)}`);
+  if (groups.byRule.length > 1) parts.push(`Most common: ${list(groups.byRule, e => e.ruleId)}`);
+  return parts.length > 0 ? `\n${parts.join(' · ')}` : '';
+}
+
+function seconds(ms) {
+  return `${((ms || 0) / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Make text safe for a table cell: pipes would split the cell and
+ * newlines would end the row.
+ */
+function cell(text) {
+  return inline(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * A code span inside a table cell. GitHub still splits cells on a pipe
+ * inside code, unless it's escaped.
+ */
+function codeCell(text) {
+  return `\`${code(text).replace(/\|/g, '\\|')}\``;
+}
+
+function inline(text) {
+  return String(text ?? '').replace(/[\r\n]+/g, ' ').replace(/[*_`[\]<>]/g, '\\$&');
+}
+
+/**
+ * Prepare text for an inline code span. Backticks can't be escaped
+ * inside one, so they become single quotes.
+ */
+function code(text) {
+  const oneLine = String(text).replace(/[\r\n]+/g, ' ').replace(/`/g, "'").trim();
+  return oneLine.length > MAX_ERROR_LENGTH ? oneLine.slice(0, MAX_ERROR_LENGTH - 1) + '…' : oneLine;
+}
+
+module.exports = { toMarkdown };
@@ -0,0 +1,63 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Load a third-party check from an npm package or a local file.
+ *
+ * Local paths (./, ../ or absolute) resolve against the project root.
+ * Package names resolve from the project's node_modules, not Fortress's own.
+ * A plugin must export `run(config, checkConfig)` returning (or resolving to)
+ * a result built with base-check's createResult.
+ *
+ * @param {string} specifier - Package name or file path from fortress.config.js
+ * @param {string} projectRoot - Project root directory
+ * @returns {{mod: object}|{error: string}}
+ */
+function loadPlugin(specifier, projectRoot) {
+  if (!specifier || typeof specifier !== 'string') {
+    return { error: 'Plugin must be a package name or file path' };
+  }
+
+  let resolved;
+  try {
+    resolved = isLocalPath(specifier)
+      ? require.resolve(path.resolve(projectRoot, specifier))
+      : require.resolve(specifier, { paths: [projectRoot] });
+  } catch {
+    return { error: `Plugin "${specifier}" not found (resolved from ${projectRoot})` };
+  }
+
+  let mod;
+  try {
+    mod = require(resolved);
+  } catch (err) {
+    return { error: `Plugin "${specifier}" failed to load: ${err.message}` };
+  }
+
+  if (!mod || typeof mod.run !== 'function') {
+    return { error: `Plugin "${specifier}" does not export a run(config, checkConfig) function` };
+  }
+
+  return { mod };
+}
+
+function isLocalPath(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../') || path.isAbsolute(specifier);
+}
+
+/**
+ * Check that a value returned by a check module has the createResult shape.
+ */
+function isValidResult(result) {
+  return !!result &&
+    typeof result === 'object' &&
+    typeof result.name === 'string' &&
+    typeof result.passed === 'boolean' &&
+    Array.isArray(result.errors) &&
+    Array.isArray(result.warnings) &&
+    typeof result.score === 'number' &&
+    !isNaN(result.score);
+}
+
+module.exports = { loadPlugin, isValidResult };
@@ -2,6 +2,28 @@
 
 const fs = require('fs');
 const path = require('path');
+const { toSarif } = require('./sarif');
+const { toJUnit } = require('./junit');
+const { toHtml } = require('./html-report');
+const { toMarkdown } = require('./markdown-report');
+const { loadReports } = require('./trend');
+const { MAX_FINDINGS } = require('../checks/base-check');
+
+// Files and rules listed per check in `groups`
+const MAX_GROUPS = 10;
+
+// Output formats: file extension and serializer for a generated report.
+// `reportDir` is where earlier reports live (the HTML report charts them).
+const FORMATS = {
+  json: { extension: 'json', render: report => JSON.stringify(report, null, 2) },
+  sarif: { extension: 'sarif', render: report => JSON.stringify(toSarif(report), null, 2) },
+  junit: { extension: 'xml', render: toJUnit },
+  markdown: { extension: 'md', render: toMarkdown },
+  html: {
+    extension: 'html',
+    render: (report, { reportDir } = {}) => toHtml(report, { history: reportDir ? loadReports(reportDir, 30) : [] }),
+  },
+};
 
 /**
  * Generate a structured report object from check results and scoring.
@@ -13,6 +35,7 @@ function generateReport(results, scoreResult, config, totalDuration) {
     maxScore: scoreResult.maxScore,
     deployReady: scoreResult.deployReady,
     deployThreshold: config.scoring?.deployThreshold || 95,
+    requiredFailures: scoreResult.requiredFailures || [],
     duration: totalDuration,
     checks: results.map(r => ({
       name: r.name,
@@ -22,17 +45,101 @@ function generateReport(results, scoreResult, config, totalDuration) {
       maxScore: config.checks[r.key]?.weight || 0,
       enabled: config.checks[r.key]?.enabled || false,
       duration: r.duration,
+      cached: !!r.cached,
       errors: r.errors,
       warnings: r.warnings,
+      counts: r.counts || null,
+      coverage: r.coverage || null,
+      tests: r.tests || null,
+      findings: Array.isArray(r.findings) ? r.findings.slice(0, MAX_FINDINGS) : [],
+      groups: groupFindings(Array.isArray(r.findings) ? r.findings : []),
     })),
   };
 }
 
 /**
- * Save report as timestamped JSON file.
+ * Count a check's findings per file and per rule (TS code, lint rule),
+ * most frequent first. Null when there are no findings.
+ * @returns {{byFile: Array<{file: string, count: number}>, byRule: Array<{ruleId: string, count: number}>}|null}
+ */
+function groupFindings(findings) {
+  if (findings.length === 0) return null;
+  return {
+    byFile: countBy(findings.filter(f => f && f.file), f => f.file)
+      .map(([file, count]) => ({ file, count })),
+    byRule: countBy(findings.filter(f => f && f.ruleId), f => f.ruleId)
+      .map(([ruleId, count]) => ({ ruleId, count })),
+  };
+}
+
+function countBy(items, keyOf) {
+  const counts = new Map();
+  for (const item of items) {
+    counts.set(keyOf(item), (counts.get(keyOf(item)) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_GROUPS);
+}
+
+/**
+ * Generate a combined report for a workspace run.
+ * Checks from every package are flattened into `checks` and tagged with
+ * their package path, so anything that reads single-project reports
+ * (trend, the statusline) keeps working.
+ */
+function generateWorkspaceReport(workspaceRun, rootConfig, totalDuration) {
+  const packages = workspaceRun.packages.map(p => ({
+    path: p.path,
+    ...generateReport(p.results, p.scoreResult, p.config, p.duration),
+  }));
+
+  return {
+    timestamp: new Date().toISOString(),
+    score: workspaceRun.score,
+    maxScore: 100,
+    deployReady: workspaceRun.deployReady,
+    deployThreshold: rootConfig.scoring?.deployThreshold || 95,
+    requiredFailures: packages.flatMap(p => p.requiredFailures.map(f => ({ ...f, package: p.path }))),
+    duration: totalDuration,
+    workspaceTool: workspaceRun.tool || null,
+    packages: packages.map(p => ({
+      path: p.path,
+      score: p.score,
+      deployReady: p.deployReady,
+      deployThreshold: p.deployThreshold,
+      duration: p.duration,
+    })),
+    checks: packages.flatMap(p => p.checks.map(check => ({ ...check, package: p.path }))),
+  };
+}
+
+/**
+ * Serialize a report in one of the supported formats.
+ * @param {object} report
+ * @param {string} [format='json'] - Key of FORMATS
+ * @param {object} [options]
+ * @param {string} [options.reportDir] - Directory of earlier reports, for score history
+ * @returns {string}
+ */
+function renderReport(report, format = 'json', options = {}) {
+  const handler = FORMATS[format];
+  if (!handler) {
+    throw new Error(`Unknown report format "${format}". Supported: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return handler.render(report, options);
+}
+
+/**
+ * Save report as a timestamped file (fortress-report-<timestamp>.<ext>).
  * Returns the file path of the saved report.
+ *
+ * @param {object} report
+ * @param {string} outputDir - Relative to the project root
+ * @param {string} [format='json'] - Key of FORMATS
  */
-function saveReport(report, outputDir) {
+function saveReport(report, outputDir, format = 'json') {
+
   const projectRoot = process.cwd();
   const resolvedDir = path.resolve(projectRoot, outputDir);
 
@@ -44,14 +151,27 @@ function saveReport(report, outputDir) {
     );
   }
 
+  const content = renderReport(report, format, { reportDir: resolvedDir });
   fs.mkdirSync(resolvedDir, { recursive: true });
 
   const timestamp = report.timestamp.replace(/[:.]/g, '-').replace('T', '_').replace('Z', '');
-  const filename = `fortress-report-${timestamp}.json`;
+  const filename = `fortress-report-${timestamp}.${FORMATS[format].extension}`;
   const filePath = path.join(resolvedDir, filename);
 
-  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(filePath, content);
   return filePath;
 }
 
-module.exports = { generateReport, saveReport };
+/**
+ * Append the Markdown summary to the GitHub Actions job summary
+ * when running in Actions (GITHUB_STEP_SUMMARY is set).
+ * @returns {string|null} The summary file path, or null when not in Actions
+ */
+function appendStepSummary(report) {
+  const summaryPath = process.env.GITHUB_STEP_SUMMARY;
+  if (!summaryPath) return null;
+  fs.appendFileSync(summaryPath, toMarkdown(report) + '\n');
+  return summaryPath;
+}
+
+module.exports = { generateReport, generateWorkspaceReport, groupFindings, renderReport, saveReport, appendStepSummary, FORMATS };
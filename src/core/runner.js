@@ -7,8 +7,14 @@ const contentCheck = require('../checks/content-check');
 const secretsCheck = require('../checks/secrets-check');
 const securityCheck = require('../checks/security-check');
 const buildCheck = require('../checks/build-check');
+const commandCheck = require('../checks/command-check');
 const { createResult } = require('../checks/base-check');
 const { validateCommand } = require('./command-validator');
+const { loadPlugin, isValidResult } = require('./plugin-loader');
+const { withFileArgs } = require('./changed-files');
+const { createCache } = require('./cache');
+const { applyBaseline } = require('./baseline');
+const { scoreCheck } = require('./scorer');
 
 const CHECK_MODULES = {
   typescript: typescriptCheck,
@@ -20,68 +26,271 @@ const CHECK_MODULES = {
   build: buildCheck,
 };
 
+const DEFAULT_CONCURRENCY = 4;
+
 /**
- * Run all enabled checks sequentially.
- * Returns an array of check results.
+ * Run all checks, executing enabled ones concurrently.
+ * At most `config.runner.concurrency` checks run at the same time, and
+ * checks that write build output (the build, `tsc -b`) run one at a time.
+ * Results are returned in config order regardless of completion order.
+ * Findings recorded in the project's baseline file don't count against checks.
+ *
+ * @param {object} config - Loaded fortress config
+ * @param {object} [options]
+ * @param {string[]} [options.only] - Run only these check keys (used by watch)
  */
-function run(config) {
-  const results = [];
+async function run(config, { only } = {}) {
+  const entries = Object.entries(config.checks)
+    .filter(([name]) => !only || only.includes(name));
+  const results = new Array(entries.length);
+  const concurrency = getConcurrency(config);
 
-  for (const [name, checkConfig] of Object.entries(config.checks)) {
-    if (!checkConfig.enabled) {
-      results.push(createResult(name, {
-        passed: true,
-        warnings: [`${name} check is disabled`],
+  // Changed-files runs see a partial project, so they neither read nor write the cache
+  const cache = config.cache?.enabled && !config.changedFiles ? createCache(config) : null;
+
+  // Chain of checks that write build output, so they never overlap
+  let buildOutput = Promise.resolve();
+  const inSeries = task => {
+    const done = buildOutput.then(task);
+    buildOutput = done.catch(() => {});
+    return done;
+  };
+
+  let next = 0;
+  async function worker() {
+    while (next < entries.length) {
+      const index = next++;
+      const [name, checkConfig] = entries[index];
+      const check = () => runCheck(name, checkConfig, config, cache);
+      results[index] = await (writesBuildOutput(name, checkConfig) ? inSeries(check) : check());
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, entries.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  if (cache) cache.flush();
+
+  // Baseline and scoring rules are applied after caching, so editing
+  // them never needs a rerun
+  const checked = config.baseline?.enabled ? applyBaseline(results, config) : results;
+  return checked.map(result => ({ ...result, score: scoreCheck(result, config.checks[result.key]) }));
+}
+
+/**
+ * Run a single check, or return a placeholder result when it is
+ * disabled, has no command, or is rejected by the command validator.
+ * When a cache is given, an unchanged check reuses its previous result.
+ */
+async function runCheck(name, checkConfig, config, cache) {
+  if (!checkConfig.enabled) {
+    return createResult(name, {
+      passed: true,
+      warnings: [`${name} check is disabled`],
+      duration: 0,
+      score: 0,
+    });
+  }
+
+  if (checkConfig.command === null && name !== 'content' && name !== 'secrets') {
+    return createResult(name, {
+      passed: true,
+      warnings: [`No ${name} command detected - skipped`],
+      duration: 0,
+      score: 0,
+    });
+  }
+
+  let mod;
+  if (checkConfig.plugin) {
+    const loaded = loadPlugin(checkConfig.plugin, config.root);
+    if (loaded.error) {
+      return createResult(name, {
+        passed: false,
+        errors: [loaded.error],
         duration: 0,
         score: 0,
-      }));
-      continue;
+      });
     }
+    mod = loaded.mod;
+  } else if (checkConfig.type === 'command') {
+    mod = commandCheck;
+  } else if (checkConfig.type) {
+    return createResult(name, {
+      passed: false,
+      errors: [`Unknown check type "${checkConfig.type}" for ${name}`, '  Hint: The only supported type is "command"'],
+      duration: 0,
+      score: 0,
+    });
+  } else {
+    mod = Object.hasOwn(CHECK_MODULES, name) ? CHECK_MODULES[name] : null;
+  }
+
+  if (!mod) {
+    return createResult(name, {
+      passed: false,
+      errors: [
+        `Unknown check: ${name}`,
+        `  Hint: Custom checks need a plugin or type: 'command', e.g. ${name}: { type: 'command', command: '...' }`,
+      ],
+      duration: 0,
+      score: 0,
+    });
+  }
 
-    if (checkConfig.command === null && name !== 'content' && name !== 'secrets') {
-      results.push(createResult(name, {
+  // Changed-files mode: point file-accepting commands at the diff only
+  let skippedFiles = [];
+  if (config.changedFiles && checkConfig.passFiles && checkConfig.command) {
+    const target = withFileArgs(checkConfig.command, config.changedFiles, checkConfig.extensions);
+    if (target.files.length === 0) {
+      return createResult(name, {
         passed: true,
-        warnings: [`No ${name} command detected - skipped`],
+        warnings: [`No changed files for ${name} - skipped`],
+        duration: 0,
+        score: checkConfig.weight,
+      });
+    }
+    // Commands read the working tree, which must match the index for
+    // the result to describe the commit
+    const unstaged = config.staged ? target.files.filter(f => (config.unstagedFiles || []).includes(f)) : [];
+    if (unstaged.length > 0) {
+      return createResult(name, {
+        passed: false,
+        errors: [
+          `${unstaged.length} staged file(s) changed since staging: ${unstaged.join(', ')}`,
+          '  Hint: Stage the changes, or stash them with git stash --keep-index, so the check sees what will be committed',
+        ],
         duration: 0,
         score: 0,
-      }));
-      continue;
+      });
     }
+    checkConfig = { ...checkConfig, command: target.command };
+    skippedFiles = target.skipped;
+  }
 
-    const mod = Object.hasOwn(CHECK_MODULES, name) ? CHECK_MODULES[name] : null;
-    if (!mod) {
-      results.push(createResult(name, {
+  // Validate commands before execution (content check has no command)
+  if (name !== 'content' && name !== 'secrets' && checkConfig.command) {
+    const validation = validateCommand(checkConfig.command);
+    if (!validation.valid) {
+      return createResult(name, {
         passed: false,
-        errors: [`Unknown check: ${name}`],
+        errors: [
+          `Command blocked by security validator: ${validation.reason}`,
+          `Rejected command: ${checkConfig.command}`,
+          'Commands must not contain shell operators (;, &&, ||, |, $(), backticks, redirects).',
+          'Edit fortress.config.js to use a simple, single command.',
+        ],
         duration: 0,
         score: 0,
-      }));
-      continue;
+      });
     }
+  }
 
-    // Validate commands before execution (content check has no command)
-    if (name !== 'content' && name !== 'secrets' && checkConfig.command) {
-      const validation = validateCommand(checkConfig.command);
-      if (!validation.valid) {
-        results.push(createResult(name, {
-          passed: false,
-          errors: [
-            `Command blocked by security validator: ${validation.reason}`,
-            `Rejected command: ${checkConfig.command}`,
-            'Commands must not contain shell operators (;, &&, ||, |, $(), backticks, redirects).',
-            'Edit fortress.config.js to use a simple, single command.',
-          ],
-          duration: 0,
-          score: 0,
-        }));
-        continue;
-      }
-    }
+  const inputHash = cache && cache.isCacheable(name, checkConfig)
+    ? cache.hashInputs(name, checkConfig)
+    : null;
+  if (inputHash) {
+    const cached = cache.get(name, inputHash);
+    if (cached) return cached;
+  }
+
+  const execute = () => (checkConfig.plugin
+    ? runPlugin(name, mod, config, checkConfig)
+    : mod.run(config, checkConfig, name));
+  const result = await runWithRetries(execute, checkConfig.retries);
+
+  // Timeouts usually say more about the machine than the code
+  if (inputHash && !result.timedOut) cache.set(name, inputHash, result);
+
+  if (skippedFiles.length > 0) {
+    result.warnings.push(`${skippedFiles.length} changed file(s) with unusual names not passed to ${name}: ${skippedFiles.slice(0, 3).join(', ')}`);
+  }
+
+  return result;
+}
+
+/**
+ * Rerun a failing check up to `retries` times. The last attempt's result
+ * is kept, with a warning when it took more than one. Tests that failed
+ * on an earlier attempt and passed on the last are listed in
+ * `tests.passedOnRetry` for flaky test detection.
+ */
+async function runWithRetries(execute, retries) {
+  const allowed = Number.isInteger(retries) && retries > 0 ? retries : 0;
+  let result = await execute();
+  let attempt = 0;
+  const failedBefore = new Set();
+  while (!result.passed && attempt < allowed) {
+    for (const failure of result.tests?.failures || []) failedBefore.add(failure.name);
+    attempt++;
+    result = await execute();
+  }
+
+  if (failedBefore.size > 0 && result.tests?.outcomes) {
+    result.tests.passedOnRetry = [...failedBefore].filter(name => result.tests.outcomes[name] === 'passed');
+  }
+
+  if (attempt > 0) {
+    result.warnings.push(result.passed
+      ? `Passed on retry ${attempt} of ${allowed} - may be flaky`
+      : `Failed on all ${attempt + 1} attempts`);
+  }
+  return result;
+}
 
-    results.push(mod.run(config, checkConfig));
+/**
+ * Run a plugin check, guarding against crashes and malformed results.
+ * The result key is forced to the config key so scoring can find it.
+ */
+async function runPlugin(name, mod, config, checkConfig) {
+  const start = Date.now();
+  let result;
+  try {
+    result = await mod.run(config, checkConfig);
+  } catch (err) {
+    return createResult(name, {
+      passed: false,
+      errors: [`Plugin "${checkConfig.plugin}" crashed: ${err.message}`],
+      duration: Date.now() - start,
+      score: 0,
+    });
   }
 
-  return results;
+  if (!isValidResult(result)) {
+    return createResult(name, {
+      passed: false,
+      errors: [
+        `Plugin "${checkConfig.plugin}" returned an invalid result`,
+        '  Hint: Build results with createResult() from fortress-system',
+      ],
+      duration: Date.now() - start,
+      score: 0,
+    });
+  }
+
+  return { ...result, key: name };
+}
+
+/**
+ * Whether a check writes build output: the build itself, or tsc in build
+ * mode, which emits into the same output directories.
+ */
+function writesBuildOutput(name, checkConfig) {
+  if (!checkConfig.enabled) return false;
+  return name === 'build' || (name === 'typescript' && typescriptCheck.isBuildMode(checkConfig.command));
+}
+
+/**
+ * Resolve the concurrency limit from config, falling back to the default
+ * for missing or invalid values.
+ */
+function getConcurrency(config) {
+  const value = config.runner?.concurrency;
+  if (Number.isInteger(value) && value > 0) return value;
+  return DEFAULT_CONCURRENCY;
 }
 
 module.exports = { run };
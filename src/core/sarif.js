@@ -0,0 +1,97 @@
+'use strict';
+
+const pkg = require('../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const LEVELS = new Set(['error', 'warning', 'note']);
+
+/**
+ * Convert a Fortress report into a SARIF 2.1.0 log.
+ *
+ * Every finding from an enabled check becomes a SARIF result with its rule
+ * id, location and level. Checks without located findings (build, tests,
+ * audit) have nothing to annotate and are left out.
+ *
+ * @param {object} report - From reporter.generateReport / generateWorkspaceReport
+ * @returns {object} SARIF log
+ */
+function toSarif(report) {
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+
+  for (const check of report.checks) {
+    if (!check.enabled) continue;
+
+    for (const finding of check.findings || []) {
+      if (!isValidFinding(finding)) continue;
+
+      if (!ruleIndex.has(finding.ruleId)) {
+        ruleIndex.set(finding.ruleId, rules.length);
+        rules.push({
+          id: finding.ruleId,
+          shortDescription: { text: finding.ruleId },
+          properties: { check: check.key, category: check.name },
+        });
+      }
+
+      const file = check.package ? `${check.package}/${finding.file}` : finding.file;
+      const region = {};
+      if (finding.line > 0) region.startLine = finding.line;
+      if (finding.line > 0 && finding.column > 0) region.startColumn = finding.column;
+
+      results.push({
+        ruleId: finding.ruleId,
+        ruleIndex: ruleIndex.get(finding.ruleId),
+        level: LEVELS.has(finding.severity) ? finding.severity : 'error',
+        message: { text: finding.message || finding.ruleId },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: encodeUri(file), uriBaseId: '%SRCROOT%' },
+            ...(region.startLine ? { region } : {}),
+          },
+        }],
+      });
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Fortress',
+          version: pkg.version,
+          informationUri: pkg.homepage,
+          rules,
+        },
+      },
+      invocations: [{
+        executionSuccessful: true,
+        endTimeUtc: report.timestamp,
+      }],
+      results,
+      properties: {
+        score: report.score,
+        deployReady: report.deployReady,
+      },
+    }],
+  };
+}
+
+/**
+ * Plugin findings aren't validated when the check runs — drop anything
+ * that can't be placed in a file.
+ */
+function isValidFinding(finding) {
+  return !!finding &&
+    typeof finding.ruleId === 'string' && finding.ruleId.length > 0 &&
+    typeof finding.file === 'string' && finding.file.length > 0;
+}
+
+function encodeUri(file) {
+  return file.replace(/\\/g, '/').split('/').map(encodeURIComponent).join('/');
+}
+
+module.exports = { toSarif };
@@ -1,17 +1,35 @@
 'use strict';
 
+// Issue severities that count as errors; all others count as warnings
+const ERROR_SEVERITIES = new Set(['error', 'critical', 'high']);
+
+const BASE_SCORING = { allOrNothing: true, perError: 0, perWarning: 0, cap: null, severity: {} };
+
+// Built-in defaults: tests score by pass rate, lint loses 5 points per
+// warning, security 5 per critical or high vulnerability. Everything
+// else is all-or-nothing.
+const DEFAULT_SCORING = {
+  test: { allOrNothing: false },
+  lint: { perWarning: 5 },
+  security: { allOrNothing: false, perError: 5 },
+};
+
 /**
  * Calculate a normalized score from check results.
  *
  * Adaptive scoring: disabled checks redistribute their weight proportionally.
  * If only 3 of 4 checks are enabled, those 3 checks can still reach 100/100.
+ *
+ * Each check is scored by scoreCheck. A failing check marked
+ * `required: true` blocks deploy readiness no matter the score; those
+ * checks are listed in `requiredFailures`.
  */
 function calculate(results, config) {
   const enabledChecks = Object.entries(config.checks).filter(([, c]) => c.enabled);
-  const totalWeight = enabledChecks.reduce((sum, [, c]) => sum + (c.weight || 0), 0);
+  const totalWeight = enabledChecks.reduce((sum, [, c]) => sum + getWeight(c), 0);
 
   if (totalWeight === 0) {
-    return { score: 0, maxScore: 0, rawScore: 0, totalWeight: 0, deployReady: false, noChecksEnabled: true, checks: results };
+    return { score: 0, maxScore: 0, rawScore: 0, totalWeight: 0, deployReady: false, noChecksEnabled: true, requiredFailures: [], checks: results };
   }
 
   // Sum raw scores from enabled checks
@@ -20,19 +38,106 @@ function calculate(results, config) {
       const checkCfg = config.checks[r.key];
       return checkCfg && checkCfg.enabled;
     })
-    .reduce((sum, r) => sum + r.score, 0);
+    .reduce((sum, r) => sum + scoreCheck(r, config.checks[r.key]), 0);
 
   // Normalize to 100-point scale
   const normalizedScore = Math.round((rawScore / totalWeight) * 100);
 
+  const requiredFailures = results
+    .filter(r => {
+      const checkCfg = config.checks[r.key];
+      return checkCfg && checkCfg.enabled && checkCfg.required === true && !r.passed;
+    })
+    .map(r => ({ key: r.key, name: r.name }));
+
   return {
     score: normalizedScore,
     maxScore: 100,
     rawScore,
     totalWeight,
-    deployReady: normalizedScore >= (config.scoring?.deployThreshold || 95),
+    deployReady: normalizedScore >= (config.scoring?.deployThreshold || 95) && requiredFailures.length === 0,
+    requiredFailures,
     checks: results,
   };
 }
 
-module.exports = { calculate };
+/**
+ * Score one check result with the check's scoring rules:
+ *
+ *   allOrNothing  a failing check scores 0
+ *   perError      points deducted per error-level issue (error, critical, high)
+ *   perWarning    points deducted per warning-level issue (warning, moderate, low)
+ *   severity      multiplier per severity, e.g. { critical: 2 } (default 1)
+ *   cap           most points deductions can take (default: the weight)
+ *
+ * The starting points are the weight, scaled by `passRate` when the check
+ * reports one (tests). Results without `counts` or `passRate` — plugins,
+ * skipped checks — keep the score they report, clamped to the weight.
+ *
+ * @param {object} result - Check result
+ * @param {object} checkConfig - The check's config; `scoring` overrides the defaults
+ * @returns {number}
+ */
+function scoreCheck(result, checkConfig) {
+  const weight = getWeight(checkConfig);
+  if (!result.counts && typeof result.passRate !== 'number') {
+    return clampScore(result.score, weight);
+  }
+
+  const rules = getScoringRules(result.key, checkConfig);
+  if (rules.allOrNothing && !result.passed) return 0;
+
+  const passRate = typeof result.passRate === 'number' ? Math.min(Math.max(result.passRate, 0), 1) : 1;
+  let penalty = 0;
+  for (const [severity, count] of Object.entries(result.counts || {})) {
+    if (!(count > 0)) continue;
+    const per = ERROR_SEVERITIES.has(severity) ? rules.perError : rules.perWarning;
+    penalty += count * per * (validNumber(rules.severity?.[severity]) ?? 1);
+  }
+  const cap = validNumber(rules.cap) ?? weight;
+
+  return Math.round(Math.max(0, weight * passRate - Math.min(penalty, cap)));
+}
+
+/**
+ * A check's scoring rules: its built-in defaults with `checkConfig.scoring`
+ * merged over them field by field. Invalid values fall back to the default.
+ */
+function getScoringRules(key, checkConfig) {
+  const rules = { ...BASE_SCORING, ...DEFAULT_SCORING[key] };
+  const user = checkConfig?.scoring;
+  if (!user || typeof user !== 'object') return rules;
+
+  if (typeof user.allOrNothing === 'boolean') rules.allOrNothing = user.allOrNothing;
+  for (const field of ['perError', 'perWarning', 'cap']) {
+    if (validNumber(user[field]) !== null) rules[field] = user[field];
+  }
+  if (user.severity && typeof user.severity === 'object') {
+    rules.severity = { ...rules.severity, ...user.severity };
+  }
+  return rules;
+}
+
+function validNumber(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Weight of a check config. Non-numeric or negative weights count as 0
+ * so a typo can't turn the total into NaN.
+ */
+function getWeight(checkConfig) {
+  const weight = checkConfig?.weight;
+  return typeof weight === 'number' && isFinite(weight) && weight > 0 ? weight : 0;
+}
+
+/**
+ * Keep a check's score within [0, weight]. Custom commands and plugins
+ * report their own scores, so one check can't push the total past 100.
+ */
+function clampScore(score, weight) {
+  if (typeof score !== 'number' || isNaN(score)) return 0;
+  return Math.min(Math.max(score, 0), weight);
+}
+
+module.exports = { calculate, scoreCheck, getScoringRules, DEFAULT_SCORING };
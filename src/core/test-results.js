@@ -0,0 +1,322 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { invokesTool } = require('../checks/base-check');
+
+// Failures, skipped and todo tests kept in the report per run
+const MAX_LISTED = 50;
+// Slowest tests kept in the report
+const SLOWEST = 5;
+
+// node --test-reporter arrived in Node 18.15 and 19.6
+const [NODE_MAJOR, NODE_MINOR] = process.versions.node.split('.').map(Number);
+const HAS_TEST_REPORTER = NODE_MAJOR > 19 || (NODE_MAJOR === 19 && NODE_MINOR >= 6) || (NODE_MAJOR === 18 && NODE_MINOR >= 15);
+
+// Result files can be written a moment before the run's start time is
+// taken on filesystems with coarse timestamps
+const MTIME_SLACK_MS = 2000;
+
+/**
+ * The test command with a machine-readable reporter writing to
+ * `resultsFile`, next to the runner's usual console output. node:test
+ * gets the TAP reporter on stdout, which newer Node versions no longer
+ * use by default. Null when the command doesn't run a known runner itself
+ * (`npm test` would pass the flags to npm) or already picks its reporters.
+ *
+ * @param {string} command
+ * @param {string} resultsFile - Absolute path for the results
+ * @returns {{command: string, format: 'jest'|'mocha'|'tap'}|null}
+ */
+function withTestReporter(command, resultsFile) {
+  if (!command) return null;
+  const file = JSON.stringify(resultsFile);
+  if (invokesTool(command, 'node') && /(^|\s)--test(\s|$)/.test(command)) {
+    // Options must come before the test file patterns
+    return !HAS_TEST_REPORTER || /(^|\s)--test-reporter\b/.test(command)
+      ? null
+      : { command: command.replace(/(^|\s)--test(?=\s|$)/, '$1--test --test-reporter=tap'), format: 'tap' };
+  }
+  if (invokesTool(command, 'jest')) {
+    return /(^|\s)(--json|--outputFile)\b/.test(command)
+      ? null
+      : { command: `${command} --json --outputFile=${file}`, format: 'jest' };
+  }
+  if (invokesTool(command, 'vitest')) {
+    // Vitest's JSON report uses Jest's format
+    return /(^|\s)(--reporter|--outputFile)\b/.test(command)
+      ? null
+      : { command: `${command} --reporter=default --reporter=json --outputFile=${file}`, format: 'jest' };
+  }
+  if (invokesTool(command, 'mocha')) {
+    return /(^|\s)(-R|--reporter)\b/.test(command)
+      ? null
+      : { command: `${command} --reporter json --reporter-option output=${file}`, format: 'mocha' };
+  }
+  return null;
+}
+
+/**
+ * Read a run's test results from the reporter's results file, a
+ * `resultsFile` the command writes itself (JUnit XML or Jest/Vitest/Mocha
+ * JSON), or TAP in the output. Files older than the run are ignored.
+ *
+ * @param {object} opts
+ * @param {string} opts.root - Project root
+ * @param {string} opts.output - Test command output
+ * @param {{file: string, format: string}|null} opts.reporter - Results added by withTestReporter
+ * @param {string|null} opts.resultsFile - Absolute path of a results file the command writes
+ * @param {number} opts.since - Start of the test run (ms)
+ * @returns {{passed: number, failed: number, skipped: number, todo: number, tests: Array}|null}
+ *   Tests are `{name, status, duration, message}`; status is passed,
+ *   failed, skipped or todo and duration is in ms (null when unknown).
+ */
+function readTestResults({ root, output, reporter, resultsFile, since }) {
+  if (reporter && reporter.format !== 'tap') {
+    // Older Mocha versions ignore the output option and print the JSON
+    const content = readFresh(reporter.file, since) ?? (reporter.format === 'mocha' ? output.slice(output.indexOf('{')) : null);
+    const tests = content !== null ? parseReport(content, reporter.format, root) : null;
+    if (tests) return summarize(tests);
+  }
+  if (resultsFile) {
+    const content = readFresh(resultsFile, since);
+    const format = content === null ? null : /^\s*</.test(content) ? 'junit' : 'json';
+    const tests = format ? parseReport(content, format, root) : null;
+    if (tests) return summarize(tests);
+  }
+  if (/^TAP version \d+/m.test(output)) {
+    const tests = parseTap(output);
+    if (tests.length > 0) return summarize(tests);
+  }
+  return null;
+}
+
+function readFresh(file, since) {
+  try {
+    if (fs.statSync(file).mtimeMs < since - MTIME_SLACK_MS) return null;
+    return fs.readFileSync(file, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+function parseReport(content, format, root) {
+  if (format === 'junit') return parseJUnit(content);
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  if (format !== 'mocha' && data && Array.isArray(data.testResults)) return parseJestJson(data, root);
+  if (format !== 'jest' && data && data.stats && Array.isArray(data.tests)) return parseMochaJson(data);
+  return null;
+}
+
+/**
+ * Jest `--json` and Vitest `--reporter=json`. A test file that fails to
+ * load has no assertions and is reported as one failed test.
+ */
+function parseJestJson(data, root) {
+  const tests = [];
+  for (const file of data.testResults) {
+    const assertions = Array.isArray(file.assertionResults) ? file.assertionResults : [];
+    for (const a of assertions) {
+      tests.push({
+        name: a.fullName || [...(a.ancestorTitles || []), a.title].join(' > '),
+        status: jestStatus(a.status),
+        duration: typeof a.duration === 'number' ? a.duration : null,
+        message: a.status === 'failed' ? firstLine((a.failureMessages || []).join('\n')) || null : null,
+      });
+    }
+    if (file.status === 'failed' && !assertions.some(a => a.status === 'failed')) {
+      const name = file.name ? path.relative(root, file.name).replace(/\\/g, '/') : 'test file';
+      tests.push({ name, status: 'failed', duration: null, message: firstLine(file.message) || 'Test file failed to run' });
+    }
+  }
+  return tests;
+}
+
+function jestStatus(status) {
+  if (status === 'passed' || status === 'failed' || status === 'todo') return status;
+  return 'skipped'; // pending, skipped, disabled
+}
+
+/**
+ * Mocha `--reporter json`: every test in `tests`, the skipped ones also in
+ * `pending`.
+ */
+function parseMochaJson(data) {
+  const pending = new Set((data.pending || []).map(t => t.fullTitle));
+  return data.tests.map(t => {
+    const failed = t.err && Object.keys(t.err).length > 0;
+    return {
+      name: t.fullTitle || t.title,
+      status: pending.has(t.fullTitle) ? 'skipped' : failed ? 'failed' : 'passed',
+      duration: typeof t.duration === 'number' ? t.duration : null,
+      message: failed ? firstLine(t.err.message) || null : null,
+    };
+  });
+}
+
+/**
+ * TAP from `node --test` (and other TAP producers). Subtests are indented
+ * under their parent. Only leaf tests are counted: points with subtests
+ * and node's suites (`type: 'suite'` in the YAML block) are groups.
+ */
+function parseTap(output) {
+  const lines = output.split('\n');
+  const tests = [];
+  const parents = [];
+  // Whether the next point at each depth has subtests, making it a group
+  const hasChildren = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const subtest = lines[i].match(/^(\s*)# Subtest: (.*)$/);
+    if (subtest) {
+      parents.length = depth(subtest[1]);
+      parents.push(subtest[2].trim());
+      continue;
+    }
+
+    const point = lines[i].match(/^(\s*)(ok|not ok)\s+\d+(?:\s+-)?\s*(.*?)(?:\s+#\s*(SKIP|TODO)\b.*)?$/i);
+    if (!point) continue;
+    const level = depth(point[1]);
+    const group = !!hasChildren[level];
+    hasChildren.length = level;
+    if (level > 0) hasChildren[level - 1] = true;
+    const yaml = readYaml(lines, i + 1, point[1]);
+    if (group || /^\s*type:\s*'?suite'?\s*$/m.test(yaml)) continue;
+
+    const directive = (point[4] || '').toUpperCase();
+    const failed = point[2] === 'not ok' && directive !== 'TODO';
+    const duration = yaml.match(/^\s*duration_ms:\s*([\d.]+)/m);
+    tests.push({
+      name: [...parents.slice(0, level), point[3].trim()].join(' > '),
+      status: directive === 'SKIP' ? 'skipped' : directive === 'TODO' ? 'todo' : failed ? 'failed' : 'passed',
+      duration: duration ? parseFloat(duration[1]) : null,
+      message: failed ? tapMessage(yaml) : null,
+    });
+  }
+  return tests;
+}
+
+function depth(indent) {
+  return Math.floor(indent.length / 4);
+}
+
+// The YAML block ("  ---" ... "  ...") following a test point
+function readYaml(lines, from, indent) {
+  if (!lines[from] || lines[from].trim() !== '---') return '';
+  const block = [];
+  for (let i = from + 1; i < lines.length && lines[i].trim() !== '...'; i++) {
+    if (!lines[i].startsWith(indent)) break;
+    block.push(lines[i]);
+  }
+  return block.join('\n');
+}
+
+// "error: 'message'" or "error: |-" followed by the indented message
+function tapMessage(yaml) {
+  const match = yaml.match(/^(\s*)error:\s*(.*)$/m);
+  if (!match) return null;
+  const inline = match[2].trim();
+  if (inline && !/^[|>][-+]?$/.test(inline)) return inline.replace(/^'(.*)'$/, '$1');
+  const after = yaml.slice(yaml.indexOf(match[0]) + match[0].length).split('\n').find(l => l.trim());
+  return after ? after.trim() : null;
+}
+
+/**
+ * JUnit XML: one test per <testcase>, failed with a <failure> or <error>
+ * child, skipped with <skipped> (todo when its type or message says so).
+ */
+function parseJUnit(xml) {
+  const tests = [];
+  const testcase = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g;
+  let match;
+  while ((match = testcase.exec(xml))) {
+    const attrs = parseAttributes(match[1]);
+    const body = match[2] || '';
+    const failure = body.match(/<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/);
+    const skipped = body.match(/<skipped\b([^>]*?)\/?>/);
+    const time = parseFloat(attrs.time);
+
+    let status = 'passed';
+    let message = null;
+    if (failure) {
+      status = 'failed';
+      message = firstLine(parseAttributes(failure[2]).message || decodeXml(failure[3] || '')) || null;
+    } else if (skipped) {
+      status = /todo/i.test(skipped[1]) ? 'todo' : 'skipped';
+    }
+    tests.push({
+      name: attrs.classname && attrs.classname !== attrs.name ? `${attrs.classname} > ${attrs.name}` : attrs.name || 'unnamed test',
+      status,
+      duration: isNaN(time) ? null : Math.round(time * 1000),
+      message,
+    });
+  }
+  return tests.length > 0 ? tests : null;
+}
+
+function parseAttributes(text) {
+  const attrs = {};
+  for (const [, key, value] of text.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attrs[key] = decodeXml(value);
+  }
+  return attrs;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+    .replace(/&amp;/g, '&');
+}
+
+function summarize(tests) {
+  const count = status => tests.filter(t => t.status === status).length;
+  return { passed: count('passed'), failed: count('failed'), skipped: count('skipped'), todo: count('todo'), tests };
+}
+
+/**
+ * The part of the results saved in the JSON report: counts, failures,
+ * skipped and todo tests, the slowest tests, and every test's outcome
+ * with the revision it ran on, which flaky test detection compares
+ * across reports.
+ */
+function reportTests(results, revision = null) {
+  const names = status => results.tests.filter(t => t.status === status).slice(0, MAX_LISTED).map(t => t.name);
+  const outcomes = {};
+  for (const t of results.tests) {
+    if (t.status === 'passed' || t.status === 'failed') outcomes[t.name] = t.status;
+  }
+  return {
+    passed: results.passed,
+    failed: results.failed,
+    skipped: results.skipped,
+    todo: results.todo,
+    failures: results.tests.filter(t => t.status === 'failed').slice(0, MAX_LISTED).map(t => ({ name: t.name, message: t.message })),
+    skippedTests: names('skipped'),
+    todoTests: names('todo'),
+    slowest: results.tests
+      .filter(t => typeof t.duration === 'number')
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, SLOWEST)
+      .map(t => ({ name: t.name, duration: Math.round(t.duration) })),
+    revision,
+    outcomes,
+  };
+}
+
+function firstLine(text) {
+  // Strip ANSI colors from runner messages
+  return String(text || '').replace(/\x1b\[[0-9;]*m/g, '').split('\n').map(l => l.trim()).find(Boolean) || '';
+}
+
+module.exports = { withTestReporter, readTestResults, reportTests, parseTap, parseJUnit, parseReport };
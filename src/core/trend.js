@@ -94,6 +94,56 @@ function sparkline(reports) {
   }).join('');
 }
 
+/**
+ * Find flaky tests: tests that both passed and failed on the same revision
+ * (same commit and uncommitted changes) across reports, or failed and then
+ * passed on a retry within one run. Runs without a revision are only
+ * counted: with the code changing in between, a flip may be a real fix or
+ * regression.
+ *
+ * @param {Array} reports - From loadReports, oldest first
+ * @returns {Array<{name: string, package: string|null, passed: number, failed: number, lastFailed: string|null}>}
+ *   Most failures first
+ */
+function findFlakyTests(reports) {
+  const entries = new Map();
+  const entryFor = (pkg, name) => {
+    const key = `${pkg || ''}\0${name}`;
+    if (!entries.has(key)) {
+      entries.set(key, { name, package: pkg || null, passed: 0, failed: 0, lastFailed: null, flipped: false, revisions: new Map() });
+    }
+    return entries.get(key);
+  };
+
+  for (const report of reports) {
+    for (const check of report.checks) {
+      const tests = check && check.key === 'test' ? check.tests : null;
+      if (!tests || !tests.outcomes || typeof tests.outcomes !== 'object') continue;
+      const revision = tests.revision ? `${tests.revision.commit}:${tests.revision.changes || ''}` : null;
+
+      for (const [name, status] of Object.entries(tests.outcomes)) {
+        if (status !== 'passed' && status !== 'failed') continue;
+        const entry = entryFor(check.package, name);
+        entry[status]++;
+        if (status === 'failed') entry.lastFailed = report.timestamp;
+        if (!revision) continue;
+        const seen = entry.revisions.get(revision) || new Set();
+        seen.add(status);
+        entry.revisions.set(revision, seen);
+        if (seen.size > 1) entry.flipped = true;
+      }
+      for (const name of tests.passedOnRetry || []) {
+        entryFor(check.package, name).flipped = true;
+      }
+    }
+  }
+
+  return [...entries.values()]
+    .filter(e => e.flipped)
+    .map(({ name, package: pkg, passed, failed, lastFailed }) => ({ name, package: pkg, passed, failed, lastFailed }))
+    .sort((a, b) => b.failed - a.failed || a.name.localeCompare(b.name));
+}
+
 /**
  * Format a timestamp string for display (YYYY-MM-DD HH:MM).
  */
@@ -107,4 +157,4 @@ function formatDate(timestamp) {
   }
 }
 
-module.exports = { loadReports, getTrend, sparkline, formatDate };
+module.exports = { loadReports, getTrend, sparkline, findFlakyTests, formatDate };
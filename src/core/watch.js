@@ -0,0 +1,175 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SOURCE_EXTENSIONS } = require('./changed-files');
+const { CHECK_INPUT_EXTENSIONS } = require('./cache');
+
+const DEFAULT_SKIP_DIRS = ['node_modules', '.next', '.git', 'dist', 'coverage', '.vercel', '.fortress-cache'];
+
+const LINT_CONFIG = /^(\.eslintrc|eslint\.config\.|biome\.jsonc?$|\.eslintignore$)/;
+const DEPENDENCY_FILES = new Set(['package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb']);
+
+// Editor scratch files: vim swap/backup files and its "4913" write probe, emacs lock files
+const EDITOR_TEMP = /(\.sw[px]|~|^4913|^\.#.*)$/;
+
+// Rewritten by tsc -b on every run, so never a change worth a rerun
+const BUILD_INFO = /\.tsbuildinfo$/;
+
+/**
+ * Work out which checks a set of changed files affects.
+ * Checks without a specific rule (custom commands, plugins, build)
+ * rerun on any change.
+ *
+ * @param {object} config - Loaded fortress config
+ * @param {string[]} changedFiles - Paths relative to the project root
+ * @returns {string[]} Check keys to rerun, in config order
+ */
+function affectedChecks(config, changedFiles) {
+  const sourceExts = new Set(DEFAULT_SOURCE_EXTENSIONS);
+  // Same inputs as the cache, so watch reruns exactly what a cached run would
+  const typescriptExts = new Set(CHECK_INPUT_EXTENSIONS.typescript);
+
+  return Object.entries(config.checks)
+    .filter(([, checkConfig]) => checkConfig.enabled)
+    .filter(([name, checkConfig]) => changedFiles.some(file => {
+      const base = path.basename(file);
+      const ext = path.extname(file);
+
+      switch (name) {
+        case 'typescript':
+          return typescriptExts.has(ext);
+        case 'lint':
+          return sourceExts.has(ext) || LINT_CONFIG.test(base);
+        case 'test':
+          return sourceExts.has(ext) || base === 'package.json';
+        case 'content':
+          return new Set(checkConfig.extensions || DEFAULT_SOURCE_EXTENSIONS).has(ext);
+        case 'security':
+          return DEPENDENCY_FILES.has(base);
+        default:
+          return true;
+      }
+    }))
+    .map(([name]) => name);
+}
+
+/**
+ * Collect the directory names a watcher should ignore: the content
+ * check's skipDirs plus Fortress's own output directories.
+ */
+function getSkipDirs(config) {
+  const dirs = new Set(DEFAULT_SKIP_DIRS);
+  for (const dir of config.checks.content?.skipDirs || []) dirs.add(dir);
+  dirs.add(path.basename(path.resolve(config.root, config.report?.outputDir || './fortress-reports/')));
+  dirs.add(path.basename(path.resolve(config.root, config.cache?.dir || './.fortress-cache/')));
+  return dirs;
+}
+
+/**
+ * Watch a project for file changes, skipping ignored directories.
+ *
+ * Uses native recursive watching where the platform provides it cheaply
+ * (macOS, Windows); elsewhere watches each directory individually so
+ * skipped trees like node_modules are never watched at all.
+ *
+ * @param {string} root - Project root
+ * @param {Set<string>} skipDirs - Directory names to ignore
+ * @param {function(string): void} onChange - Called with a relative path
+ * @returns {{close: function}}
+ */
+function watchProject(root, skipDirs, onChange) {
+  const isSkipped = relative => {
+    const segments = relative.split(/[\\/]/);
+    const name = segments[segments.length - 1];
+    return EDITOR_TEMP.test(name) || BUILD_INFO.test(name) || segments.some(segment => skipDirs.has(segment));
+  };
+
+  if (process.platform === 'darwin' || process.platform === 'win32') {
+    const watcher = fs.watch(root, { recursive: true }, (event, filename) => {
+      if (!filename) return;
+      const relative = filename.toString().replace(/\\/g, '/');
+      if (!isSkipped(relative)) onChange(relative);
+    });
+    return { close: () => watcher.close() };
+  }
+
+  const watchers = new Map();
+
+  function watchDir(dir) {
+    if (watchers.has(dir)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (event, filename) => {
+        if (!filename) return;
+        const fullPath = path.join(dir, filename.toString());
+        const relative = path.relative(root, fullPath).replace(/\\/g, '/');
+        if (isSkipped(relative)) return;
+
+        // Pick up directories created after the watch started
+        if (event === 'rename') {
+          try {
+            if (fs.lstatSync(fullPath).isDirectory()) watchTree(fullPath);
+          } catch {
+            // Removed — nothing to watch
+          }
+        }
+        onChange(relative);
+      });
+    } catch {
+      return; // Directory vanished or is unreadable
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(dir);
+    });
+    watchers.set(dir, watcher);
+  }
+
+  function watchTree(dir) {
+    watchDir(dir);
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.isSymbolicLink() || skipDirs.has(entry.name)) continue;
+      watchTree(path.join(dir, entry.name));
+    }
+  }
+
+  watchTree(root);
+
+  return {
+    close() {
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+}
+
+/**
+ * Collect change events and deliver them in batches once things go quiet,
+ * so an editor save (often several events) triggers a single rerun.
+ *
+ * @param {function(string[]): void} onBatch - Called with unique relative paths
+ * @param {number} [delay=300] - Quiet period in ms
+ * @returns {function(string): void} Event handler to pass to watchProject
+ */
+function debounceChanges(onBatch, delay = 300) {
+  let pending = new Set();
+  let timer = null;
+  return (file) => {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const batch = [...pending];
+      pending = new Set();
+      onBatch(batch);
+    }, delay);
+  };
+}
+
+module.exports = { affectedChecks, getSkipDirs, watchProject, debounceChanges };
@@ -0,0 +1,216 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const configLoader = require('./config-loader');
+const runner = require('./runner');
+const scorer = require('./scorer');
+
+const SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', '.next', '.turbo', '.nx']);
+
+// Nx projects without package manager workspaces live in these folders by convention
+const NX_DEFAULT_PATTERNS = ['apps/*', 'libs/*', 'packages/*'];
+
+/**
+ * Find workspace packages in a monorepo.
+ *
+ * Supports npm/yarn/bun `workspaces` in package.json, pnpm-workspace.yaml,
+ * and Nx layouts (project.json). Turborepo uses the package manager's
+ * workspaces, so it's reported as the tool but discovered the same way.
+ *
+ * @param {string} projectRoot
+ * @returns {{tool: string|null, packages: string[]}} Package paths relative to the root, sorted
+ */
+function findWorkspaces(projectRoot) {
+  const pkg = readJson(path.join(projectRoot, 'package.json'));
+  let tool = null;
+  let patterns = [];
+
+  const pnpmFile = path.join(projectRoot, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmFile)) {
+    tool = 'pnpm';
+    patterns = parsePnpmWorkspace(fs.readFileSync(pnpmFile, 'utf-8'));
+  } else if (pkg && pkg.workspaces) {
+    const ws = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces.packages;
+    patterns = Array.isArray(ws) ? ws : [];
+    tool = fs.existsSync(path.join(projectRoot, 'yarn.lock')) ? 'yarn'
+      : fs.existsSync(path.join(projectRoot, 'bun.lockb')) ? 'bun'
+        : 'npm';
+  }
+
+  const isNx = fs.existsSync(path.join(projectRoot, 'nx.json'));
+  if (fs.existsSync(path.join(projectRoot, 'turbo.json'))) {
+    tool = 'turbo';
+  } else if (isNx) {
+    tool = 'nx';
+  }
+  if (isNx && patterns.length === 0) {
+    patterns = NX_DEFAULT_PATTERNS;
+  }
+
+  const included = new Set();
+  const excluded = new Set();
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string') continue;
+    const negated = pattern.startsWith('!');
+    const dirs = expandPattern(projectRoot, negated ? pattern.slice(1) : pattern);
+    for (const dir of dirs) (negated ? excluded : included).add(dir);
+  }
+
+  const packages = [...included]
+    .filter(dir => !excluded.has(dir))
+    .filter(dir => isPackageDir(path.join(projectRoot, dir)))
+    .sort();
+
+  return { tool: packages.length > 0 ? tool : null, packages };
+}
+
+/**
+ * Read the `packages:` list from pnpm-workspace.yaml.
+ * Only handles the simple list form pnpm documents — enough to avoid
+ * pulling in a YAML parser.
+ */
+function parsePnpmWorkspace(content) {
+  const patterns = [];
+  let inPackages = false;
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.replace(/#.*$/, '').trimEnd();
+    if (!line.trim()) continue;
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (/^\S/.test(line)) {
+      inPackages = false;
+      continue;
+    }
+    const item = line.match(/^\s*-\s*['"]?([^'"]+)['"]?\s*$/);
+    if (inPackages && item) patterns.push(item[1].trim());
+  }
+  return patterns;
+}
+
+/**
+ * Expand a workspace glob into directories relative to the root.
+ * Supports literal segments, `*` (one level) and `**` (any depth).
+ */
+function expandPattern(projectRoot, pattern) {
+  const segments = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  const results = [];
+
+  function walk(relative, index) {
+    if (index === segments.length) {
+      results.push(relative);
+      return;
+    }
+    const segment = segments[index];
+    const absolute = path.join(projectRoot, relative);
+
+    if (segment === '**') {
+      walk(relative, index + 1);
+      for (const child of listDirs(absolute)) {
+        walk(join(relative, child), index);
+      }
+      return;
+    }
+
+    if (segment.includes('*')) {
+      const regex = new RegExp('^' + segment.split('*').map(escapeRegex).join('[^/]*') + '$');
+      for (const child of listDirs(absolute)) {
+        if (regex.test(child)) walk(join(relative, child), index + 1);
+      }
+      return;
+    }
+
+    if (fs.existsSync(path.join(absolute, segment))) {
+      walk(join(relative, segment), index + 1);
+    }
+  }
+
+  walk('', 0);
+  return results.filter(Boolean);
+}
+
+function listDirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(e => e.isDirectory() && !e.isSymbolicLink() && !SKIP_DIRS.has(e.name) && !e.name.startsWith('.'))
+      .map(e => e.name);
+  } catch {
+    return [];
+  }
+}
+
+function join(relative, child) {
+  return relative ? `${relative}/${child}` : child;
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isPackageDir(dir) {
+  return fs.existsSync(path.join(dir, 'package.json')) || fs.existsSync(path.join(dir, 'project.json'));
+}
+
+/**
+ * Run checks in every workspace package and combine the scores.
+ *
+ * Each package gets its own detection and config (shared config plus
+ * `packages[path]` overrides). Packages run one after another; checks
+ * within a package still run concurrently. Setting `packages[path]`
+ * to `false` skips that package.
+ *
+ * @param {string} projectRoot
+ * @param {string[]} packagePaths - From findWorkspaces
+ * @param {object} options
+ * @param {object} options.rootConfig - The root config the caller loaded, with the same profiles
+ * @param {function(object): object} [options.prepare] - Adjust each package config before running
+ * @param {string|string[]} [options.profile] - Profiles to apply, see configLoader.load
+ * @returns {Promise<{packages: Array, score: number, deployReady: boolean}>}
+ */
+async function runWorkspaces(projectRoot, packagePaths, { rootConfig, prepare, profile }) {
+  const overrides = rootConfig.packages || {};
+  const packages = [];
+
+  for (const packagePath of packagePaths) {
+    if (overrides[packagePath] === false) continue;
+
+    const start = Date.now();
+    let config = await configLoader.load(projectRoot, { packagePath, profile });
+    if (prepare) config = prepare(config);
+
+    const results = await runner.run(config);
+    const scoreResult = scorer.calculate(results, config);
+    packages.push({ path: packagePath, config, results, scoreResult, duration: Date.now() - start });
+  }
+
+  return { packages, ...combineScores(packages) };
+}
+
+/**
+ * Overall score is the mean of package scores (packages with no enabled
+ * checks don't count). The workspace is deploy-ready only when every
+ * scored package is.
+ */
+function combineScores(packages) {
+  const scored = packages.filter(p => !p.scoreResult.noChecksEnabled);
+  if (scored.length === 0) {
+    return { score: 0, deployReady: false, noChecksEnabled: true };
+  }
+  const score = Math.round(scored.reduce((sum, p) => sum + p.scoreResult.score, 0) / scored.length);
+  return {
+    score,
+    deployReady: scored.every(p => p.scoreResult.deployReady),
+  };
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { findWorkspaces, runWorkspaces, combineScores, parsePnpmWorkspace, expandPattern };
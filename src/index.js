@@ -5,12 +5,17 @@ const configLoader = require('./core/config-loader');
 const runner = require('./core/runner');
 const scorer = require('./core/scorer');
 const reporter = require('./core/reporter');
+const { createResult, createFinding } = require('./checks/base-check');
 
 module.exports = {
   detect: detector.detect,
   loadConfig: configLoader.load,
+  loadConfigStrict: configLoader.loadStrict,
+  ConfigError: configLoader.ConfigError,
   runChecks: runner.run,
   calculateScore: scorer.calculate,
   generateReport: reporter.generateReport,
   saveReport: reporter.saveReport,
+  createResult,
+  createFinding,
 };
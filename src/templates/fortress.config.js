@@ -70,6 +70,10 @@ module.exports = {
   scoring: {
     deployThreshold: 95,
   },
+  // Checks run in parallel — lower this if your machine struggles
+  runner: {
+    concurrency: 4,
+  },
   report: {
     outputDir: './fortress-reports/',
   },
@@ -0,0 +1,249 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const runner = require('../src/core/runner');
+const { createBaseline, applyBaseline, loadBaseline, saveBaseline } = require('../src/core/baseline');
+const { createResult, createFinding } = require('../src/checks/base-check');
+const { scoreCheck } = require('../src/core/scorer');
+
+function createTempProject() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-baseline-'));
+}
+
+function cleanup(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function tsError(file, line, code, message) {
+  return createFinding({ ruleId: code, file, line, column: 1, message });
+}
+
+function tsResult(findings) {
+  return createResult('TypeScript', {
+    key: 'typescript',
+    passed: findings.length === 0,
+    errors: findings.map(f => `${f.file}(${f.line},1): error ${f.ruleId}: ${f.message}`),
+    score: findings.length === 0 ? 20 : 0,
+    findings,
+  });
+}
+
+function configFor(dir, checks) {
+  return { root: dir, checks, baseline: { enabled: true, file: 'fortress-baseline.json' } };
+}
+
+describe('createBaseline', () => {
+  it('counts findings per file, rule and message, sorted', () => {
+    const results = [tsResult([
+      tsError('src/b.ts', 3, 'TS2322', 'Type mismatch'),
+      tsError('src/a.ts', 9, 'TS7006', 'Implicit any'),
+      tsError('src/a.ts', 1, 'TS7006', 'Implicit any'),
+    ])];
+    const baseline = createBaseline(results, { checks: { typescript: { enabled: true } } });
+
+    assert.deepEqual(baseline, {
+      version: 1,
+      checks: {
+        typescript: [
+          { file: 'src/a.ts', ruleId: 'TS7006', message: 'Implicit any', count: 2 },
+          { file: 'src/b.ts', ruleId: 'TS2322', message: 'Type mismatch', count: 1 },
+        ],
+      },
+    });
+  });
+
+  it('skips disabled checks', () => {
+    const results = [tsResult([tsError('src/a.ts', 1, 'TS7006', 'Implicit any')])];
+    const baseline = createBaseline(results, { checks: { typescript: { enabled: false } } });
+    assert.deepEqual(baseline.checks, {});
+  });
+});
+
+describe('applyBaseline', () => {
+  it('passes a check whose errors are all baselined, even after lines move', () => {
+    const dir = createTempProject();
+    try {
+      const config = configFor(dir, { typescript: { enabled: true, weight: 20 } });
+      saveBaseline(path.join(dir, 'fortress-baseline.json'), createBaseline([tsResult([
+        tsError('src/a.ts', 1, 'TS7006', 'Implicit any'),
+      ])], config));
+
+      const [result] = applyBaseline([tsResult([tsError('src/a.ts', 14, 'TS7006', 'Implicit any')])], config);
+      assert.equal(result.passed, true);
+      assert.equal(result.score, 20);
+      assert.deepEqual(result.errors, []);
+      assert.deepEqual(result.findings, []);
+      assert.ok(result.warnings.includes('1 baselined finding(s) not counted'));
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('baselines every finding of checks with more than the report keeps', () => {
+    const dir = createTempProject();
+    try {
+      const config = configFor(dir, { typescript: { enabled: true, weight: 20 } });
+      const findings = () => Array.from({ length: 1500 }, (_, i) => tsError(`src/f${i}.ts`, 1, 'TS7006', 'Implicit any'));
+      const baseline = createBaseline([tsResult(findings())], config);
+      assert.equal(baseline.checks.typescript.length, 1500);
+      saveBaseline(path.join(dir, 'fortress-baseline.json'), baseline);
+
+      const [result] = applyBaseline([tsResult(findings())], config);
+      assert.equal(result.passed, true);
+      assert.ok(result.warnings.includes('1500 baselined finding(s) not counted'));
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('still fails on new findings and only lists their errors', () => {
+    const dir = createTempProject();
+    try {
+      const config = configFor(dir, { typescript: { enabled: true, weight: 20 } });
+      saveBaseline(path.join(dir, 'fortress-baseline.json'), createBaseline([tsResult([
+        tsError('src/a.ts', 1, 'TS7006', 'Implicit any'),
+      ])], config));
+
+      const [result] = applyBaseline([tsResult([
+        tsError('src/a.ts', 1, 'TS7006', 'Implicit any'),
+        tsError('src/a.ts', 5, 'TS7006', 'Implicit any'),
+      ])], config);
+      assert.equal(result.passed, false);
+      assert.equal(result.score, 0);
+      assert.deepEqual(result.errors, ['src/a.ts(5,1): error TS7006: Implicit any']);
+      assert.equal(result.findings.length, 1);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('restores lint points for baselined warnings', () => {
+    const dir = createTempProject();
+    try {
+      const warning = createFinding({ ruleId: 'no-console', file: 'src/a.js', line: 2, severity: 'warning', message: 'Unexpected console statement' });
+      const lint = createResult('Lint', {
+        passed: true,
+        warnings: ['2 lint warning(s)'],
+        findings: [warning, { ...warning, line: 8 }],
+        counts: { error: 0, warning: 2 },
+      });
+      const config = configFor(dir, { lint: { enabled: true, weight: 15 } });
+      assert.equal(scoreCheck(lint, config.checks.lint), 5);
+      saveBaseline(path.join(dir, 'fortress-baseline.json'), createBaseline([lint], config));
+
+      const [result] = applyBaseline([lint], config);
+      assert.deepEqual(result.counts, { error: 0, warning: 0 });
+      assert.equal(scoreCheck(result, config.checks.lint), 15);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('prunes fixed findings from the baseline file', () => {
+    const dir = createTempProject();
+    try {
+      const config = configFor(dir, { typescript: { enabled: true, weight: 20 } });
+      const filePath = path.join(dir, 'fortress-baseline.json');
+      saveBaseline(filePath, createBaseline([tsResult([
+        tsError('src/a.ts', 1, 'TS7006', 'Implicit any'),
+        tsError('src/a.ts', 2, 'TS7006', 'Implicit any'),
+        tsError('src/b.ts', 1, 'TS2322', 'Type mismatch'),
+      ])], config));
+
+      const [result] = applyBaseline([tsResult([tsError('src/a.ts', 2, 'TS7006', 'Implicit any')])], config);
+      assert.equal(result.passed, true);
+      assert.ok(result.warnings.includes('2 fixed finding(s) removed from fortress-baseline.json'));
+      assert.deepEqual(loadBaseline(filePath).checks, {
+        typescript: [{ file: 'src/a.ts', ruleId: 'TS7006', message: 'Implicit any', count: 1 }],
+      });
+
+      // Everything fixed: the check's entries go away entirely
+      applyBaseline([tsResult([])], config);
+      assert.deepEqual(loadBaseline(filePath).checks, {});
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('does not prune when the check failed without findings', () => {
+    const dir = createTempProject();
+    try {
+      const config = configFor(dir, { typescript: { enabled: true, weight: 20 } });
+      const filePath = path.join(dir, 'fortress-baseline.json');
+      saveBaseline(filePath, createBaseline([tsResult([tsError('src/a.ts', 1, 'TS7006', 'Implicit any')])], config));
+
+      const crashed = createResult('TypeScript', { key: 'typescript', passed: false, errors: ['TypeScript compilation failed'] });
+      const [result] = applyBaseline([crashed], config);
+      assert.equal(result.passed, false);
+      assert.equal(loadBaseline(filePath).checks.typescript.length, 1);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('does not prune on changed-files runs', () => {
+    const dir = createTempProject();
+    try {
+      const config = { ...configFor(dir, { typescript: { enabled: true, weight: 20 } }), changedFiles: ['src/b.ts'] };
+      const filePath = path.join(dir, 'fortress-baseline.json');
+      saveBaseline(filePath, createBaseline([tsResult([tsError('src/a.ts', 1, 'TS7006', 'Implicit any')])], config));
+
+      applyBaseline([tsResult([])], config);
+      assert.equal(loadBaseline(filePath).checks.typescript.length, 1);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('warns instead of throwing on an unreadable baseline', () => {
+    const dir = createTempProject();
+    try {
+      fs.writeFileSync(path.join(dir, 'fortress-baseline.json'), '{ nope');
+      const config = configFor(dir, { typescript: { enabled: true, weight: 20 } });
+      const [result] = applyBaseline([tsResult([tsError('src/a.ts', 1, 'TS7006', 'Implicit any')])], config);
+      assert.equal(result.passed, false);
+      assert.match(result.warnings[0], /Could not read fortress-baseline\.json: .* - baseline not applied/);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('is applied by the runner', async () => {
+    const dir = createTempProject();
+    try {
+      fs.mkdirSync(path.join(dir, 'src'));
+      fs.writeFileSync(path.join(dir, 'src', 'a.js'), '// TODO: old\nconst a = 1;\n');
+      const config = configFor(dir, {
+        content: {
+          enabled: true,
+          patterns: [{ regex: 'TODO', label: 'TODO comment' }],
+          extensions: ['.js'],
+          skipDirs: [],
+          allowlist: {},
+          weight: 20,
+        },
+      });
+      config.runner = { concurrency: 1 };
+
+      const [before] = await runner.run({ ...config, baseline: { enabled: false } });
+      assert.equal(before.passed, false);
+      saveBaseline(path.join(dir, 'fortress-baseline.json'), createBaseline([before], config));
+
+      const [after] = await runner.run(config);
+      assert.equal(after.passed, true);
+      assert.equal(after.score, 20);
+
+      fs.writeFileSync(path.join(dir, 'src', 'b.js'), '// TODO: new\n');
+      const [withNew] = await runner.run(config);
+      assert.equal(withNew.passed, false);
+      assert.equal(withNew.errors.length, 1);
+      assert.match(withNew.errors[0], /^src\/b\.js:1:4/);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createCache } = require('../src/core/cache');
+const runner = require('../src/core/runner');
+
+function createTempProject(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-cache-'));
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+  return dir;
+}
+
+function cleanup(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+const contentConfig = {
+  enabled: true,
+  patterns: [{ regex: 'FIXME', label: 'FIXME comment' }],
+  extensions: ['.ts'],
+  skipDirs: [],
+  allowlist: {},
+  weight: 20,
+};
+
+describe('cache', () => {
+  it('produces a stable hash for unchanged inputs', () => {
+    const dir = createTempProject({ 'src/a.ts': 'const a = 1;' });
+    try {
+      const config = { root: dir, cache: { enabled: true } };
+      const first = createCache(config).hashInputs('content', contentConfig);
+      const second = createCache(config).hashInputs('content', contentConfig);
+      assert.equal(first, second);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('changes the hash when a source file changes', () => {
+    const dir = createTempProject({ 'src/a.ts': 'const a = 1;' });
+    try {
+      const config = { root: dir, cache: { enabled: true } };
+      const before = createCache(config).hashInputs('content', contentConfig);
+      fs.writeFileSync(path.join(dir, 'src/a.ts'), 'const a = 2; // FIXME');
+      const after = createCache(config).hashInputs('content', contentConfig);
+      assert.notEqual(before, after);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('changes the hash when a RegExp pattern changes', () => {
+    const dir = createTempProject({ 'src/a.ts': 'a' });
+    try {
+      const cache = createCache({ root: dir, cache: { enabled: true } });
+      const before = cache.hashInputs('content', { ...contentConfig, patterns: [{ regex: /FIXME/, label: 'Fix' }] });
+      const after = cache.hashInputs('content', { ...contentConfig, patterns: [{ regex: /TODO/, label: 'Fix' }] });
+      assert.notEqual(before, after);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('changes the hash when the lockfile changes', () => {
+    const dir = createTempProject({ 'src/a.js': 'a', 'package-lock.json': '{}' });
+    try {
+      const config = { root: dir, cache: { enabled: true } };
+      const before = createCache(config).hashInputs('test', { enabled: true, command: 'npm test' });
+      fs.writeFileSync(path.join(dir, 'package-lock.json'), '{"lockfileVersion":3}');
+      const after = createCache(config).hashInputs('test', { enabled: true, command: 'npm test' });
+      assert.notEqual(before, after);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('changes the hash when the check config changes', () => {
+    const dir = createTempProject({ 'src/a.ts': 'a' });
+    try {
+      const cache = createCache({ root: dir, cache: { enabled: true } });
+      const a = cache.hashInputs('content', contentConfig);
+      const b = cache.hashInputs('content', { ...contentConfig, weight: 10 });
+      assert.notEqual(a, b);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('ignores files outside a check\'s input extensions', () => {
+    const dir = createTempProject({ 'src/a.ts': 'a', 'README.md': 'docs' });
+    try {
+      const config = { root: dir, cache: { enabled: true } };
+      const before = createCache(config).hashInputs('typescript', { enabled: true });
+      fs.writeFileSync(path.join(dir, 'README.md'), 'more docs');
+      const after = createCache(config).hashInputs('typescript', { enabled: true });
+      assert.equal(before, after);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('counts JavaScript files as TypeScript inputs for allowJs projects', () => {
+    const dir = createTempProject({ 'src/a.ts': 'a', 'src/b.js': 'b', 'tsconfig.json': '{"compilerOptions":{"allowJs":true}}' });
+    try {
+      const config = { root: dir, cache: { enabled: true } };
+      const before = createCache(config).hashInputs('typescript', { enabled: true });
+      fs.writeFileSync(path.join(dir, 'src/b.js'), 'const b = 1;');
+      const after = createCache(config).hashInputs('typescript', { enabled: true });
+      assert.notEqual(before, after);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('round-trips results and marks them as cached', () => {
+    const dir = createTempProject({ 'src/a.ts': 'a' });
+    try {
+      const cache = createCache({ root: dir, cache: { enabled: true } });
+      const result = { name: 'Lint', key: 'lint', passed: true, errors: [], warnings: [], duration: 5, score: 15 };
+      cache.set('lint', 'abc', result);
+      assert.deepEqual(cache.get('lint', 'abc'), { ...result, cached: true });
+      assert.equal(cache.get('lint', 'different'), null);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('respects cache opt-outs and plugin opt-ins', () => {
+    const cache = createCache({ root: os.tmpdir(), cache: { enabled: true, dir: './.fortress-cache-test/' } });
+    assert.equal(cache.isCacheable('security', { cache: false }), false);
+    assert.equal(cache.isCacheable('lint', {}), true);
+    assert.equal(cache.isCacheable('licenses', { plugin: './x.js' }), false);
+    assert.equal(cache.isCacheable('licenses', { plugin: './x.js', cache: true }), true);
+  });
+
+  it('rejects cache dirs outside the project root', () => {
+    const dir = createTempProject({});
+    try {
+      assert.throws(() => createCache({ root: dir, cache: { enabled: true, dir: '../elsewhere' } }), /outside the project root/);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('lets the runner reuse results for unchanged checks', async () => {
+    const dir = createTempProject({ 'src/a.ts': '// FIXME later' });
+    try {
+      const config = {
+        root: dir,
+        checks: { content: contentConfig },
+        cache: { enabled: true, dir: './.fortress-cache/' },
+      };
+      const first = await runner.run(config);
+      assert.equal(first[0].cached, undefined);
+      assert.equal(first[0].passed, false);
+
+      const second = await runner.run(config);
+      assert.equal(second[0].cached, true);
+      assert.deepEqual(second[0].errors, first[0].errors);
+
+      fs.writeFileSync(path.join(dir, 'src/a.ts'), '// fixed');
+      const third = await runner.run(config);
+      assert.equal(third[0].cached, undefined);
+      assert.equal(third[0].passed, true);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const commandCheck = require('../src/checks/command-check');
+
+const config = { root: os.tmpdir() };
+
+describe('command-check', () => {
+  it('passes and awards full weight on exit code 0', async () => {
+    const result = await commandCheck.run(config, {
+      command: 'node -e "process.exit(0)"',
+      weight: 5,
+    }, 'prettier');
+    assert.equal(result.key, 'prettier');
+    assert.equal(result.name, 'prettier');
+    assert.equal(result.passed, true);
+    assert.equal(result.score, 5);
+  });
+
+  it('fails on a non-zero exit code', async () => {
+    const result = await commandCheck.run(config, {
+      command: 'node -e "process.exit(3)"',
+      weight: 5,
+    }, 'knip');
+    assert.equal(result.passed, false);
+    assert.equal(result.score, 0);
+    assert.match(result.errors[0], /exit code 3/);
+  });
+
+  it('uses the configured display name', async () => {
+    const result = await commandCheck.run(config, {
+      name: 'Circular Imports',
+      command: 'node -e "process.exit(0)"',
+      weight: 5,
+    }, 'madge');
+    assert.equal(result.name, 'Circular Imports');
+    assert.equal(result.key, 'madge');
+  });
+
+  it('extracts error lines and counts with patterns', async () => {
+    const result = await commandCheck.run(config, {
+      command: 'node -e "console.log(\'[warn] src/a.js\'),console.log(\'[warn] src/b.js\'),console.log(\'2 files with issues\'),process.exit(1)"',
+      errorPattern: '^\\[warn\\]',
+      countPattern: '(\\d+) files? with issues',
+      weight: 5,
+    }, 'prettier');
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.errors, ['2 issue(s) found', '[warn] src/a.js', '[warn] src/b.js']);
+  });
+
+  it('ignores unsafe patterns with a warning', async () => {
+    const result = await commandCheck.run(config, {
+      command: 'node -e "process.exit(0)"',
+      errorPattern: '(a+)+',
+      weight: 5,
+    }, 'custom');
+    assert.equal(result.passed, true);
+    assert.ok(result.warnings.some(w => /ReDoS/.test(w)));
+  });
+
+  it('fails when no command is configured', async () => {
+    const result = await commandCheck.run(config, { weight: 5 }, 'custom');
+    assert.equal(result.passed, false);
+    assert.match(result.errors[0], /No command configured/);
+  });
+
+  describe('parseCount', () => {
+    it('reads the first capture group', () => {
+      assert.equal(commandCheck.parseCount('Found 12 circular dependencies', /Found (\d+) circular/), 12);
+    });
+
+    it('returns null when the pattern does not match', () => {
+      assert.equal(commandCheck.parseCount('all good', /Found (\d+)/), null);
+    });
+  });
+});
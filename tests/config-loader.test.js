@@ -0,0 +1,245 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { load, readUserConfig, readConfigLayers, findConfigFile, validateLayers, mergeLayers } = require('../src/core/config-loader');
+const { formatIssue } = require('../src/core/config-schema');
+
+function createTempProject() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-config-'));
+}
+
+function cleanup(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function writeModule(dir, file, value) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), `module.exports = ${JSON.stringify(value, null, 2)};\n`);
+}
+
+function writeFile(dir, file, content) {
+  fs.writeFileSync(path.join(dir, file), content);
+}
+
+describe('config sources', () => {
+  it('loads an ES module config', async () => {
+    const dir = createTempProject();
+    try {
+      writeFile(dir, 'fortress.config.mjs', 'export default { scoring: { deployThreshold: 85 } };\n');
+      assert.equal(findConfigFile(dir).name, 'fortress.config.mjs');
+      assert.deepEqual(await readUserConfig(dir), { scoring: { deployThreshold: 85 } });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('imports fortress.config.js in "type": "module" packages', async () => {
+    const dir = createTempProject();
+    try {
+      writeFile(dir, 'package.json', JSON.stringify({ type: 'module' }));
+      writeFile(dir, 'fortress.config.js', 'export const scoring = { deployThreshold: 75 };\n');
+      assert.deepEqual(await readUserConfig(dir), { scoring: { deployThreshold: 75 } });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('picks up edits to an ES module config', async () => {
+    const dir = createTempProject();
+    try {
+      writeFile(dir, 'fortress.config.mjs', 'export default { scoring: { deployThreshold: 85 } };\n');
+      await readUserConfig(dir);
+      writeFile(dir, 'fortress.config.mjs', 'export default { scoring: { deployThreshold: 60 } };\n');
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(path.join(dir, 'fortress.config.mjs'), later, later);
+      assert.deepEqual(await readUserConfig(dir), { scoring: { deployThreshold: 60 } });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('loads .cjs, .json and .fortressrc configs', async () => {
+    const dir = createTempProject();
+    try {
+      writeFile(dir, 'fortress.config.cjs', 'module.exports = { runner: { concurrency: 2 } };\n');
+      assert.deepEqual(await readUserConfig(dir), { runner: { concurrency: 2 } });
+      fs.rmSync(path.join(dir, 'fortress.config.cjs'));
+
+      writeFile(dir, 'fortress.config.json', JSON.stringify({ runner: { concurrency: 3 } }));
+      assert.deepEqual(await readUserConfig(dir), { runner: { concurrency: 3 } });
+      fs.rmSync(path.join(dir, 'fortress.config.json'));
+
+      writeFile(dir, '.fortressrc', JSON.stringify({ runner: { concurrency: 4 } }));
+      assert.equal(findConfigFile(dir).name, '.fortressrc');
+      assert.deepEqual(await readUserConfig(dir), { runner: { concurrency: 4 } });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('reads the "fortress" key in package.json', async () => {
+    const dir = createTempProject();
+    try {
+      writeFile(dir, 'package.json', JSON.stringify({ name: 'app', fortress: { scoring: { deployThreshold: 70 } } }));
+      assert.equal(findConfigFile(dir).name, 'package.json ("fortress" key)');
+      const config = await load(dir);
+      assert.equal(config.scoring.deployThreshold, 70);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('prefers fortress.config.js and ignores package.json without the key', async () => {
+    const dir = createTempProject();
+    try {
+      writeFile(dir, 'package.json', JSON.stringify({ name: 'app' }));
+      assert.equal(findConfigFile(dir), null);
+      assert.deepEqual(await readUserConfig(dir), {});
+
+      writeModule(dir, 'fortress.config.js', { runner: { concurrency: 1 } });
+      writeFile(dir, '.fortressrc', JSON.stringify({ runner: { concurrency: 4 } }));
+      assert.equal(findConfigFile(dir).name, 'fortress.config.js');
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
+
+describe('extends', () => {
+  it('merges package and local presets before the project config', async () => {
+    const dir = createTempProject();
+    try {
+      writeModule(dir, 'node_modules/fortress-preset-acme/index.js', {
+        checks: {
+          lint: { weight: 10, required: true },
+          secrets: { patterns: [{ regex: 'ACME_[A-Z0-9]{32}', label: 'Acme API key' }] },
+        },
+        scoring: { deployThreshold: 90 },
+        report: { outputDir: './acme-reports/' },
+      });
+      writeModule(dir, 'fortress.base.js', {
+        extends: './config/shared.js',
+        checks: { secrets: { patterns: [{ regex: 'BASE_[0-9]+', label: 'Base token' }] } },
+      });
+      writeModule(dir, 'config/shared.js', { checks: { build: { enabled: false } } });
+      writeModule(dir, 'fortress.config.js', {
+        extends: ['fortress-preset-acme', './fortress.base.js'],
+        checks: {
+          lint: { weight: 15 },
+          secrets: { patterns: [{ regex: 'LOCAL_[0-9]+', label: 'Local token' }] },
+        },
+        scoring: { deployThreshold: 80 },
+      });
+
+      const layers = await readConfigLayers(dir);
+      assert.deepEqual(layers.map(l => l.source), ['fortress-preset-acme', './config/shared.js', './fortress.base.js', null]);
+
+      const merged = mergeLayers(layers);
+      assert.equal(merged.extends, undefined);
+      assert.deepEqual(merged.checks.lint, { weight: 15, required: true });
+      assert.deepEqual(merged.checks.build, { enabled: false });
+      assert.deepEqual(merged.checks.secrets.patterns.map(p => p.label), ['Acme API key', 'Base token', 'Local token']);
+      assert.deepEqual(merged.scoring, { deployThreshold: 80 });
+      assert.deepEqual(merged.report, { outputDir: './acme-reports/' });
+
+      const config = await load(dir);
+      assert.equal(config.checks.lint.weight, 15);
+      assert.equal(config.checks.lint.required, true);
+      assert.equal(config.scoring.deployThreshold, 80);
+      assert.ok(config.checks.secrets.patterns.some(p => p.label === 'Acme API key'));
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('does not repeat patterns shared by several presets', () => {
+    const pattern = { regex: 'ACME_[0-9]+', label: 'Acme token' };
+    const merged = mergeLayers([
+      { source: 'a', config: { checks: { secrets: { patterns: [pattern] } } } },
+      { source: 'b', config: { checks: { secrets: { patterns: [pattern, 'FIXME'] } } } },
+    ]);
+    assert.deepEqual(merged.checks.secrets.patterns, [pattern, 'FIXME']);
+  });
+
+  it('tags schema issues with the preset they come from', async () => {
+    const dir = createTempProject();
+    try {
+      writeModule(dir, 'node_modules/fortress-preset-acme/index.js', { checks: { lint: { enabeld: true } } });
+      writeModule(dir, 'fortress.config.js', { extends: 'fortress-preset-acme', scoring: { deployThreshold: 120 } });
+
+      assert.deepEqual(validateLayers(await readConfigLayers(dir)).map(formatIssue), [
+        '[fortress-preset-acme] checks.lint.enabeld: unknown key. Did you mean "enabled"?',
+        'scoring.deployThreshold: must be at most 100, got 120',
+      ]);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
+
+describe('profiles', () => {
+  it('merges the selected profiles over the shared config', async () => {
+    const dir = createTempProject();
+    try {
+      writeModule(dir, 'fortress.config.js', {
+        checks: { build: { enabled: false, command: 'npm run build' }, lint: { weight: 15 } },
+        scoring: { deployThreshold: 80 },
+        profiles: {
+          ci: { checks: { build: { enabled: true } }, scoring: { deployThreshold: 95 } },
+          local: { checks: { lint: { weight: 5 } } },
+        },
+      });
+
+      const base = await load(dir);
+      assert.equal(base.profiles, undefined);
+      assert.equal(base.checks.build.enabled, false);
+      assert.equal(base.scoring.deployThreshold, 80);
+
+      const ci = await load(dir, { profile: 'ci' });
+      assert.equal(ci.checks.build.enabled, true);
+      assert.equal(ci.checks.build.command, 'npm run build');
+      assert.equal(ci.scoring.deployThreshold, 95);
+
+      const both = await load(dir, { profile: ['ci', 'local'] });
+      assert.equal(both.checks.lint.weight, 5);
+      assert.equal(both.scoring.deployThreshold, 95);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('has an editable built-in quick profile', async () => {
+    const dir = createTempProject();
+    try {
+      const quick = await load(dir, { profile: 'quick' });
+      assert.equal(quick.checks.security.enabled, false);
+      assert.equal(quick.checks.build.enabled, false);
+
+      writeModule(dir, 'fortress.config.js', { profiles: { quick: { checks: { security: { enabled: true } } } } });
+      const edited = await load(dir, { profile: 'quick' });
+      assert.equal(edited.checks.security.enabled, true);
+      assert.equal(edited.checks.build.enabled, false);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('applies profiles before package overrides', async () => {
+    const dir = createTempProject();
+    try {
+      fs.mkdirSync(path.join(dir, 'apps/web'), { recursive: true });
+      writeModule(dir, 'fortress.config.js', {
+        profiles: { ci: { scoring: { deployThreshold: 95 } } },
+        packages: { 'apps/web': { scoring: { deployThreshold: 70 } } },
+      });
+      const web = await load(dir, { packagePath: 'apps/web', profile: 'ci' });
+      assert.equal(web.scoring.deployThreshold, 70);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConfig, formatIssue } = require('../src/core/config-schema');
+
+function messages(config) {
+  return validateConfig(config).map(formatIssue);
+}
+
+describe('validateConfig', () => {
+  it('accepts a full valid config', () => {
+    assert.deepEqual(validateConfig({
+      checks: {
+        typescript: { enabled: true, command: 'npx tsc --noEmit', weight: 20, required: true },
+        lint: { enabled: true, command: 'npx eslint .', passFiles: true, weight: 15, scoring: { perWarning: 1, cap: 5 } },
+        test: {
+          enabled: false, command: null, weight: 25, retries: 2, resultsFile: 'reports/junit.xml',
+          coverage: { lines: 80, branches: 70, directories: { 'src/core/': { lines: 90 } }, file: 'coverage/lcov.info' },
+        },
+        content: {
+          enabled: true,
+          patterns: ['FIXME', { regex: 'TODO\\s*:', label: 'TODO comment' }],
+          extensions: ['.ts'],
+          skipDirs: ['dist'],
+          allowlist: { 'tests/': '*', 'docs/': ['TODO'] },
+          weight: 20,
+        },
+        security: { enabled: true, cache: false, weight: 10, timeout: 60, scoring: { severity: { critical: 2 } } },
+        build: { enabled: true, command: 'npm run build', timeout: 600, weight: 10 },
+        knip: { type: 'command', command: 'npx knip', errorPattern: 'Unused', countPattern: '(\\d+) issues', weight: 5 },
+        licenses: { plugin: './checks/licenses.js', weight: 5, allowed: ['MIT'] },
+      },
+      scoring: { deployThreshold: 90 },
+      runner: { concurrency: 2 },
+      cache: false,
+      report: { outputDir: './reports/' },
+      baseline: { file: 'baseline.json' },
+      profiles: { ci: { checks: { build: { enabled: true } }, scoring: { deployThreshold: 95 } } },
+      workspaces: true,
+      packages: { 'apps/web': { checks: { build: { enabled: false } } }, 'apps/legacy': false },
+    }), []);
+  });
+
+  it('suggests the closest key for typos', () => {
+    assert.deepEqual(messages({
+      checks: { lint: { enabeld: true } },
+      scoring: { deployTreshold: 95 },
+    }), [
+      'checks.lint.enabeld: unknown key. Did you mean "enabled"?',
+      'scoring.deployTreshold: unknown key. Did you mean "deployThreshold"?',
+    ]);
+  });
+
+  it('lists valid keys when nothing is close', () => {
+    assert.deepEqual(messages({ runner: { parallelism: 2 } }), [
+      'runner.parallelism: unknown key. Valid keys: concurrency',
+    ]);
+  });
+
+  it('reports wrong types with the offending value', () => {
+    assert.deepEqual(messages({
+      checks: { test: { weight: '25' } },
+      cache: 'off',
+      workspaces: 'yes',
+    }), [
+      'checks.test.weight: expected a number, got string "25"',
+      'cache: expected false or an object, got string "off"',
+      'workspaces: expected a boolean, got string "yes"',
+    ]);
+  });
+
+  it('checks ranges', () => {
+    assert.deepEqual(messages({
+      scoring: { deployThreshold: 120 },
+      runner: { concurrency: 1.5 },
+      checks: { lint: { scoring: { perWarning: -1 } } },
+    }), [
+      'scoring.deployThreshold: must be at most 100, got 120',
+      'runner.concurrency: expected a whole number, got number 1.5',
+      'checks.lint.scoring.perWarning: must be at least 0, got -1',
+    ]);
+  });
+
+  it('flags unknown checks and suggests built-in names', () => {
+    assert.deepEqual(messages({ checks: { lnit: { enabled: true }, knip: { command: 'npx knip' } } }), [
+      'checks.lnit: unknown check. Did you mean "lint"?',
+      "checks.knip: unknown check. Custom checks need a plugin or type: 'command'",
+    ]);
+  });
+
+  it('validates package overrides and quotes their paths', () => {
+    assert.deepEqual(messages({ packages: { 'apps/web': { checks: { build: { enabled: 'no' } } }, 'apps/api': true } }), [
+      'packages["apps/web"].checks.build.enabled: expected a boolean, got string "no"',
+      'packages["apps/api"]: expected false or an object, got boolean true',
+    ]);
+  });
+
+  it('validates profiles', () => {
+    assert.deepEqual(messages({ profiles: { ci: { scoring: { deployThreshold: '95' } }, local: true } }), [
+      'profiles.ci.scoring.deployThreshold: expected a number, got string "95"',
+      'profiles.local: expected an object, got boolean true',
+    ]);
+  });
+
+  it('keeps coverage thresholds between 0 and 100', () => {
+    assert.deepEqual(messages({ checks: { test: { coverage: { lines: 120, directories: { 'src/': { branchs: 80 } } } } } }), [
+      'checks.test.coverage.lines: must be at most 100, got 120',
+      'checks.test.coverage.directories["src/"].branchs: unknown key. Did you mean "branches"?',
+    ]);
+  });
+
+  it('requires regex and label on object patterns', () => {
+    assert.deepEqual(messages({ checks: { secrets: { patterns: [{ regex: 'KEY_[0-9]+' }] } } }), [
+      'checks.secrets.patterns[0].label: is required',
+    ]);
+  });
+
+  it('accepts RegExp literals as pattern regexes', () => {
+    assert.deepEqual(messages({ checks: {
+      content: { patterns: [{ regex: /console\.log/, label: 'console.log' }] },
+      secrets: { patterns: [{ regex: /ACME_[A-Z0-9]{32}/, label: 'Acme key' }, /TOKEN/] },
+    } }), [
+      'checks.secrets.patterns[1]: expected a string or an object, got RegExp /TOKEN/',
+    ]);
+  });
+});
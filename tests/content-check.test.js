@@ -178,6 +178,29 @@ describe('content-check', () => {
     }
   });
 
+  it('handles RegExp literals in pattern objects', () => {
+    const dir = createTempProject({
+      'src/app.ts': 'console.log(user);',
+    });
+    try {
+      const result = contentCheck.run(
+        { root: dir },
+        {
+          enabled: true,
+          patterns: [{ regex: /console\.log/, label: 'console.log call' }],
+          extensions: ['.ts'],
+          skipDirs: [],
+          allowlist: {},
+          weight: 20,
+        }
+      );
+      assert.equal(result.passed, false);
+      assert.equal(result.findings[0].ruleId, 'content/console-log-call');
+    } finally {
+      cleanup(dir);
+    }
+  });
+
   it('caps error output at 30 violations', () => {
     const lines = Array.from({ length: 40 }, (_, i) => `line ${i}: TODO fix`).join('\n');
     const dir = createTempProject({ 'src/big.ts': lines });
@@ -0,0 +1,159 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { readCoverage, checkThresholds, parseTextTable } = require('../src/core/coverage');
+const testCheck = require('../src/checks/test-check');
+
+function createTempProject() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-coverage-'));
+}
+
+function cleanup(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function writeFile(dir, file, content) {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), content);
+}
+
+const LCOV = [
+  'TN:',
+  'SF:src/core/a.js',
+  'FNF:4', 'FNH:4', 'LF:50', 'LH:45', 'BRF:10', 'BRH:8',
+  'end_of_record',
+  'SF:src/cli/b.js',
+  'FNF:2', 'FNH:1', 'LF:50', 'LH:25', 'BRF:0', 'BRH:0',
+  'end_of_record',
+].join('\n');
+
+describe('parseTextTable', () => {
+  it('reads the Istanbul/c8 text summary', () => {
+    const output = [
+      '----------|---------|----------|---------|---------|-------------------',
+      'File      | % Stmts | % Branch | % Funcs | % Lines | Uncovered Line #s ',
+      '----------|---------|----------|---------|---------|-------------------',
+      'All files |   85.71 |       75 |     100 |   83.33 |                   ',
+      ' a.js     |   85.71 |       75 |     100 |   83.33 | 3                 ',
+    ].join('\n');
+    assert.deepEqual(parseTextTable(output), { statements: 85.71, branches: 75, functions: 100, lines: 83.33 });
+  });
+
+  it('reads node --experimental-test-coverage output', () => {
+    const tap = [
+      '# start of coverage report',
+      '# file      | line % | branch % | funcs % | uncovered lines',
+      '# src/a.js  |  90.00 |    50.00 |  100.00 | 4-5',
+      '# all files |  90.00 |    50.00 |  100.00 |',
+      '# end of coverage report',
+    ].join('\n');
+    assert.deepEqual(parseTextTable(tap), { lines: 90, branches: 50, functions: 100 });
+    assert.deepEqual(parseTextTable(tap.replace(/^# /gm, 'ℹ ')), { lines: 90, branches: 50, functions: 100 });
+    assert.equal(parseTextTable('# pass 3\n# fail 0'), null);
+  });
+});
+
+describe('readCoverage', () => {
+  it('prefers a fresh coverage file over the text output', () => {
+    const dir = createTempProject();
+    try {
+      writeFile(dir, 'coverage/lcov.info', LCOV);
+      const coverage = readCoverage(dir, { since: Date.now(), output: '' });
+      assert.equal(coverage.source, 'coverage/lcov.info');
+      assert.deepEqual(coverage.total, { lines: 70, branches: 80, functions: 5 / 6 * 100 });
+      assert.deepEqual(Object.keys(coverage.files), ['src/core/a.js', 'src/cli/b.js']);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('reads coverage-summary.json and ignores stale files', () => {
+    const dir = createTempProject();
+    try {
+      const summary = {
+        total: {},
+        [path.join(dir, 'src/a.js')]: {
+          lines: { total: 10, covered: 9, pct: 90 },
+          statements: { total: 12, covered: 9, pct: 75 },
+          functions: { total: 2, covered: 2, pct: 100 },
+          branches: { total: 4, covered: 2, pct: 50 },
+        },
+      };
+      writeFile(dir, 'coverage/coverage-summary.json', JSON.stringify(summary));
+      const coverage = readCoverage(dir, { since: Date.now(), output: '' });
+      assert.deepEqual(coverage.total, { lines: 90, branches: 50, functions: 100, statements: 75 });
+      assert.deepEqual(Object.keys(coverage.files), ['src/a.js']);
+
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(path.join(dir, 'coverage/coverage-summary.json'), old, old);
+      assert.equal(readCoverage(dir, { since: Date.now(), output: '' }), null);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
+
+describe('checkThresholds', () => {
+  const coverage = {
+    source: 'coverage/lcov.info',
+    total: { lines: 70, branches: 80, functions: 83.33 },
+    files: {
+      'src/core/a.js': { lines: { covered: 45, total: 50 } },
+      'src/cli/b.js': { lines: { covered: 25, total: 50 } },
+    },
+  };
+
+  it('reports each metric below its threshold', () => {
+    const result = checkThresholds(coverage, { lines: 80, branches: 80, statements: 80 });
+    assert.deepEqual(result.failures, ['Coverage: lines 70% is below 80%']);
+    assert.deepEqual(result.warnings, ['Coverage: statements coverage not reported by coverage/lcov.info']);
+    assert.equal(result.ratio, 70 / 80);
+  });
+
+  it('checks per-directory thresholds', () => {
+    const result = checkThresholds(coverage, {
+      directories: { 'src/core': { lines: 90 }, './src/cli/': { lines: 60 }, 'src/api/': { lines: 50 } },
+    });
+    assert.deepEqual(result.failures, ['Coverage for ./src/cli/: lines 50% is below 60%']);
+    assert.deepEqual(result.warnings, ['No coverage data for src/api/']);
+  });
+});
+
+describe('test-check coverage', () => {
+  it('fails and scales the score when coverage is below the thresholds', async () => {
+    const dir = createTempProject();
+    try {
+      writeFile(dir, 'run.js', [
+        "console.log('# pass 4');",
+        "console.log('# fail 0');",
+        "console.log('# file      | line % | branch % | funcs % | uncovered lines');",
+        "console.log('# all files |  60.00 |    90.00 |  100.00 |');",
+      ].join('\n'));
+      const result = await testCheck.run({ root: dir }, { command: 'node run.js', weight: 25, coverage: { lines: 80, branches: 80 } });
+      assert.equal(result.passed, false);
+      assert.deepEqual(result.errors, ['Coverage: lines 60% is below 80%']);
+      assert.ok(result.warnings.includes('Coverage: lines 60%, branches 90%, functions 100%'));
+      assert.equal(result.passRate, 0.75);
+      assert.deepEqual(result.coverage, { lines: 60, branches: 90, functions: 100 });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('fails when thresholds are set but no coverage was reported', async () => {
+    const dir = createTempProject();
+    try {
+      writeFile(dir, 'run.js', "console.log('# pass 1');");
+      const result = await testCheck.run({ root: dir }, { command: 'node run.js', weight: 25, coverage: { lines: 80 } });
+      assert.equal(result.passed, false);
+      assert.equal(result.errors[0], 'No coverage data found');
+      assert.equal(result.passRate, 0);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
@@ -142,4 +142,18 @@ describe('detector', () => {
       cleanup(dir);
     }
   });
+
+  it('detects TypeScript project references', () => {
+    const dir = createTempProject({
+      'package.json': { devDependencies: { typescript: '5.0.0' } },
+      'tsconfig.json': '{\n  "files": [],\n  "references": [{ "path": "./packages/core" }]\n}',
+    });
+    try {
+      assert.equal(detect(dir).projectReferences, true);
+      fs.writeFileSync(path.join(dir, 'tsconfig.json'), '{ "references": [] }');
+      assert.equal(detect(dir).projectReferences, false);
+    } finally {
+      cleanup(dir);
+    }
+  });
 });
@@ -0,0 +1,127 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { diffReports, loadReportFile } = require('../src/core/diff');
+const { parsePositional } = require('../src/cli/helpers');
+
+function check(overrides) {
+  return {
+    name: 'Lint',
+    key: 'lint',
+    enabled: true,
+    passed: true,
+    score: 15,
+    maxScore: 15,
+    errors: [],
+    warnings: [],
+    ...overrides,
+  };
+}
+
+function report(score, checks, deployReady = score >= 95) {
+  return { timestamp: '2026-01-01T00:00:00.000Z', score, deployReady, checks };
+}
+
+describe('diffReports', () => {
+  it('reports score movement and check state changes', () => {
+    const before = report(90, [
+      check({ key: 'lint', score: 15 }),
+      check({ key: 'build', name: 'Build', passed: false, score: 0, maxScore: 10, errors: ['Build failed'] }),
+      check({ key: 'test', name: 'Tests', score: 25, maxScore: 25 }),
+      check({ key: 'security', name: 'Security', enabled: false, score: 0 }),
+    ]);
+    const after = report(87, [
+      check({ key: 'lint', score: 10 }),
+      check({ key: 'build', name: 'Build', passed: true, score: 10, maxScore: 10 }),
+      check({ key: 'test', name: 'Tests', passed: false, score: 0, maxScore: 25, errors: ['2 test(s) failed'] }),
+      check({ key: 'security', name: 'Security', score: 10, maxScore: 10 }),
+    ]);
+
+    const diff = diffReports(before, after);
+    assert.deepEqual(diff.score, { before: 90, after: 87, delta: -3 });
+    const byKey = Object.fromEntries(diff.checks.map(c => [c.key, c]));
+    assert.equal(byKey.lint.status, 'unchanged');
+    assert.equal(byKey.lint.scoreDelta, -5);
+    assert.equal(byKey.build.status, 'fixed');
+    assert.equal(byKey.test.status, 'broken');
+    assert.equal(byKey.security.status, 'added');
+    assert.equal(byKey.security.before, null);
+
+    assert.deepEqual(diff.newErrors.map(e => [e.key, e.label]), [['test', '2 test(s) failed']]);
+    assert.deepEqual(diff.fixedErrors.map(e => [e.key, e.label]), [['build', 'Build failed']]);
+  });
+
+  it('keys error text by file:line and label, ignoring masked values and details', () => {
+    const before = report(100, [check({
+      key: 'secrets',
+      errors: ['src/a.ts:3 - AWS Access Key ID (matched: AKIA***LE)', 'src/b.ts:1:5 - "TODO comment" (matched: "TODO")'],
+    })]);
+    const after = report(100, [check({
+      key: 'secrets',
+      errors: [
+        'src/a.ts:3 - AWS Access Key ID (matched: AKIA***XY)',
+        'src/b.ts:2:5 - "TODO comment" (matched: "TODO")',
+        '  Hint: detail line',
+        '... and 3 more errors',
+      ],
+    })]);
+
+    const diff = diffReports(before, after);
+    assert.deepEqual(diff.newErrors.map(e => [e.file, e.line, e.label]), [['src/b.ts', 2, 'TODO comment']]);
+    assert.deepEqual(diff.fixedErrors.map(e => [e.file, e.line, e.label]), [['src/b.ts', 1, 'TODO comment']]);
+  });
+
+  it('uses structured findings when both reports have them', () => {
+    const finding = (file, line, ruleId, severity = 'error') => ({ ruleId, file, line, column: 1, severity, message: `${ruleId} message` });
+    const before = report(100, [check({
+      key: 'typescript',
+      errors: ['only the first error is listed'],
+      findings: [finding('src/a.ts', 1, 'TS2322'), finding('src/a.ts', 9, 'no-console', 'warning')],
+    })]);
+    const after = report(100, [check({
+      key: 'typescript',
+      errors: ['only the first error is listed'],
+      findings: [finding('src/a.ts', 1, 'TS2322'), finding('src/c.ts', 4, 'TS2304')],
+    })]);
+
+    const diff = diffReports(before, after);
+    assert.deepEqual(diff.newErrors.map(e => [e.file, e.line, e.ruleId, e.label]), [['src/c.ts', 4, 'TS2304', 'TS2304 message']]);
+    assert.deepEqual(diff.fixedErrors, []);
+  });
+
+  it('matches workspace checks by package', () => {
+    const before = report(100, [check({ package: 'apps/a' }), check({ package: 'apps/b' })]);
+    const after = report(90, [check({ package: 'apps/a' }), check({ package: 'apps/b', passed: false, score: 0, errors: ['lint failed'] })]);
+    const diff = diffReports(before, after);
+    assert.deepEqual(diff.checks.map(c => [c.package, c.status]), [['apps/a', 'unchanged'], ['apps/b', 'broken']]);
+    assert.equal(diff.newErrors[0].package, 'apps/b');
+  });
+});
+
+describe('loadReportFile', () => {
+  it('rejects missing and non-report files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-diff-'));
+    try {
+      assert.throws(() => loadReportFile(path.join(dir, 'missing.json')), /file not found/);
+      fs.writeFileSync(path.join(dir, 'other.json'), '{"name":"x"}');
+      assert.throws(() => loadReportFile(path.join(dir, 'other.json')), /not a Fortress JSON report/);
+      fs.writeFileSync(path.join(dir, 'ok.json'), JSON.stringify(report(50, [])));
+      assert.equal(loadReportFile(path.join(dir, 'ok.json')).score, 50);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('parsePositional', () => {
+  it('skips flags and the values of --profile and --format', () => {
+    assert.deepEqual(parsePositional(['--profile', 'ci']), []);
+    assert.deepEqual(parsePositional(['old.json', '--profile', 'ci', 'new.json', '--json']), ['old.json', 'new.json']);
+    assert.deepEqual(parsePositional(['--format', 'sarif', 'a.json']), ['a.json']);
+    assert.deepEqual(parsePositional(['--profile', '--json', 'a.json']), ['a.json']);
+  });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toHtml, escapeHtml } = require('../src/core/html-report');
+
+const report = {
+  timestamp: '2026-01-03T10:00:00.000Z',
+  score: 82,
+  maxScore: 100,
+  deployReady: false,
+  deployThreshold: 95,
+  duration: 4200,
+  checks: [
+    { name: 'Lint', key: 'lint', enabled: true, passed: true, score: 10, maxScore: 15, duration: 300, errors: [], warnings: ['1 lint warning(s)'] },
+    { name: 'TypeScript', key: 'typescript', enabled: true, passed: false, score: 0, maxScore: 20, duration: 2000, errors: ['src/a.ts(1,1): error TS2322: <bad>'], warnings: [] },
+    { name: 'build', key: 'build', enabled: false, passed: true, score: 0, maxScore: 0, duration: 0, errors: [], warnings: [] },
+  ],
+};
+
+describe('toHtml', () => {
+  it('renders a standalone document with the score, verdict and checks', () => {
+    const html = toHtml(report);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /aria-label="Score 82 out of 100"/);
+    assert.match(html, /Not deploy ready/);
+    assert.match(html, /<span class="badge pass">PASS<\/span><\/td>\s*<td>Lint/);
+    assert.match(html, /<span class="badge fail">FAIL<\/span><\/td>\s*<td>TypeScript/);
+    assert.match(html, /<span class="badge skip">SKIP<\/span>/);
+    assert.match(html, /1 lint warning\(s\)/);
+  });
+
+  it('escapes error text', () => {
+    const html = toHtml(report);
+    assert.ok(html.includes('error TS2322: &lt;bad&gt;'));
+    assert.ok(!html.includes('<bad>'));
+  });
+
+  it('references no external assets', () => {
+    const html = toHtml(report);
+    assert.ok(!/<(script|link|img)\b/i.test(html));
+    assert.ok(!/(src|href)=["']?https?:/i.test(html));
+    assert.ok(!/url\(/i.test(html));
+  });
+
+  it('charts score history ending with the current report', () => {
+    const history = [
+      { timestamp: '2026-01-01T10:00:00.000Z', score: 60 },
+      { timestamp: '2026-01-02T10:00:00.000Z', score: 70 },
+    ];
+    const html = toHtml(report, { history });
+    assert.match(html, /<polyline points="[^"]+"/);
+    assert.match(html, /Last 3 reports · improving/);
+
+    // Already-saved copies of this report aren't counted twice
+    const withSelf = toHtml(report, { history: [...history, { timestamp: report.timestamp, score: 82 }] });
+    assert.match(withSelf, /Last 3 reports/);
+  });
+
+  it('explains the missing chart on the first report', () => {
+    assert.match(toHtml(report), /Score history appears after the next report/);
+  });
+
+  it('groups checks by package for workspace reports', () => {
+    const html = toHtml({
+      ...report,
+      packages: [{ path: 'apps/web', score: 90, deployReady: false, duration: 100 }],
+      checks: report.checks.map(c => ({ ...c, package: 'apps/web' })),
+    });
+    assert.match(html, /<h2>Packages<\/h2>/);
+    assert.match(html, /<h2>apps\/web<\/h2>/);
+  });
+});
+
+describe('escapeHtml', () => {
+  it('escapes markup characters', () => {
+    assert.equal(escapeHtml('<a href="x">\'&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
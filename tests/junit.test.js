@@ -0,0 +1,69 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toJUnit, escapeXml } = require('../src/core/junit');
+
+const report = {
+  timestamp: '2026-01-01T00:00:00.000Z',
+  duration: 3000,
+  checks: [
+    { name: 'Lint', key: 'lint', enabled: true, passed: true, duration: 500, errors: [] },
+    {
+      name: 'TypeScript',
+      key: 'typescript',
+      enabled: true,
+      passed: false,
+      duration: 2000,
+      errors: [
+        "src/a.ts(1,1): error TS2322: Type 'string' is not assignable to type 'number'.",
+        'src/b.ts(2,3): error TS2304: Cannot find name <foo>.',
+      ],
+    },
+    {
+      name: 'Build',
+      key: 'build',
+      enabled: true,
+      passed: false,
+      duration: 100,
+      errors: ['Build failed', '  Command: npm run build'],
+    },
+    { name: 'security', key: 'security', enabled: false, passed: true, duration: 0, errors: [] },
+  ],
+};
+
+describe('toJUnit', () => {
+  const xml = toJUnit(report);
+
+  it('writes totals on the root element', () => {
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="Fortress" tests="5" failures="3" errors="0" skipped="1" time="3.000"/);
+  });
+
+  it('makes one testsuite per check and one failed testcase per error', () => {
+    assert.equal(xml.match(/<testsuite /g).length, 4);
+    assert.match(xml, /<testsuite name="TypeScript" tests="2" failures="2" errors="0" skipped="0" time="2.000">/);
+    assert.match(xml, /<testcase name="src\/b.ts\(2,3\): error TS2304: Cannot find name &lt;foo&gt;." classname="fortress.typescript" time="1.000">/);
+    assert.match(xml, /<testcase name="Lint" classname="fortress.lint" time="0.500"\/>/);
+  });
+
+  it('folds indented detail lines into the failure above', () => {
+    assert.match(xml, /<testsuite name="Build" tests="1" failures="1"/);
+    assert.match(xml, /<failure message="Build failed">Build failed\nCommand: npm run build<\/failure>/);
+  });
+
+  it('marks disabled checks as skipped', () => {
+    assert.match(xml, /<testcase name="security" classname="fortress.security" time="0.000">\n\s+<skipped message="disabled"\/>/);
+  });
+
+  it('prefixes workspace packages', () => {
+    const ws = toJUnit({ ...report, checks: [{ ...report.checks[0], package: 'apps/web' }] });
+    assert.match(ws, /<testsuite name="apps\/web: Lint"/);
+    assert.match(ws, /classname="fortress.apps\/web.lint"/);
+  });
+});
+
+describe('escapeXml', () => {
+  it('escapes markup and strips color codes and control characters', () => {
+    assert.equal(escapeXml('\x1b[31m<a href="x">&\'\x07</a>\x1b[0m'), '&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;');
+  });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const lintCheck = require('../src/checks/lint-check');
+const { parseJsonReport, withJsonReporter } = lintCheck;
+
+// Prints an ESLint JSON report when run with -f json, stylish text otherwise.
+// Each run is logged to "runs".
+const FAKE_ESLINT = `#!/usr/bin/env node
+const json = process.argv.includes('json');
+const file = require('path').join(process.cwd(), 'src/error-handler.js');
+require('fs').appendFileSync('runs', json ? 'json\\n' : 'text\\n');
+if (json) {
+  console.error('(node:123) [DEP0040] DeprecationWarning: The punycode module is deprecated.');
+  console.log(JSON.stringify([{ filePath: file, messages: [
+    { ruleId: 'no-unused-vars', severity: 2, message: "'x' is unused", line: 1, column: 7 },
+    { ruleId: 'semi', severity: 1, message: 'Missing semicolon', line: 2, column: 9, fix: { range: [0, 0], text: ';' } },
+    { ruleId: 'semi', severity: 1, message: 'Missing semicolon', line: 3, column: 9, fix: { range: [0, 0], text: ';' } },
+  ] }]));
+} else {
+  console.log(file + "\\n  1:7  error  'x' is unused  no-unused-vars\\n\\n✖ 1 problem (1 error, 0 warnings)");
+}
+process.exit(1);
+`;
+
+describe('withJsonReporter', () => {
+  it('adds the JSON reporter to ESLint and Biome commands', () => {
+    assert.equal(withJsonReporter('npx eslint .'), 'npx eslint . -f json');
+    assert.equal(withJsonReporter('npx biome check .'), 'npx biome check . --reporter=json');
+    assert.equal(withJsonReporter('npx biome lint src'), 'npx biome lint src --reporter=json');
+  });
+
+  it('keeps commands that choose a format or have no JSON reporter', () => {
+    assert.equal(withJsonReporter('npx eslint -f unix .'), null);
+    assert.equal(withJsonReporter('npx eslint --format=compact .'), null);
+    assert.equal(withJsonReporter('npx biome check --reporter=github .'), null);
+    assert.equal(withJsonReporter('npx next lint'), null);
+    assert.equal(withJsonReporter('npm run lint'), null);
+    assert.equal(withJsonReporter('npm run lint:eslint'), null);
+    assert.equal(withJsonReporter('pnpm lint:biome'), null);
+  });
+});
+
+describe('parseJsonReport', () => {
+  it('parses ESLint JSON with severity and fixability', () => {
+    const output = 'npm warn exec The following package was not found\n' + JSON.stringify([
+      { filePath: '/proj/src/a.js', messages: [
+        { ruleId: 'no-unused-vars', severity: 2, message: "'x' is unused", line: 1, column: 7 },
+        { ruleId: 'semi', severity: 1, message: 'Missing semicolon', line: 2, column: 9, fix: { range: [10, 10], text: ';' } },
+      ] },
+      { filePath: '/proj/src/b.js', messages: [{ ruleId: null, fatal: true, severity: 2, message: 'Parsing error: Unexpected token', line: 4, column: 1 }] },
+    ]);
+    assert.deepEqual(parseJsonReport(output, '/proj'), {
+      tool: 'eslint',
+      findings: [
+        { ruleId: 'no-unused-vars', file: 'src/a.js', line: 1, column: 7, severity: 'error', message: "'x' is unused", fixable: false },
+        { ruleId: 'semi', file: 'src/a.js', line: 2, column: 9, severity: 'warning', message: 'Missing semicolon', fixable: true },
+        { ruleId: 'lint', file: 'src/b.js', line: 4, column: 1, severity: 'error', message: 'Parsing error: Unexpected token', fixable: false },
+      ],
+    });
+  });
+
+  it('parses Biome JSON and locates spans in the source', () => {
+    const output = JSON.stringify({
+      summary: { errors: 1, warnings: 1 },
+      diagnostics: [
+        {
+          category: 'lint/suspicious/noDebugger',
+          severity: 'error',
+          description: 'This is an unexpected use of the debugger statement.',
+          location: { path: { file: 'src/c.ts' }, span: [17, 26], sourceCode: 'const a = 1;\n  é debugger;\n' },
+          tags: ['fixable'],
+        },
+        { category: 'lint/style/useConst', severity: 'warning', description: 'Use const.', location: { path: { file: 'src/d.ts' } }, tags: [] },
+      ],
+      command: 'lint',
+    });
+    const { tool, findings } = parseJsonReport(output, '/proj');
+    assert.equal(tool, 'biome');
+    assert.deepEqual(findings[0], {
+      ruleId: 'lint/suspicious/noDebugger', file: 'src/c.ts', line: 2, column: 4, severity: 'error',
+      message: 'This is an unexpected use of the debugger statement.', fixable: true,
+    });
+    assert.deepEqual([findings[1].line, findings[1].severity, findings[1].fixable], [null, 'warning', false]);
+  });
+
+  it('finds the report among bracketed notices on stderr', () => {
+    const output = JSON.stringify([{ filePath: '/proj/src/a.js', messages: [{ ruleId: 'semi', severity: 1, message: 'Missing semicolon', line: 2, column: 9 }] }]) +
+      '\n(node:123) [DEP0040] DeprecationWarning: The `punycode` module is deprecated. Please use a userland alternative instead.\n' +
+      '(Use `node --trace-deprecation ...` to show where the warning was created)\n';
+    const report = parseJsonReport('[notice] npx: installed 1 in 2s\n' + output, '/proj');
+    assert.equal(report.tool, 'eslint');
+    assert.deepEqual(report.findings.map(f => f.ruleId), ['semi']);
+  });
+
+  it('returns null for text output', () => {
+    assert.equal(parseJsonReport('Oops! Something went wrong! :(\n\nESLint: 9.0.0', '/proj'), null);
+    assert.equal(parseJsonReport('{"not": "a report"}', '/proj'), null);
+  });
+});
+
+describe('lint-check run', () => {
+  it('counts errors, warnings and fixable problems from the JSON report', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-lint-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'node_modules/.bin'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'node_modules/.bin/eslint'), FAKE_ESLINT, { mode: 0o755 });
+      const result = await lintCheck.run({ root: dir }, { command: 'node_modules/.bin/eslint .', weight: 15 });
+      assert.equal(fs.readFileSync(path.join(dir, 'runs'), 'utf-8'), 'json\n');
+      assert.equal(result.passed, false);
+      assert.deepEqual(result.counts, { error: 1, warning: 2 });
+      assert.deepEqual(result.errors, ["src/error-handler.js:1:7: 'x' is unused [error/no-unused-vars]"]);
+      assert.deepEqual(result.warnings, [
+        '2 lint warning(s)',
+        '2 problem(s) fixable with eslint --fix',
+        'Top rules: semi (2), no-unused-vars (1)',
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('fails a warnings-only run when the linter exits non-zero', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-lint-'));
+    // ESLint with --max-warnings 0: a JSON report of warnings, then a failing exit
+    const eslint = `#!/usr/bin/env node
+const file = require('path').join(process.cwd(), 'src/a.js');
+console.log(JSON.stringify([{ filePath: file, messages: [{ ruleId: 'semi', severity: 1, message: 'Missing semicolon', line: 2, column: 9 }] }]));
+const limited = process.argv.includes('--max-warnings');
+if (limited) console.error('ESLint found too many warnings (maximum: 0).');
+process.exit(limited ? 1 : 0);
+`;
+    try {
+      fs.mkdirSync(path.join(dir, 'node_modules/.bin'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'node_modules/.bin/eslint'), eslint, { mode: 0o755 });
+      const limited = await lintCheck.run({ root: dir }, { command: 'node_modules/.bin/eslint . --max-warnings 0', weight: 15 });
+      assert.equal(limited.passed, false);
+      assert.deepEqual(limited.counts, { error: 0, warning: 1 });
+      assert.deepEqual(limited.errors, [
+        'ESLint found too many warnings (maximum: 0).',
+        '  Command: node_modules/.bin/eslint . --max-warnings 0 -f json',
+      ]);
+
+      const unlimited = await lintCheck.run({ root: dir }, { command: 'node_modules/.bin/eslint .', weight: 15 });
+      assert.equal(unlimited.passed, true);
+      assert.deepEqual(unlimited.errors, []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('uses the parsed messages instead of lines mentioning "error" in text output', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-lint-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'eslint.js'), FAKE_ESLINT);
+      const result = await lintCheck.run({ root: dir }, { command: 'node eslint.js -f stylish .', weight: 15 });
+      assert.deepEqual(result.errors, ["src/error-handler.js:1:7: 'x' is unused [error/no-unused-vars]"]);
+      assert.deepEqual(result.counts, { error: 1, warning: 0 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
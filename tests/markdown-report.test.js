@@ -0,0 +1,116 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { toMarkdown } = require('../src/core/markdown-report');
+const { appendStepSummary } = require('../src/core/reporter');
+
+const report = {
+  timestamp: '2026-01-01T00:00:00.000Z',
+  score: 75,
+  deployReady: false,
+  deployThreshold: 95,
+  duration: 2500,
+  checks: [
+    { name: 'Lint', key: 'lint', enabled: true, passed: true, score: 15, maxScore: 15, duration: 300, cached: true, errors: [] },
+    {
+      name: 'Content Guard',
+      key: 'content',
+      enabled: true,
+      passed: false,
+      score: 0,
+      maxScore: 20,
+      duration: 100,
+      errors: [
+        'src/a.js:1:1 - "TODO comment" (matched: "TODO | later")',
+        'src/b.js:2:1 - "TODO comment" (matched: "`x`")',
+        'src/c.js:3:1 - "TODO comment"',
+        'src/d.js:4:1 - "TODO comment"',
+        '  Hint: indented detail',
+      ],
+    },
+    { name: 'build', key: 'build', enabled: false, passed: true, score: 0, maxScore: 0, duration: 0, errors: [] },
+  ],
+};
+
+describe('toMarkdown', () => {
+  const md = toMarkdown(report);
+
+  it('leads with the score and verdict', () => {
+    assert.match(md, /^## Fortress: 75\/100 · ❌ Not deploy ready\n/);
+    assert.match(md, /Threshold 95 · 2\.5s/);
+  });
+
+  it('renders a row per check', () => {
+    assert.match(md, /\| Check \| Result \| Score \| Time \|/);
+    assert.match(md, /\| Lint \| ✅ Pass \| 15\/15 \| cached \|/);
+    assert.match(md, /\| Content Guard \| ❌ Fail \| 0\/20 \| 0\.1s \|/);
+    assert.match(md, /\| build \| ⏭️ Skipped \| — \|  \|/);
+  });
+
+  it('lists the top errors of failing checks as code', () => {
+    assert.match(md, /### Top errors/);
+    assert.match(md, /- `src\/a\.js:1:1 - "TODO comment" \(matched: "TODO \| later"\)`/);
+    assert.match(md, /- `src\/b\.js:2:1 - "TODO comment" \(matched: "'x'"\)`/);
+    assert.ok(!md.includes('src/d.js'));
+    assert.match(md, /- …and 1 more/);
+    assert.ok(!md.includes('indented detail'));
+  });
+
+  it('summarizes findings by file and rule', () => {
+    const groups = {
+      byFile: [{ file: 'src/a.ts', count: 2 }, { file: 'src/b.ts', count: 1 }],
+      byRule: [{ ruleId: 'TS2322', count: 2 }, { ruleId: 'TS2304', count: 1 }],
+    };
+    const grouped = toMarkdown({ ...report, checks: report.checks.map(c => (c.key === 'content' ? { ...c, groups } : c)) });
+    assert.match(grouped, /Most affected: `src\/a\.ts` \(2\), `src\/b\.ts` \(1\) · Most common: `TS2322` \(2\), `TS2304` \(1\)/);
+    assert.doesNotMatch(md, /Most affected/);
+  });
+
+  it('lists failing required checks under the headline', () => {
+    const blocked = toMarkdown({ ...report, requiredFailures: [{ key: 'content', name: 'Content Guard' }] });
+    assert.match(blocked, /^- ❌ Required check failed: \*\*Content Guard\*\*$/m);
+    assert.doesNotMatch(md, /Required check failed/);
+  });
+
+  it('adds package columns for workspace reports', () => {
+    const ws = toMarkdown({
+      ...report,
+      packages: [{ path: 'apps/web', score: 75, deployReady: false }],
+      checks: report.checks.map(c => ({ ...c, package: 'apps/web' })),
+    });
+    assert.match(ws, /\| `apps\/web` \| 75\/100 \| ❌ Not deploy ready \|/);
+    assert.match(ws, /\| `apps\/web` \| Lint \| ✅ Pass \|/);
+    assert.match(ws, /\*\*apps\/web: Content Guard\*\*/);
+  });
+});
+
+describe('appendStepSummary', () => {
+  const original = process.env.GITHUB_STEP_SUMMARY;
+  afterEach(() => {
+    if (original === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+    else process.env.GITHUB_STEP_SUMMARY = original;
+  });
+
+  it('does nothing outside GitHub Actions', () => {
+    delete process.env.GITHUB_STEP_SUMMARY;
+    assert.equal(appendStepSummary(report), null);
+  });
+
+  it('appends to the job summary file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-md-'));
+    const file = path.join(dir, 'summary.md');
+    fs.writeFileSync(file, '# Earlier step\n');
+    try {
+      process.env.GITHUB_STEP_SUMMARY = file;
+      assert.equal(appendStepSummary(report), file);
+      const content = fs.readFileSync(file, 'utf-8');
+      assert.ok(content.startsWith('# Earlier step\n## Fortress: 75/100'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
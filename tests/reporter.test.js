@@ -0,0 +1,35 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateReport, groupFindings } = require('../src/core/reporter');
+const { createResult, createFinding, MAX_FINDINGS } = require('../src/checks/base-check');
+
+describe('generateReport', () => {
+  it('saves up to MAX_FINDINGS findings per check but groups all of them', () => {
+    const findings = Array.from({ length: MAX_FINDINGS + 5 }, (_, i) =>
+      createFinding({ ruleId: 'no-unused-vars', file: `src/f${i % 2}.js`, line: i + 1, severity: 'warning', message: 'unused' }));
+    const result = createResult('Lint', { key: 'lint', passed: true, findings });
+    assert.equal(result.findings.length, MAX_FINDINGS + 5);
+
+    const config = { checks: { lint: { enabled: true, weight: 15 } } };
+    const report = generateReport([result], { score: 100, maxScore: 100, deployReady: true }, config, 10);
+    assert.equal(report.checks[0].findings.length, MAX_FINDINGS);
+    assert.deepEqual(report.checks[0].groups.byRule, [{ ruleId: 'no-unused-vars', count: MAX_FINDINGS + 5 }]);
+  });
+});
+
+describe('groupFindings', () => {
+  it('counts findings per file and per rule, most frequent first', () => {
+    const findings = [
+      { ruleId: 'TS2322', file: 'src/a.ts' },
+      { ruleId: 'TS2322', file: 'src/a.ts' },
+      { ruleId: 'TS2304', file: 'src/b.ts' },
+    ];
+    assert.deepEqual(groupFindings(findings), {
+      byFile: [{ file: 'src/a.ts', count: 2 }, { file: 'src/b.ts', count: 1 }],
+      byRule: [{ ruleId: 'TS2322', count: 2 }, { ruleId: 'TS2304', count: 1 }],
+    });
+    assert.equal(groupFindings([]), null);
+  });
+});
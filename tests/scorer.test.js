@@ -2,7 +2,7 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
-const { calculate } = require('../src/core/scorer');
+const { calculate, scoreCheck } = require('../src/core/scorer');
 
 describe('scorer', () => {
   it('calculates perfect score when all 4 checks pass', () => {
@@ -146,4 +146,126 @@ describe('scorer', () => {
     assert.equal(result.deployReady, false);
     assert.equal(result.noChecksEnabled, true);
   });
+
+  it('clamps custom check scores to their weight', () => {
+    const results = [
+      { key: 'test', name: 'Tests', passed: true, score: 25, errors: [], warnings: [], duration: 200 },
+      { key: 'prettier', name: 'prettier', passed: true, score: 500, errors: [], warnings: [], duration: 10 },
+      { key: 'knip', name: 'knip', passed: false, score: -10, errors: ['unused export'], warnings: [], duration: 10 },
+    ];
+    const config = {
+      checks: {
+        test: { enabled: true, weight: 25 },
+        prettier: { enabled: true, type: 'command', weight: 5 },
+        knip: { enabled: true, type: 'command', weight: 10 },
+      },
+      scoring: { deployThreshold: 95 },
+    };
+    const result = calculate(results, config);
+    // rawScore = 25 + 5 + 0 = 30, totalWeight = 40
+    assert.equal(result.rawScore, 30);
+    assert.equal(result.score, 75);
+  });
+
+  it('treats invalid weights and scores as 0 instead of NaN', () => {
+    const results = [
+      { key: 'test', name: 'Tests', passed: true, score: 25, errors: [], warnings: [], duration: 200 },
+      { key: 'madge', name: 'madge', passed: true, score: undefined, errors: [], warnings: [], duration: 10 },
+    ];
+    const config = {
+      checks: {
+        test: { enabled: true, weight: 25 },
+        madge: { enabled: true, type: 'command', weight: '10' },
+      },
+      scoring: { deployThreshold: 95 },
+    };
+    const result = calculate(results, config);
+    assert.equal(result.totalWeight, 25);
+    assert.equal(result.score, 100);
+  });
+
+  it('blocks deploy when a required check fails, regardless of score', () => {
+    const results = [
+      { key: 'typescript', name: 'TypeScript', passed: true, score: 90, errors: [], warnings: [], duration: 100 },
+      { key: 'secrets', name: 'Secrets Detection', passed: false, score: 0, errors: ['src/a.ts:1 - AWS Access Key ID'], warnings: [], duration: 10 },
+    ];
+    const config = {
+      checks: {
+        typescript: { enabled: true, weight: 90 },
+        secrets: { enabled: true, required: true, weight: 5 },
+      },
+      scoring: { deployThreshold: 90 },
+    };
+    const result = calculate(results, config);
+    assert.equal(result.score, 95);
+    assert.equal(result.deployReady, false);
+    assert.deepEqual(result.requiredFailures, [{ key: 'secrets', name: 'Secrets Detection' }]);
+
+    config.checks.secrets.required = false;
+    assert.equal(calculate(results, config).deployReady, true);
+  });
+
+  it('ignores required on disabled checks', () => {
+    const results = [
+      { key: 'test', name: 'Tests', passed: true, score: 25, errors: [], warnings: [], duration: 200 },
+      { key: 'build', name: 'Build', passed: true, score: 0, errors: [], warnings: ['build check is disabled'], duration: 0 },
+    ];
+    const config = {
+      checks: {
+        test: { enabled: true, weight: 25 },
+        build: { enabled: false, required: true, weight: 10 },
+      },
+      scoring: { deployThreshold: 95 },
+    };
+    const result = calculate(results, config);
+    assert.equal(result.deployReady, true);
+    assert.deepEqual(result.requiredFailures, []);
+  });
+});
+
+describe('scoreCheck', () => {
+  const result = (key, fields) => ({ key, name: key, errors: [], warnings: [], duration: 0, score: 0, ...fields });
+
+  it('reproduces the built-in scoring by default', () => {
+    // Lint: -5 per warning, 0 when failing
+    assert.equal(scoreCheck(result('lint', { passed: true, counts: { error: 0, warning: 2 } }), { weight: 15 }), 5);
+    assert.equal(scoreCheck(result('lint', { passed: true, counts: { error: 0, warning: 9 } }), { weight: 15 }), 0);
+    assert.equal(scoreCheck(result('lint', { passed: false, counts: { error: 1, warning: 0 } }), { weight: 15 }), 0);
+    // Security: -5 per critical/high, even though the check fails
+    assert.equal(scoreCheck(result('security', { passed: false, counts: { critical: 0, high: 1, moderate: 4, low: 2 } }), { weight: 10 }), 5);
+    // Tests: pass rate
+    assert.equal(scoreCheck(result('test', { passed: false, passRate: 0.8, counts: { error: 2 } }), { weight: 25 }), 20);
+    // Everything else: all-or-nothing
+    assert.equal(scoreCheck(result('typescript', { passed: false, counts: { error: 3 } }), { weight: 20 }), 0);
+    assert.equal(scoreCheck(result('typescript', { passed: true, counts: { error: 0 } }), { weight: 20 }), 20);
+  });
+
+  it('applies per-check penalties and caps', () => {
+    const lint = result('lint', { passed: true, counts: { error: 0, warning: 10 } });
+    assert.equal(scoreCheck(lint, { weight: 15, scoring: { perWarning: 1 } }), 5);
+    assert.equal(scoreCheck(lint, { weight: 15, scoring: { perWarning: 1, cap: 3 } }), 12);
+    assert.equal(scoreCheck(lint, { weight: 15, scoring: { perWarning: 0 } }), 15);
+  });
+
+  it('gives partial credit when all-or-nothing is off', () => {
+    const ts = result('typescript', { passed: false, counts: { error: 3 } });
+    assert.equal(scoreCheck(ts, { weight: 20, scoring: { allOrNothing: false, perError: 2 } }), 14);
+  });
+
+  it('applies severity multipliers', () => {
+    const audit = result('security', { passed: false, counts: { critical: 1, high: 1, moderate: 2 } });
+    const scoring = { severity: { critical: 2 }, perWarning: 1 };
+    // 1 critical x 5 x 2 + 1 high x 5 + 2 moderate x 1
+    assert.equal(scoreCheck(audit, { weight: 20, scoring }), 3);
+  });
+
+  it('keeps the reported score of results without counts, clamped to the weight', () => {
+    assert.equal(scoreCheck(result('knip', { passed: true, score: 7 }), { weight: 10 }), 7);
+    assert.equal(scoreCheck(result('knip', { passed: true, score: 70 }), { weight: 10 }), 10);
+  });
+
+  it('ignores invalid scoring values', () => {
+    const lint = result('lint', { passed: true, counts: { error: 0, warning: 1 } });
+    assert.equal(scoreCheck(lint, { weight: 15, scoring: { perWarning: -3, allOrNothing: 'yes' } }), 10);
+  });
 });
@@ -216,6 +216,27 @@ describe('secrets-check', () => {
     }
   });
 
+  it('records every match as a located finding', () => {
+    const lines = Array.from({ length: 40 }, (_, i) =>
+      `const key${i} = "AKIAIOSFODNN7EXAMPL${String(i).padStart(2, '0')}";`
+    ).join('\n');
+    const dir = createTempProject({ 'src/keys.js': lines });
+    try {
+      const result = secretsCheck.run({ root: dir }, baseConfig);
+      assert.equal(result.findings.length, 40);
+      assert.deepEqual(result.findings[1], {
+        ruleId: 'secrets/aws-access-key-id',
+        file: 'src/keys.js',
+        line: 2,
+        column: 15,
+        severity: 'error',
+        message: 'AWS Access Key ID (matched: AKIA***L0)',
+      });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
   it('supports custom patterns', () => {
     const dir = createTempProject({
       'src/config.js': 'const myKey = "MYAPP_KEY_abcdefghijklmnop";',
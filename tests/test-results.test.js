@@ -0,0 +1,297 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { withTestReporter, readTestResults, reportTests, parseTap, parseJUnit, parseReport } = require('../src/core/test-results');
+const testCheck = require('../src/checks/test-check');
+
+// node --test --test-reporter=tap, stack traces trimmed
+const NODE_TAP = `TAP version 13
+# Subtest: math
+    # Subtest: adds
+    ok 1 - adds
+      ---
+      duration_ms: 1.249951
+      ...
+    # Subtest: fails
+    not ok 2 - fails
+      ---
+      duration_ms: 0.471945
+      location: '/proj/tests/math.test.js:4:3'
+      failureType: 'testCodeFailure'
+      error: |-
+        boom
+        second
+      code: 'ERR_TEST_FAILURE'
+      ...
+    # Subtest: skipped
+    ok 3 - skipped # SKIP
+      ---
+      duration_ms: 0.21559
+      ...
+    # Subtest: later
+    ok 4 - later # TODO
+      ---
+      duration_ms: 0.291661
+      ...
+    1..4
+not ok 1 - math
+  ---
+  duration_ms: 4.301109
+  type: 'suite'
+  failureType: 'subtestsFailed'
+  error: '1 subtest failed'
+  ...
+# Subtest: top
+    # Subtest: child
+    ok 1 - child
+      ---
+      duration_ms: 0.206324
+      ...
+    1..1
+ok 2 - top
+  ---
+  duration_ms: 0.592256
+  ...
+1..2
+# tests 6
+# pass 3
+# fail 1
+`;
+
+describe('withTestReporter', () => {
+  it('adds a JSON reporter writing to the results file', () => {
+    assert.deepEqual(withTestReporter('npx jest --passWithNoTests', '/tmp/r.json'), {
+      command: 'npx jest --passWithNoTests --json --outputFile="/tmp/r.json"', format: 'jest',
+    });
+    assert.equal(withTestReporter('npx vitest run', '/tmp/r.json').command,
+      'npx vitest run --reporter=default --reporter=json --outputFile="/tmp/r.json"');
+    assert.equal(withTestReporter('npx mocha', '/tmp/r.json').format, 'mocha');
+  });
+
+  it('leaves commands that pick their reporter, and other runners, alone', () => {
+    assert.equal(withTestReporter('npx jest --json', '/tmp/r.json'), null);
+    assert.equal(withTestReporter('npx vitest run --reporter=verbose', '/tmp/r.json'), null);
+    assert.equal(withTestReporter('npx mocha -R dot', '/tmp/r.json'), null);
+    assert.equal(withTestReporter('node --test --test-reporter=spec tests/', '/tmp/r.json'), null);
+    assert.equal(withTestReporter('npm test', '/tmp/r.json'), null);
+    assert.equal(withTestReporter('npm run test:jest', '/tmp/r.json'), null);
+    assert.equal(withTestReporter('pnpm test:vitest', '/tmp/r.json'), null);
+  });
+
+  it('puts node:test on the TAP reporter ahead of the test files', () => {
+    assert.deepEqual(withTestReporter('node --test tests/', '/tmp/r.json'), {
+      command: 'node --test --test-reporter=tap tests/', format: 'tap',
+    });
+  });
+});
+
+describe('parseTap', () => {
+  it('reads leaf tests with status, duration and failure message', () => {
+    assert.deepEqual(parseTap(NODE_TAP), [
+      { name: 'math > adds', status: 'passed', duration: 1.249951, message: null },
+      { name: 'math > fails', status: 'failed', duration: 0.471945, message: 'boom' },
+      { name: 'math > skipped', status: 'skipped', duration: 0.21559, message: null },
+      { name: 'math > later', status: 'todo', duration: 0.291661, message: null },
+      { name: 'top > child', status: 'passed', duration: 0.206324, message: null },
+    ]);
+  });
+});
+
+describe('parseReport', () => {
+  it('reads Jest and Vitest JSON, including files that failed to load', () => {
+    const tests = parseReport(JSON.stringify({
+      numTotalTests: 4,
+      testResults: [
+        {
+          name: '/proj/src/a.test.js',
+          status: 'failed',
+          assertionResults: [
+            { fullName: 'a adds', status: 'passed', duration: 3 },
+            { fullName: 'a fails', status: 'failed', duration: 5, failureMessages: ['\u001b[31mError: expected 1 to be 2\u001b[39m\n    at ...'] },
+            { fullName: 'a later', status: 'todo' },
+            { fullName: 'a skipped', status: 'pending' },
+          ],
+        },
+        { name: '/proj/src/b.test.js', status: 'failed', message: 'SyntaxError: Unexpected token', assertionResults: [] },
+      ],
+    }), 'jest', '/proj');
+    assert.deepEqual(tests.map(t => [t.name, t.status, t.message]), [
+      ['a adds', 'passed', null],
+      ['a fails', 'failed', 'Error: expected 1 to be 2'],
+      ['a later', 'todo', null],
+      ['a skipped', 'skipped', null],
+      ['src/b.test.js', 'failed', 'SyntaxError: Unexpected token'],
+    ]);
+  });
+
+  it('reads Mocha JSON', () => {
+    const tests = parseReport(JSON.stringify({
+      stats: { tests: 3, passes: 1, failures: 1, pending: 1 },
+      tests: [
+        { title: 'adds', fullTitle: 'math adds', duration: 2, err: {} },
+        { title: 'fails', fullTitle: 'math fails', duration: 4, err: { message: 'expected 1 to equal 2' } },
+        { title: 'later', fullTitle: 'math later', err: {} },
+      ],
+      pending: [{ title: 'later', fullTitle: 'math later' }],
+    }), 'mocha', '/proj');
+    assert.deepEqual(tests.map(t => [t.name, t.status, t.duration]), [
+      ['math adds', 'passed', 2],
+      ['math fails', 'failed', 4],
+      ['math later', 'skipped', null],
+    ]);
+  });
+});
+
+describe('parseJUnit', () => {
+  it('reads test cases with failures, skips and todos', () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites>
+  <testsuite name="math" tests="4">
+    <testcase name="adds" classname="math" time="0.012"/>
+    <testcase name="fails" classname="math" time="0.004">
+      <failure message="expected 1 &amp; 2" type="testCodeFailure">stack</failure>
+    </testcase>
+    <testcase name="skipped" classname="math" time="0"><skipped type="skipped" message="SKIP"/></testcase>
+    <testcase name="later" classname="math" time="0"><skipped type="todo" message="TODO"/></testcase>
+  </testsuite>
+</testsuites>`;
+    assert.deepEqual(parseJUnit(xml), [
+      { name: 'math > adds', status: 'passed', duration: 12, message: null },
+      { name: 'math > fails', status: 'failed', duration: 4, message: 'expected 1 & 2' },
+      { name: 'math > skipped', status: 'skipped', duration: 0, message: null },
+      { name: 'math > later', status: 'todo', duration: 0, message: null },
+    ]);
+  });
+});
+
+describe('readTestResults', () => {
+  it('counts results and keeps a summary for the report', () => {
+    const results = readTestResults({ root: '/proj', output: NODE_TAP, reporter: null, resultsFile: null, since: Date.now() });
+    assert.deepEqual([results.passed, results.failed, results.skipped, results.todo], [2, 1, 1, 1]);
+
+    const report = reportTests(results);
+    assert.deepEqual(report.failures, [{ name: 'math > fails', message: 'boom' }]);
+    assert.deepEqual(report.skippedTests, ['math > skipped']);
+    assert.deepEqual(report.todoTests, ['math > later']);
+    assert.deepEqual(report.slowest[0], { name: 'math > adds', duration: 1 });
+  });
+
+  it('ignores a results file older than the run', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-results-'));
+    try {
+      const file = path.join(dir, 'junit.xml');
+      fs.writeFileSync(file, '<testsuite><testcase name="a" time="0.1"/></testsuite>');
+      assert.equal(readTestResults({ root: dir, output: '', reporter: null, resultsFile: file, since: Date.now() }).passed, 1);
+
+      const old = new Date(Date.now() - 60000);
+      fs.utimesSync(file, old, old);
+      assert.equal(readTestResults({ root: dir, output: '', reporter: null, resultsFile: file, since: Date.now() }), null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('test-check with structured results', () => {
+  it('reports exact counts, failure messages and skipped tests', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-results-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'tap.txt'), NODE_TAP);
+      fs.writeFileSync(path.join(dir, 'run.js'), "process.stdout.write(require('fs').readFileSync('tap.txt', 'utf-8')); process.exitCode = 1;");
+      const result = await testCheck.run({ root: dir }, { command: 'node run.js', weight: 25 });
+      assert.equal(result.passed, false);
+      assert.deepEqual(result.errors, ['1 test(s) failed', '  FAIL: math > fails', '    boom']);
+      assert.deepEqual(result.warnings, ['2/3 tests passed', '1 skipped, 1 todo']);
+      assert.equal(result.passRate, 2 / 3);
+      assert.equal(result.tests.skipped, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads node --test results through the TAP reporter', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-results-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'tests'));
+      fs.writeFileSync(path.join(dir, 'tests/math.test.js'), [
+        "const { it } = require('node:test');",
+        "it('adds', () => {});",
+        "it('fails', () => { throw new Error('boom'); });",
+      ].join('\n'));
+      const result = await testCheck.run({ root: dir }, { command: 'node --test tests/math.test.js', weight: 25 });
+      assert.deepEqual([result.tests.passed, result.tests.failed], [1, 1]);
+      assert.deepEqual(result.tests.failures, [{ name: 'fails', message: 'boom' }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('marks failing tests that were flaky in saved reports', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-results-'));
+    try {
+      fs.mkdirSync(path.join(dir, 'fortress-reports'));
+      const revision = { commit: 'abc123', changes: null };
+      ['passed', 'failed'].forEach((status, i) => {
+        fs.writeFileSync(path.join(dir, `fortress-reports/fortress-report-2026-01-0${i + 1}.json`), JSON.stringify({
+          timestamp: `2026-01-0${i + 1}T10:00:00.000Z`,
+          score: 90,
+          checks: [{ key: 'test', tests: { revision, outcomes: { 'math > fails': status } } }],
+        }));
+      });
+      fs.writeFileSync(path.join(dir, 'tap.txt'), NODE_TAP);
+      fs.writeFileSync(path.join(dir, 'run.js'), "process.stdout.write(require('fs').readFileSync('tap.txt', 'utf-8')); process.exitCode = 1;");
+
+      const result = await testCheck.run({ root: dir }, { command: 'node run.js', weight: 25 });
+      assert.deepEqual(result.errors, [
+        '1 test(s) failed',
+        '  FAIL: math > fails (flaky)',
+        '    boom',
+        '  Hint: Every failing test has been flaky in recent runs. Rerun, or set retries on the test check',
+      ]);
+      assert.ok(result.warnings.includes('1 flaky test(s) in recent runs: math > fails - see fortress trend --flaky'));
+      assert.deepEqual(result.tests.outcomes, { 'math > adds': 'passed', 'math > fails': 'failed', 'top > child': 'passed' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('reads flaky tests for a workspace package from the workspace reports', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-results-'));
+    try {
+      const pkgDir = path.join(dir, 'packages/app');
+      fs.mkdirSync(path.join(dir, 'fortress-reports'));
+      fs.mkdirSync(pkgDir, { recursive: true });
+      const revision = { commit: 'abc123', changes: null };
+      ['passed', 'failed'].forEach((status, i) => {
+        fs.writeFileSync(path.join(dir, `fortress-reports/fortress-report-2026-01-0${i + 1}.json`), JSON.stringify({
+          timestamp: `2026-01-0${i + 1}T10:00:00.000Z`,
+          score: 90,
+          checks: ['packages/app', 'packages/lib'].map(pkg => ({
+            key: 'test',
+            package: pkg,
+            tests: { revision, outcomes: { [`${pkg} > flips`]: status, 'math > fails': pkg === 'packages/lib' ? status : 'failed' } },
+          })),
+        }));
+      });
+      fs.writeFileSync(path.join(pkgDir, 'tap.txt'), NODE_TAP);
+      fs.writeFileSync(path.join(pkgDir, 'run.js'), "process.stdout.write(require('fs').readFileSync('tap.txt', 'utf-8')); process.exitCode = 1;");
+
+      const result = await testCheck.run({ root: pkgDir, workspaceRoot: dir }, { command: 'node run.js', weight: 25 });
+      assert.ok(result.errors.includes('  FAIL: math > fails'));
+      assert.ok(result.warnings.includes('1 flaky test(s) in recent runs: packages/app > flips - see fortress trend --flaky'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('falls back to summary lines without matching log output', () => {
+    const { parseTestOutput } = testCheck;
+    assert.deepEqual(parseTestOutput('3 failed requests retried\nTests:       1 failed, 1 skipped, 2 passed, 4 total\n'), { passed: 2, failed: 1, total: 3 });
+    assert.deepEqual(parseTestOutput(' Test Files  1 failed (1)\n      Tests  1 failed | 3 passed | 1 skipped (5)\n'), { passed: 3, failed: 1, total: 4 });
+    assert.deepEqual(parseTestOutput('      Tests  4 passed (4)\n'), { passed: 4, failed: 0, total: 4 });
+  });
+});
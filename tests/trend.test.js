@@ -5,7 +5,7 @@ const assert = require('node:assert/strict');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { loadReports, getTrend, sparkline, formatDate } = require('../src/core/trend');
+const { loadReports, getTrend, sparkline, findFlakyTests, formatDate } = require('../src/core/trend');
 
 function createTempReports(reports) {
   const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-trend-'));
@@ -155,6 +155,39 @@ describe('trend', () => {
     });
   });
 
+  describe('findFlakyTests', () => {
+    const revision = { commit: 'abc123', changes: null };
+    const run = (timestamp, outcomes, extra = {}) => ({
+      timestamp,
+      checks: [{ key: 'test', tests: { revision, outcomes, ...extra } }],
+    });
+
+    it('flags tests that flip on the same revision', () => {
+      const flaky = findFlakyTests([
+        run('2026-01-01T10:00:00.000Z', { 'a > adds': 'passed', 'a > fetches': 'failed' }),
+        run('2026-01-01T11:00:00.000Z', { 'a > adds': 'passed', 'a > fetches': 'passed' }),
+        run('2026-01-01T12:00:00.000Z', { 'a > adds': 'passed', 'a > fetches': 'failed' }),
+      ]);
+      assert.deepEqual(flaky, [
+        { name: 'a > fetches', package: null, passed: 1, failed: 2, lastFailed: '2026-01-01T12:00:00.000Z' },
+      ]);
+    });
+
+    it('ignores flips across code changes and runs without a revision', () => {
+      const changed = run('2026-01-01T11:00:00.000Z', { 'a > fetches': 'passed' });
+      changed.checks[0].tests.revision = { commit: 'abc123', changes: 'f00d' };
+      const unknown = run('2026-01-01T12:00:00.000Z', { 'a > fetches': 'passed' });
+      unknown.checks[0].tests.revision = null;
+      assert.deepEqual(findFlakyTests([run('2026-01-01T10:00:00.000Z', { 'a > fetches': 'failed' }), changed, unknown]), []);
+    });
+
+    it('flags tests that passed on a retry, per package', () => {
+      const report = run('2026-01-01T10:00:00.000Z', { 'a > fetches': 'passed' }, { passedOnRetry: ['a > fetches'] });
+      report.checks[0].package = 'apps/web';
+      assert.deepEqual(findFlakyTests([report]).map(f => [f.package, f.name]), [['apps/web', 'a > fetches']]);
+    });
+  });
+
   describe('formatDate', () => {
     it('formats ISO timestamp to YYYY-MM-DD HH:MM', () => {
       const formatted = formatDate('2026-01-15T14:30:00.000Z');
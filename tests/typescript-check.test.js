@@ -0,0 +1,84 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDiagnostics, isBuildMode } = require('../src/checks/typescript-check');
+
+describe('typescript-check', () => {
+  describe('parseDiagnostics', () => {
+    it('parses default and --pretty output', () => {
+      const output = [
+        "src/a.ts(12,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+        "/proj/src/b.ts:3:1 - error TS2304: Cannot find name 'foo'.",
+        'Found 2 errors.',
+      ].join('\n');
+      assert.deepEqual(parseDiagnostics(output, '/proj'), [
+        { ruleId: 'TS2322', file: 'src/a.ts', line: 12, column: 5, severity: 'error', message: "Type 'string' is not assignable to type 'number'." },
+        { ruleId: 'TS2304', file: 'src/b.ts', line: 3, column: 1, severity: 'error', message: "Cannot find name 'foo'." },
+      ]);
+    });
+
+    it('parses tsc -b output and diagnostics without a location', () => {
+      const output = [
+        "packages/core/src/index.ts(4,7): error TS2322: Type 'string' is not assignable to type 'number'.",
+        "/proj/packages/app/src/main.ts:9:3 - error TS2345: Argument of type 'null' is not assignable.",
+        "error TS6305: Output file '/proj/packages/core/dist/index.d.ts' has not been built.",
+        'Found 3 errors.',
+      ].join('\n');
+      const findings = parseDiagnostics(output, '/proj');
+      assert.deepEqual(findings.map(f => [f.file, f.ruleId]), [
+        ['packages/core/src/index.ts', 'TS2322'],
+        ['packages/app/src/main.ts', 'TS2345'],
+        [null, 'TS6305'],
+      ]);
+      assert.equal(findings[2].line, null);
+    });
+
+    it('keeps the project path tsc -b puts before each file', () => {
+      // tsc -b from the root of a solution with references to ./a and ./b
+      const output = [
+        "b/index.ts(1,39): error TS2322: Type 'number' is not assignable to type 'string'.",
+        "a/src/util.ts(3,1): error TS2304: Cannot find name 'foo'.",
+      ].join('\n');
+      assert.deepEqual(parseDiagnostics(output, '/proj').map(f => [f.file, f.line, f.column, f.ruleId]), [
+        ['b/index.ts', 1, 39, 'TS2322'],
+        ['a/src/util.ts', 3, 1, 'TS2304'],
+      ]);
+    });
+
+    it('parses colored --pretty output from tsc -b', () => {
+      const output = [
+        "\x1b[96mb/index.ts\x1b[0m:\x1b[93m1\x1b[0m:\x1b[93m39\x1b[0m - \x1b[91merror\x1b[0m\x1b[90m TS2322: \x1b[0mType 'number' is not assignable to type 'string'.",
+        '',
+        '\x1b[7m1\x1b[0m import { x } from "../a/index"; const y: string = x;',
+        '',
+        'Found 1 error in b/index.ts\x1b[90m:1\x1b[0m',
+      ].join('\n');
+      assert.deepEqual(parseDiagnostics(output, '/proj'), [
+        { ruleId: 'TS2322', file: 'b/index.ts', line: 1, column: 39, severity: 'error', message: "Type 'number' is not assignable to type 'string'." },
+      ]);
+    });
+
+    it('parses errors without a location', () => {
+      const output = [
+        "error TS5083: Cannot read file '/proj/missing/tsconfig.json'.",
+        "error TS6310: Referenced project '/proj/a' may not disable emit.",
+      ].join('\n');
+      assert.deepEqual(parseDiagnostics(output, '/proj'), [
+        { ruleId: 'TS5083', file: null, line: null, column: null, severity: 'error', message: "Cannot read file '/proj/missing/tsconfig.json'." },
+        { ruleId: 'TS6310', file: null, line: null, column: null, severity: 'error', message: "Referenced project '/proj/a' may not disable emit." },
+      ]);
+    });
+  });
+
+  describe('isBuildMode', () => {
+    it('detects tsc -b and tsc --build', () => {
+      assert.equal(isBuildMode('npx tsc -b'), true);
+      assert.equal(isBuildMode('npx tsc --build tsconfig.json'), true);
+      assert.equal(isBuildMode('pnpm tsc -b --verbose'), true);
+      assert.equal(isBuildMode('npx tsc --noEmit'), false);
+      assert.equal(isBuildMode('npx tsc -p tsconfig.build.json'), false);
+      assert.equal(isBuildMode(null), false);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const { loadStrict, ConfigError } = require('../src/core/config-loader');
+const { affectedChecks, getSkipDirs, watchProject, debounceChanges } = require('../src/core/watch');
+
+const config = {
+  root: '/project',
+  checks: {
+    typescript: { enabled: true, command: 'npx tsc --noEmit', weight: 20 },
+    lint: { enabled: true, command: 'npx eslint .', weight: 15 },
+    test: { enabled: true, command: 'npx vitest run', weight: 25 },
+    content: { enabled: true, extensions: ['.ts', '.md'], skipDirs: ['generated'], weight: 20 },
+    secrets: { enabled: true, weight: 10 },
+    security: { enabled: true, command: 'npm audit', weight: 10 },
+    build: { enabled: false, command: 'npm run build', weight: 10 },
+  },
+};
+
+describe('watch', () => {
+  describe('affectedChecks', () => {
+    it('reruns source checks for a TypeScript change', () => {
+      assert.deepEqual(affectedChecks(config, ['src/a.ts']), ['typescript', 'lint', 'test', 'content', 'secrets']);
+    });
+
+    it('reruns TypeScript for JavaScript changes, like the cache', () => {
+      assert.deepEqual(affectedChecks(config, ['src/a.js']), ['typescript', 'lint', 'test', 'secrets']);
+      assert.deepEqual(affectedChecks(config, ['scripts/build.mjs']), ['typescript', 'lint', 'test', 'secrets']);
+    });
+
+    it('skips TypeScript for files tsc never reads', () => {
+      assert.deepEqual(affectedChecks(config, ['styles/main.css']), ['secrets']);
+    });
+
+    it('uses the content check\'s own extensions', () => {
+      assert.deepEqual(affectedChecks(config, ['docs/guide.md']), ['content', 'secrets']);
+    });
+
+    it('reruns the audit only for dependency changes', () => {
+      assert.ok(affectedChecks(config, ['package-lock.json']).includes('security'));
+      assert.ok(!affectedChecks(config, ['src/a.ts']).includes('security'));
+    });
+
+    it('picks up tsconfig and lint config changes', () => {
+      assert.deepEqual(affectedChecks(config, ['tsconfig.build.json']), ['typescript', 'secrets']);
+      assert.ok(affectedChecks(config, ['eslint.config.mjs']).includes('lint'));
+    });
+
+    it('never includes disabled checks', () => {
+      assert.ok(!affectedChecks(config, ['src/a.ts']).includes('build'));
+    });
+  });
+
+  describe('getSkipDirs', () => {
+    it('combines defaults, content skipDirs and output dirs', () => {
+      const dirs = getSkipDirs({ ...config, report: { outputDir: './reports/' } });
+      assert.ok(dirs.has('node_modules'));
+      assert.ok(dirs.has('generated'));
+      assert.ok(dirs.has('reports'));
+      assert.ok(dirs.has('.fortress-cache'));
+    });
+  });
+
+  describe('debounceChanges', () => {
+    it('batches rapid events into one unique list', async () => {
+      const batches = [];
+      const onChange = debounceChanges(files => batches.push(files), 20);
+      onChange('src/a.ts');
+      onChange('src/a.ts');
+      onChange('src/b.ts');
+      await new Promise(resolve => setTimeout(resolve, 60));
+      assert.deepEqual(batches, [['src/a.ts', 'src/b.ts']]);
+    });
+  });
+
+  describe('watchProject', () => {
+    it('reports changes and ignores skipped directories', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-watch-'));
+      fs.mkdirSync(path.join(dir, 'src'));
+      fs.mkdirSync(path.join(dir, 'node_modules'));
+      const seen = new Set();
+      const watcher = watchProject(dir, new Set(['node_modules']), file => seen.add(file));
+      try {
+        fs.writeFileSync(path.join(dir, 'node_modules', 'ignored.js'), 'x');
+        fs.writeFileSync(path.join(dir, 'src', 'tsconfig.tsbuildinfo'), 'x');
+        fs.writeFileSync(path.join(dir, 'src', 'a.ts'), 'x');
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.ok(seen.has('src/a.ts'), `saw: ${[...seen].join(', ')}`);
+        assert.ok(![...seen].some(f => f.startsWith('node_modules') || f.endsWith('.tsbuildinfo')));
+      } finally {
+        watcher.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('fortress watch', () => {
+    const bin = path.join(__dirname, '..', 'bin', 'fortress.js');
+
+    // Resolves with the output once it matches, rejects after a timeout
+    function waitForOutput(child, pattern, timeout = 10000) {
+      return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${pattern}. Output:\n${output}`)), timeout);
+        child.stdout.on('data', chunk => {
+          output += chunk;
+          if (pattern.test(output)) {
+            clearTimeout(timer);
+            resolve(output);
+          }
+        });
+      });
+    }
+
+    it('keeps watching when the config is saved with a syntax error', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-watch-'));
+      const checks = ['typescript', 'lint', 'test', 'content', 'secrets', 'security', 'build'];
+      fs.writeFileSync(path.join(dir, 'fortress.config.js'), `module.exports = ${JSON.stringify({
+        checks: Object.fromEntries(checks.map(key => [key, { enabled: false }])),
+        cache: false,
+      })};\n`);
+      const child = spawn(process.execPath, [bin, 'watch', '--ci'], { cwd: dir, stdio: ['ignore', 'pipe', 'pipe'] });
+      try {
+        await waitForOutput(child, /Watching for changes/);
+        const failed = waitForOutput(child, /Failed to reload fortress\.config\.js/);
+        fs.writeFileSync(path.join(dir, 'fortress.config.js'), 'module.exports = {\n');
+        await failed;
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.equal(child.exitCode, null);
+      } finally {
+        child.kill();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('reports a run that throws and keeps watching', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-watch-'));
+      const checks = ['typescript', 'lint', 'test', 'content', 'secrets', 'security', 'build'];
+      const writeConfig = cache => fs.writeFileSync(path.join(dir, 'fortress.config.js'), `module.exports = ${JSON.stringify({
+        checks: Object.fromEntries(checks.map(key => [key, { enabled: false }])),
+        cache,
+      })};\n`);
+      // The schema accepts the dir, creating the cache rejects it
+      writeConfig({ enabled: true, dir: '../outside' });
+      const child = spawn(process.execPath, [bin, 'watch', '--ci'], { cwd: dir, stdio: ['ignore', 'pipe', 'pipe'] });
+      try {
+        await waitForOutput(child, /Run failed: Security: cache dir "\.\.\/outside"/);
+        const rerun = waitForOutput(child, /Running all checks/);
+        writeConfig(false);
+        await rerun;
+        assert.equal(child.exitCode, null);
+      } finally {
+        child.kill();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('loadStrict rejects instead of exiting on an invalid config', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-watch-'));
+      try {
+        fs.writeFileSync(path.join(dir, 'fortress.config.js'), 'module.exports = { runner: { concurency: 2 } };\n');
+        await assert.rejects(loadStrict(dir), err => err instanceof ConfigError && /Invalid fortress\.config\.js/.test(err.message));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,237 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { findWorkspaces, combineScores, parsePnpmWorkspace, expandPattern, runWorkspaces } = require('../src/core/workspaces');
+const configLoader = require('../src/core/config-loader');
+const { generateWorkspaceReport } = require('../src/core/reporter');
+
+function createTempProject(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fortress-ws-test-'));
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+  return dir;
+}
+
+function cleanup(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+describe('findWorkspaces', () => {
+  it('finds npm workspaces from package.json', () => {
+    const dir = createTempProject({
+      'package.json': { workspaces: ['apps/*', 'packages/*'] },
+      'package-lock.json': '',
+      'apps/web/package.json': { name: 'web' },
+      'packages/ui/package.json': { name: 'ui' },
+      'packages/notes/README.md': 'not a package',
+    });
+    try {
+      assert.deepEqual(findWorkspaces(dir), { tool: 'npm', packages: ['apps/web', 'packages/ui'] });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('reads the yarn object form and detects yarn', () => {
+    const dir = createTempProject({
+      'package.json': { workspaces: { packages: ['packages/*'] } },
+      'yarn.lock': '',
+      'packages/a/package.json': {},
+    });
+    try {
+      assert.deepEqual(findWorkspaces(dir), { tool: 'yarn', packages: ['packages/a'] });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('finds pnpm workspaces and honors negated patterns', () => {
+    const dir = createTempProject({
+      'package.json': { name: 'root' },
+      'pnpm-workspace.yaml': "packages:\n  - 'packages/*'\n  - \"!packages/internal\"\n",
+      'packages/a/package.json': {},
+      'packages/internal/package.json': {},
+    });
+    try {
+      assert.deepEqual(findWorkspaces(dir), { tool: 'pnpm', packages: ['packages/a'] });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('reports turbo when turbo.json sits next to package manager workspaces', () => {
+    const dir = createTempProject({
+      'package.json': { workspaces: ['apps/*'] },
+      'turbo.json': '{}',
+      'apps/docs/package.json': {},
+    });
+    try {
+      assert.deepEqual(findWorkspaces(dir), { tool: 'turbo', packages: ['apps/docs'] });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('falls back to Nx conventional folders with project.json', () => {
+    const dir = createTempProject({
+      'package.json': { name: 'root' },
+      'nx.json': '{}',
+      'apps/api/project.json': {},
+      'libs/shared/project.json': {},
+    });
+    try {
+      assert.deepEqual(findWorkspaces(dir), { tool: 'nx', packages: ['apps/api', 'libs/shared'] });
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('returns no packages for a single-package project', () => {
+    const dir = createTempProject({ 'package.json': { name: 'app' } });
+    try {
+      assert.deepEqual(findWorkspaces(dir), { tool: null, packages: [] });
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
+
+describe('parsePnpmWorkspace', () => {
+  it('reads the packages list and ignores other keys and comments', () => {
+    const yaml = [
+      '# workspace',
+      'packages:',
+      '  - apps/*  # apps',
+      "  - 'tools/**'",
+      'catalog:',
+      '  - not-a-package',
+    ].join('\n');
+    assert.deepEqual(parsePnpmWorkspace(yaml), ['apps/*', 'tools/**']);
+  });
+});
+
+describe('expandPattern', () => {
+  it('expands ** to any depth and skips node_modules', () => {
+    const dir = createTempProject({
+      'tools/a/package.json': {},
+      'tools/group/b/package.json': {},
+      'tools/node_modules/c/package.json': {},
+    });
+    try {
+      const dirs = expandPattern(dir, 'tools/**');
+      assert.ok(dirs.includes('tools/a'));
+      assert.ok(dirs.includes('tools/group/b'));
+      assert.ok(!dirs.some(d => d.includes('node_modules')));
+    } finally {
+      cleanup(dir);
+    }
+  });
+
+  it('matches literal paths', () => {
+    const dir = createTempProject({ 'apps/web/package.json': {} });
+    try {
+      assert.deepEqual(expandPattern(dir, './apps/web/'), ['apps/web']);
+      assert.deepEqual(expandPattern(dir, 'apps/missing'), []);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
+
+describe('config-loader packages', () => {
+  it('detects each package on its own and applies per-package overrides', async () => {
+    const dir = createTempProject({
+      'package.json': { workspaces: ['apps/*'] },
+      'pnpm-lock.yaml': '',
+      'apps/web/package.json': { devDependencies: { vitest: '1.0.0' } },
+      'apps/api/package.json': { devDependencies: { jest: '29.0.0' } },
+      'fortress.config.js': `module.exports = {
+        scoring: { deployThreshold: 80 },
+        checks: { secrets: { weight: 7 } },
+        packages: {
+          'apps/web': { checks: { secrets: { enabled: false } }, scoring: { deployThreshold: 70 } },
+        },
+      };`,
+    });
+    try {
+      const web = await configLoader.load(dir, { packagePath: 'apps/web' });
+      const api = await configLoader.load(dir, { packagePath: 'apps/api' });
+
+      assert.equal(web.root, path.join(dir, 'apps/web'));
+      assert.match(web.checks.security.command, /^pnpm audit/);
+      assert.match(web.checks.test.command, /vitest/);
+      assert.match(api.checks.test.command, /jest/);
+
+      assert.equal(web.checks.secrets.enabled, false);
+      assert.equal(web.checks.secrets.weight, 7);
+      assert.equal(web.scoring.deployThreshold, 70);
+      assert.equal(api.checks.secrets.enabled, true);
+      assert.equal(api.scoring.deployThreshold, 80);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
+
+describe('runWorkspaces', () => {
+  it('runs each package, skips packages set to false and builds a combined report', async () => {
+    const disableAll = `checks: {
+      typescript: { enabled: false }, lint: { enabled: false }, test: { enabled: false },
+      content: { enabled: false }, security: { enabled: false }, build: { enabled: false },
+      secrets: { enabled: true },
+    }`;
+    const dir = createTempProject({
+      'package.json': { workspaces: ['packages/*'] },
+      'packages/a/package.json': {},
+      'packages/a/index.js': 'module.exports = 1;\n',
+      'packages/b/package.json': {},
+      'fortress.config.js': `module.exports = {
+        cache: false,
+        ${disableAll},
+        packages: { 'packages/b': false },
+      };`,
+    });
+    try {
+      const { packages } = findWorkspaces(dir);
+      const rootConfig = await configLoader.load(dir);
+      const run = await runWorkspaces(dir, packages, { rootConfig });
+      assert.deepEqual(run.packages.map(p => p.path), ['packages/a']);
+      assert.equal(run.score, 100);
+      assert.equal(run.deployReady, true);
+
+      const report = generateWorkspaceReport(run, rootConfig, 10);
+      assert.equal(report.score, 100);
+      assert.deepEqual(report.packages.map(p => p.path), ['packages/a']);
+      assert.ok(report.checks.every(c => c.package === 'packages/a'));
+
+      // Skipped packages come from the config the caller passes in
+      const unskipped = await runWorkspaces(dir, packages, { rootConfig: { ...rootConfig, packages: {} } });
+      assert.deepEqual(unskipped.packages.map(p => p.path), ['packages/a', 'packages/b']);
+    } finally {
+      cleanup(dir);
+    }
+  });
+});
+
+describe('combineScores', () => {
+  const pkg = (score, deployReady, noChecksEnabled = false) => ({
+    scoreResult: { score, deployReady, noChecksEnabled },
+  });
+
+  it('averages package scores and needs every package deploy ready', () => {
+    assert.deepEqual(combineScores([pkg(100, true), pkg(80, false)]), { score: 90, deployReady: false });
+    assert.deepEqual(combineScores([pkg(100, true), pkg(96, true)]), { score: 98, deployReady: true });
+  });
+
+  it('ignores packages with no enabled checks', () => {
+    assert.deepEqual(combineScores([pkg(100, true), pkg(0, false, true)]), { score: 100, deployReady: true });
+    assert.equal(combineScores([pkg(0, false, true)]).noChecksEnabled, true);
+  });
+});